@@ -5,8 +5,69 @@ import dotenv from "dotenv";
 import multer from "multer";
 import fs from "fs";
 import path from "path";
+import os from "os";
 import { fileURLToPath } from 'url';
-import { v2 as cloudinary } from 'cloudinary';
+import {
+  ADMIN_ROLES,
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  hashToken,
+  generateRefreshToken,
+  createAuthMiddleware,
+  requireRole
+} from './lib/auth.js';
+import { WILAYAS, findWilaya, wilayaName } from './lib/wilayas.js';
+import { slugify } from './lib/slug.js';
+import { ORDER_REVENUE, parseDateRange, computeDashboardStats, computeMonthlyRevenue } from './lib/analytics.js';
+import { COUPON_TYPES, normalizeCouponCode, parseCouponInput, evaluateCoupon } from './lib/coupons.js';
+import { EXPORT_CONTENT_TYPES, parseExportColumns, writeOrdersCsv, writeOrdersXlsx } from './lib/orderExport.js';
+import {
+  PRODUCT_IMPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  parseProductCsv,
+  missingImportColumns,
+  validateProductRow
+} from './lib/productImport.js';
+import { getCourier, listCouriers } from './lib/couriers/index.js';
+import { ORDER_STATUSES, ORDER_STATUS_TRANSITIONS, canTransition, releasesStock } from './lib/orderStatus.js';
+import { orderEvents } from './lib/events.js';
+import { softDeletePlugin } from './lib/softDelete.js';
+import { createAuditMiddleware, appendOnlyPlugin } from './lib/audit.js';
+import { createAdminFeed } from './lib/realtime.js';
+import { validate } from './lib/validation.js';
+import { errorResponses } from './lib/errors.js';
+import { RATE_LIMIT_HEADERS, createRateLimitStore, createRateLimiter } from './lib/rateLimit/index.js';
+import { normalizePhone, RISK_LEVELS, OUTCOME_COUNTERS, scoreOrderRisk } from './lib/customerRisk.js';
+import {
+  LANGUAGES,
+  pickLanguage,
+  resolveLanguage,
+  textDirection,
+  translate,
+  localizeFields,
+  hasTranslation,
+  parseTranslations,
+  mergeTranslations
+} from './lib/i18n.js';
+import {
+  MEDIA_PROVIDERS,
+  defaultStorageDriverName,
+  getStorageDriver,
+  listStorageDrivers,
+  storeUploadedFile,
+  storeUploadedFiles,
+  storeRemoteFile,
+  deleteMedia,
+  deleteMediaList
+} from './lib/media/index.js';
+import { createNotificationService, defaultNotificationLanguage, listTransports } from './lib/notifications/index.js';
+import {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  DEFAULT_TEMPLATES,
+  getDefaultTemplate
+} from './lib/notifications/templates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,39 +75,55 @@ const __dirname = path.dirname(__filename);
 dotenv.config();
 const app = express();
 
-// Cloudinary Configuration
-console.log('🔍 Checking Cloudinary configuration...');
-console.log('Cloud Name:', process.env.CLOUDINARY_CLOUD_NAME);
-console.log('API Key:', process.env.CLOUDINARY_API_KEY ? '***' + process.env.CLOUDINARY_API_KEY.slice(-4) : 'NOT SET');
-console.log('API Secret:', process.env.CLOUDINARY_API_SECRET ? '***' + process.env.CLOUDINARY_API_SECRET.slice(-4) : 'NOT SET');
-
-if (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET) {
-  cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET,
-  });
-  console.log('✅ Cloudinary configured successfully');
-} else {
-  console.log('❌ Cloudinary configuration incomplete');
+// Media storage (MEDIA_DRIVER: local, cloudinary or s3)
+try {
+  getStorageDriver();
+  console.log(`✅ Media storage: ${defaultStorageDriverName()}`);
+} catch (err) {
+  console.log(`❌ Media storage "${defaultStorageDriverName()}" not usable: ${err.message}`);
+}
+
+if (!process.env.JWT_SECRET) {
+  console.log('❌ JWT_SECRET not set - admin login will not work');
+}
+
+// CORS - only the origins listed in CORS_ORIGINS (comma separated) may call the API.
+// Without the setting no other origin can, so the admin API never takes credentialed requests from any site.
+const allowedOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(origin => origin !== '');
+if (allowedOrigins.length === 0) {
+  console.log('⚠️ CORS_ORIGINS not set, cross-origin requests are refused');
 }
 
-// BACKEND - Corrigez comme ça :
 app.use(cors({
-   origin: '*', 
+  origin: allowedOrigins.length > 0 ? allowedOrigins : false,
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"]
+  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+  exposedHeaders: RATE_LIMIT_HEADERS
 }));
 
+// Behind a reverse proxy or load balancer req.ip (rate limits, order IP addresses) is the client's
+// address only when TRUST_PROXY says which proxies to trust: a number of hops, "true", or
+// addresses and subnets (comma separated, e.g. "loopback, 10.0.0.0/8")
+const trustProxy = (process.env.TRUST_PROXY || '').trim();
+if (/^\d+$/.test(trustProxy)) {
+  app.set('trust proxy', Number(trustProxy));
+} else if (trustProxy === 'true' || trustProxy === 'false') {
+  app.set('trust proxy', trustProxy === 'true');
+} else if (trustProxy) {
+  app.set('trust proxy', trustProxy.split(',').map(value => value.trim()).filter(value => value !== ''));
+} else {
+  console.log('⚠️ TRUST_PROXY not set, behind a proxy every client has the proxy\'s IP address');
+}
+
+app.use(errorResponses);
 app.use(express.json());
 app.use(express.static("public"));
 
-// Enhanced error handling for file uploads
-const uploadsDir = 'public/uploads';
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-  console.log('✅ Created uploads directory');
+// Files of the local media driver, when they live outside public/
+const localMediaUrl = process.env.MEDIA_LOCAL_URL || '/uploads';
+if (process.env.MEDIA_LOCAL_DIR && localMediaUrl.startsWith('/')) {
+  app.use(localMediaUrl, express.static(path.resolve(process.env.MEDIA_LOCAL_DIR)));
 }
 
 // Connect MongoDB
@@ -57,10 +134,10 @@ mongoose.connect(process.env.MONGO_URI)
     process.exit(1);
   });
 
-// Multer setup
+// Multer setup, uploads wait in the temp directory until the media driver stores them
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, 'public/uploads/');
+    cb(null, os.tmpdir());
   },
   filename: function (req, file, cb) {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -72,7 +149,9 @@ const fileFilter = (req, file, cb) => {
   if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
     cb(null, true);
   } else {
-    cb(new Error('Only image and video files are allowed!'), false);
+    const error = new Error('Only image and video files are allowed!');
+    error.code = 'invalid_file_type';
+    cb(error, false);
   }
 };
 
@@ -85,784 +164,4431 @@ const upload = multer({
   }
 });
 
+// Removes the temp files of upload.single(), upload.array() or upload.fields() when a request is refused
+const removeUploadedFiles = (req) => {
+  for (const file of [req.file, ...Object.values(req.files || {}).flat()].filter(Boolean)) {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  }
+};
+
+// CSV uploads (product import) are kept in memory, they are parsed right away
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const isCsv = ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype) ||
+      file.originalname.toLowerCase().endsWith('.csv');
+    cb(null, isCsv);
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+    files: 1
+  }
+});
+
 // Mongoose Schemas
+
+// A stored file: where it lives (provider + key) and what it is
+const mediaFields = {
+  provider: { type: String, enum: MEDIA_PROVIDERS, required: true },
+  key: String,
+  url: { type: String, required: true },
+  resourceType: { type: String, enum: ["image", "video", "raw"], default: "image" },
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  originalName: String
+};
+const MediaSchema = new mongoose.Schema(mediaFields, { _id: false });
+
+// Product photos have their own ID, alt text and the product color they show.
+// The first photo is the cover.
+const ProductPhotoSchema = new mongoose.Schema({
+  ...mediaFields,
+  alt: { type: String, default: "" },
+  color: { type: String, default: "" }
+});
+
+// Text in each shop language
+const TranslatedStringSchema = new mongoose.Schema({
+  ar: String,
+  fr: String,
+  en: String
+}, { _id: false });
+const requiredTranslation = [hasTranslation, 'Path `{PATH}` needs a text in at least one language'];
+
+const CategorySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null },
+  order: { type: Number, default: 0 },
+  image: MediaSchema,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+const Category = mongoose.model("Category", CategorySchema);
+
 const ProductSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  description: String,
+  name: { type: TranslatedStringSchema, required: true, validate: requiredTranslation },
+  description: { type: TranslatedStringSchema, default: () => ({}) },
   price: { type: Number, required: true },
-  category: { type: String, required: true },
+  category: { type: mongoose.Schema.Types.ObjectId, ref: "Category", required: true },
   colors: [String],
   sizes: [String],
-  photos: [String],
+  variants: [{
+    _id: false,
+    color: { type: String, default: "" },
+    size: { type: String, default: "" },
+    stock: { type: Number, default: 0, min: 0 }
+  }],
+  photos: [ProductPhotoSchema],
+  // Approved reviews, kept up to date by refreshProductRating()
+  rating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 },
+    distribution: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 }
+    }
+  },
   createdAt: { type: Date, default: Date.now },
 });
+ProductSchema.plugin(softDeletePlugin);
 const Product = mongoose.model("Product", ProductSchema);
 
-const OrderSchema = new mongoose.Schema({
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+// Reviews are written by customers who received the product and shown once approved
+const ReviewSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+  phone: { type: String, required: true },
+  name: { type: String, required: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  comment: { type: String, default: "" },
+  photos: [MediaSchema],
+  language: { type: String, enum: LANGUAGES },
+  status: { type: String, enum: REVIEW_STATUSES, default: "pending" },
+  moderation: {
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser" },
+    byName: String,
+    reason: String,
+    at: Date
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+// One review per customer and product
+ReviewSchema.index({ product: 1, phone: 1 }, { unique: true });
+ReviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ status: 1, createdAt: 1 });
+const Review = mongoose.model("Review", ReviewSchema);
+
+const DELIVERY_TYPES = ["home", "stop_desk"];
+
+const OrderItemSchema = new mongoose.Schema({
   productId: { type: String, required: true },
   productName: { type: String, required: true },
-  productPrice: { type: Number, required: true },
+  category: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
   productPhotos: [String],
+  color: String,
+  size: String,
+  quantity: { type: Number, required: true, min: 1 },
+  unitPrice: { type: Number, required: true },
+  lineTotal: { type: Number, required: true },
+  stockReserved: { type: Boolean, default: false }
+}, { _id: false });
+
+const OrderSchema = new mongoose.Schema({
+  items: {
+    type: [OrderItemSchema],
+    validate: [items => items.length > 0, 'An order needs at least one item']
+  },
+  subtotal: { type: Number, required: true },
+  discount: { type: Number, default: 0 },
+  shippingFee: { type: Number, default: 0 },
+  shippingDiscount: { type: Number, default: 0 },
+  total: { type: Number, required: true },
+  coupon: {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+    code: String,
+    type: { type: String }
+  },
   clientName: { type: String, required: true },
   wilaya: { type: String, required: true },
+  wilayaCode: Number,
+  deliveryType: { type: String, enum: DELIVERY_TYPES, default: "home" },
+  shipment: {
+    provider: String,
+    trackingNumber: String,
+    externalId: String,
+    courierStatus: String,
+    createdAt: Date,
+    lastSyncedAt: Date
+  },
   address: { type: String, required: true },
   phone: { type: String, required: true },
   email: { type: String, required: true },
-  color: String,
-  size: String,
-  quantity: { type: Number, default: 1 },
-  status: { type: String, default: "pending" },
+  // Language of the customer's notifications
+  language: { type: String, enum: LANGUAGES },
+  stockReserved: { type: Boolean, default: false },
+  status: { type: String, enum: ORDER_STATUSES, default: "pending" },
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: { type: String, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser" },
+    changedByName: String,
+    note: String,
+    changedAt: { type: Date, default: Date.now }
+  }],
   orderDate: { type: Date, default: Date.now },
+  // Failed public tracking lookups, the order is locked for a while after too many
+  trackingLookup: {
+    failures: { type: Number, default: 0 },
+    lockedUntil: Date
+  },
   ipAddress: String,
   userAgent: String,
-  isVerified: { type: Boolean, default: false }
+  // Risk of the customer when the order was placed
+  risk: {
+    score: Number,
+    level: { type: String, enum: RISK_LEVELS },
+    reasons: [{ _id: false, code: String, points: Number, message: String }]
+  }
 });
+OrderSchema.index({ orderDate: -1 });
+OrderSchema.index({ phone: 1, orderDate: -1 });
+OrderSchema.index({ "risk.level": 1, orderDate: -1 });
+OrderSchema.plugin(softDeletePlugin);
 const Order = mongoose.model("Order", OrderSchema);
 
+// Order history of a phone number, used to score the risk of its next orders
+const CustomerSchema = new mongoose.Schema({
+  phone: { type: String, required: true, unique: true },
+  name: String,
+  totalOrders: { type: Number, default: 0 },
+  deliveredOrders: { type: Number, default: 0 },
+  returnedOrders: { type: Number, default: 0 },
+  cancelledOrders: { type: Number, default: 0 },
+  unansweredOrders: { type: Number, default: 0 },
+  lastOrderAt: Date,
+  blacklist: {
+    isBlacklisted: { type: Boolean, default: false },
+    reason: String,
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser" },
+    addedByName: String,
+    addedAt: Date
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+const Customer = mongoose.model("Customer", CustomerSchema);
+
 const DashboardStatsSchema = new mongoose.Schema({
   totalRevenue: { type: Number, default: 0 },
   totalOrders: { type: Number, default: 0 },
   totalCustomers: { type: Number, default: 0 },
   pendingOrders: { type: Number, default: 0 },
   totalProducts: { type: Number, default: 0 },
-  monthlyRevenue: [{
-    month: String,
-    revenue: Number
-  }],
   updatedAt: { type: Date, default: Date.now }
 });
 const DashboardStats = mongoose.model("DashboardStats", DashboardStatsSchema);
 
+const HERO_DEVICES = ["mobile", "desktop"];
+const HERO_LINK_KINDS = ["product", "category"];
+
 const HeroContentSchema = new mongoose.Schema({
-  title: { type: String, required: true },
-  subtitle: { type: String, required: true },
-  buttonText: { type: String, default: "Shop Now" },
+  title: { type: TranslatedStringSchema, required: true, validate: requiredTranslation },
+  subtitle: { type: TranslatedStringSchema, required: true, validate: requiredTranslation },
+  buttonText: { type: TranslatedStringSchema, default: () => ({ ar: "تسوق الآن", fr: "Acheter", en: "Shop Now" }) },
+  // Where the button leads
+  link: {
+    kind: { type: String, enum: HERO_LINK_KINDS },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+    category: { type: mongoose.Schema.Types.ObjectId, ref: "Category" }
+  },
   theme: { type: String, default: "light" },
   order: { type: Number, default: 0 },
   mediaType: { type: String, enum: ["video", "image"], required: true },
-  mediaUrl: { type: String, required: true },
+  media: { type: MediaSchema, required: true },
+  // Shown on phones instead of `media` when set
+  mobileMedia: MediaSchema,
   isActive: { type: Boolean, default: true },
+  // Only shown between startAt and endAt when they are set
+  startAt: { type: Date, default: null },
+  endAt: { type: Date, default: null },
+  // Empty lists mean every language / every device
+  languages: [{ type: String, enum: LANGUAGES }],
+  devices: [{ type: String, enum: HERO_DEVICES }],
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
+HeroContentSchema.index({ isActive: 1, order: 1 });
+HeroContentSchema.plugin(softDeletePlugin);
 const HeroContent = mongoose.model("HeroContent", HeroContentSchema);
 
-// Cloudinary Functions
-const uploadToCloudinary = async (filePath, resourceType = 'auto') => {
-  try {
-    console.log("📤 Uploading to Cloudinary:", filePath);
-    
-    if (!process.env.CLOUDINARY_CLOUD_NAME) {
-      throw new Error('Cloudinary not configured');
-    }
+const CouponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: String,
+  type: { type: String, enum: COUPON_TYPES, required: true },
+  // Percentage (1-100) or amount in DA, unused for free_shipping
+  value: { type: Number, default: 0 },
+  maxDiscount: { type: Number, default: null },
+  minOrderAmount: { type: Number, default: null },
+  // When set, only these products / categories (and their subcategories) get the discount
+  productIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+  categoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+  startsAt: { type: Date, default: null },
+  endsAt: { type: Date, default: null },
+  usageLimit: { type: Number, default: null },
+  usageCount: { type: Number, default: 0 },
+  perPhoneLimit: { type: Number, default: null },
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+const Coupon = mongoose.model("Coupon", CouponSchema);
 
-    const result = await cloudinary.uploader.upload(filePath, {
-      resource_type: resourceType,
-      folder: 'mca_shop',
-      quality: 'auto',
-      fetch_format: 'auto'
-    });
-    
-    console.log("✅ Cloudinary upload successful:", result.secure_url);
-    return result.secure_url;
-    
-  } catch (error) {
-    console.error('❌ Cloudinary upload error:', error.message);
-    throw error;
+// Delivery prices per wilaya, a null price means that delivery type is not offered there
+const ShippingRateSchema = new mongoose.Schema({
+  wilayaCode: { type: Number, required: true, unique: true, min: 1, max: WILAYAS.length },
+  homeDeliveryPrice: { type: Number, default: null, min: 0 },
+  stopDeskPrice: { type: Number, default: null, min: 0 },
+  isActive: { type: Boolean, default: true },
+  updatedAt: { type: Date, default: Date.now }
+});
+const ShippingRate = mongoose.model("ShippingRate", ShippingRateSchema);
+
+const AdminUserSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ADMIN_ROLES, default: "operator" },
+  isActive: { type: Boolean, default: true },
+  refreshTokens: [{
+    tokenHash: String,
+    expiresAt: Date,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  lastLoginAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+AdminUserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.refreshTokens;
+    return ret;
+  }
+});
+const AdminUser = mongoose.model("AdminUser", AdminUserSchema);
+
+// Admin edits of the built-in notification templates
+const NotificationTemplateSchema = new mongoose.Schema({
+  event: { type: String, enum: NOTIFICATION_EVENTS, required: true },
+  channel: { type: String, enum: NOTIFICATION_CHANNELS, required: true },
+  language: { type: String, enum: LANGUAGES, required: true },
+  subject: { type: String, default: "" },
+  body: { type: String, required: true },
+  // A disabled template stops that message from being sent
+  isActive: { type: Boolean, default: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser" },
+  updatedAt: { type: Date, default: Date.now }
+});
+NotificationTemplateSchema.index({ event: 1, channel: 1, language: 1 }, { unique: true });
+const NotificationTemplate = mongoose.model("NotificationTemplate", NotificationTemplateSchema);
+
+// Every notification sent or attempted
+const NotificationLogSchema = new mongoose.Schema({
+  event: { type: String, required: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+  channel: { type: String, enum: NOTIFICATION_CHANNELS, required: true },
+  transport: { type: String, required: true },
+  recipient: { type: String, required: true },
+  language: String,
+  subject: String,
+  body: String,
+  status: { type: String, enum: ["pending", "sent", "failed"], default: "pending" },
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  providerMessageId: String,
+  nextAttemptAt: Date,
+  sentAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+NotificationLogSchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationLogSchema.index({ orderId: 1, createdAt: -1 });
+const NotificationLog = mongoose.model("NotificationLog", NotificationLogSchema);
+
+// Changes made through the admin API. Entries are never updated or deleted.
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser" },
+    name: String,
+    role: String
+  },
+  method: { type: String, required: true },
+  route: { type: String, required: true },
+  path: String,
+  statusCode: Number,
+  entityType: String,
+  entityId: String,
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  ip: String,
+  createdAt: { type: Date, default: Date.now }
+});
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ "actor.id": 1, createdAt: -1 });
+AuditLogSchema.plugin(appendOnlyPlugin);
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+
+// Events of the live admin feed, kept for a day so reconnecting clients can catch up
+const AdminEventSchema = new mongoose.Schema({
+  seq: { type: Number, required: true, unique: true },
+  type: { type: String, required: true },
+  data: mongoose.Schema.Types.Mixed,
+  roles: [{ type: String, enum: ADMIN_ROLES }],
+  createdAt: { type: Date, default: Date.now, expires: 24 * 60 * 60 }
+});
+const AdminEvent = mongoose.model("AdminEvent", AdminEventSchema);
+
+// Named sequences
+const CounterSchema = new mongoose.Schema({
+  _id: String,
+  seq: { type: Number, default: 0 }
+});
+const Counter = mongoose.model("Counter", CounterSchema);
+
+// Rate limit windows of the mongodb store, removed by MongoDB once they are over
+const RateLimitCounterSchema = new mongoose.Schema({
+  _id: String,
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true, expires: 0 }
+});
+const RateLimitCounter = mongoose.model("RateLimitCounter", RateLimitCounterSchema);
+
+const { requireAuth } = createAuthMiddleware({ AdminUser });
+
+// Admin URL paths whose documents are compared in the audit log, see lib/audit.js
+const auditAdminChanges = createAuditMiddleware({
+  AuditLog,
+  entities: {
+    users: { Model: AdminUser },
+    categories: { Model: Category },
+    products: { Model: Product },
+    reviews: { Model: Review },
+    "hero-content": { Model: HeroContent },
+    coupons: { Model: Coupon },
+    orders: { Model: Order },
+    customers: { Model: Customer, key: normalizePhone, filter: phone => ({ phone }) },
+    "shipping-rates": {
+      Model: ShippingRate,
+      filter: code => (/^\d+$/.test(code) ? { wilayaCode: Number(code) } : null)
+    },
+    "notifications/templates": { Model: NotificationTemplate },
+    "notifications/logs": { Model: NotificationLog }
+  }
+});
+
+const notifications = createNotificationService({ NotificationTemplate, NotificationLog });
+notifications.subscribe(orderEvents);
+
+const adminFeed = createAdminFeed({ AdminEvent, Counter });
+
+// Rate limits (RATE_LIMIT_STORE: memory or mongodb)
+let rateLimitStore;
+try {
+  rateLimitStore = createRateLimitStore(undefined, { Model: RateLimitCounter });
+} catch (err) {
+  console.log(`❌ ${err.message} - counting requests in memory`);
+  rateLimitStore = createRateLimitStore('memory');
+}
+const rateLimit = createRateLimiter({ store: rateLimitStore });
+
+// Per-route policies, each can be changed with RATE_LIMIT_<NAME>, e.g. RATE_LIMIT_ORDERS=10/1h or "off".
+// Tracking counts only failed lookups, failed review submissions count as failed lookups too.
+const limitOrders = rateLimit('orders', { max: 10, window: '1h', message: "Too many orders from this location" });
+const limitTracking = rateLimit('tracking', {
+  max: 20,
+  window: '15m',
+  skipSuccessfulRequests: true,
+  message: "Too many attempts, please try again later"
+});
+const limitReviews = rateLimit('reviews', { max: 10, window: '1h', message: "Too many reviews, please try again later" });
+const limitLogin = rateLimit('login', {
+  max: 10,
+  window: '15m',
+  skipSuccessfulRequests: true,
+  message: "Too many login attempts, please try again later"
+});
+
+// Category Functions
+const isObjectIdString = (value) => typeof value === 'string' && /^[a-f0-9]{24}$/i.test(value);
+
+// Finds a category by ID or slug
+const findCategory = (value) => {
+  if (!value) {
+    return null;
   }
+  const key = String(value).trim();
+  return isObjectIdString(key) ? Category.findById(key) : Category.findOne({ slug: key.toLowerCase() });
 };
 
-const deleteFromCloudinary = async (url) => {
-  try {
-    const parts = url.split('/');
-    const filenameWithExtension = parts[parts.length - 1];
-    const publicId = 'mca_shop/' + filenameWithExtension.split('.')[0];
-    
-    await cloudinary.uploader.destroy(publicId);
-    console.log("✅ Deleted from Cloudinary:", publicId);
-  } catch (error) {
-    console.error('❌ Error deleting from Cloudinary:', error.message);
+const uniqueCategorySlug = async (name, excludeId) => {
+  const base = slugify(name) || 'category';
+  let slug = base;
+  for (let n = 2; await Category.exists({ slug, _id: { $ne: excludeId } }); n++) {
+    slug = `${base}-${n}`;
   }
+  return slug;
 };
 
-// Dashboard Functions
-const initializeDashboardStats = async () => {
-  try {
-    const stats = await DashboardStats.findOne();
-    if (!stats) {
-      const initialStats = new DashboardStats({
-        totalRevenue: 1250,
-        totalOrders: 0,
-        totalCustomers: 0,
-        pendingOrders: 0,
-        totalProducts: 0,
-        monthlyRevenue: [
-          { month: 'Jan', revenue: 1200 },
-          { month: 'Feb', revenue: 1800 },
-          { month: 'Mar', revenue: 1500 },
-          { month: 'Apr', revenue: 2000 },
-          { month: 'May', revenue: 1700 },
-          { month: 'Jun', revenue: 2200 }
-        ]
-      });
-      await initialStats.save();
-      console.log('✅ Initialized dashboard stats');
+// IDs of the given categories (by ID or slug) and of all their subcategories
+const getCategoryIdsWithDescendants = async (values) => {
+  const categories = await Category.find({}, '_id slug parent');
+  const ids = new Set(categories
+    .filter(c => values.some(value => String(c._id) === value || c.slug === value.toLowerCase()))
+    .map(c => String(c._id)));
+
+  let added = ids.size > 0;
+  while (added) {
+    added = false;
+    for (const category of categories) {
+      if (category.parent && ids.has(String(category.parent)) && !ids.has(String(category._id))) {
+        ids.add(String(category._id));
+        added = true;
+      }
     }
-  } catch (error) {
-    console.error('Error initializing dashboard stats:', error);
   }
+
+  return [...ids].map(id => new mongoose.Types.ObjectId(id));
 };
 
-const updateDashboardStats = async () => {
-  try {
-    const totalOrders = await Order.countDocuments();
-    const pendingOrders = await Order.countDocuments({ status: 'pending' });
-    const totalProducts = await Product.countDocuments();
-    
-    const deliveredOrders = await Order.find({ status: 'delivered' });
-    const totalRevenue = deliveredOrders.reduce((sum, order) => 
-      sum + (order.productPrice * order.quantity), 0
-    );
-    
-    const uniqueCustomers = await Order.distinct('email');
-    
-    await DashboardStats.findOneAndUpdate({}, {
-      totalRevenue,
-      totalOrders,
-      totalCustomers: uniqueCustomers.length,
-      pendingOrders,
-      totalProducts,
-      updatedAt: new Date()
-    }, { upsert: true });
-    
-  } catch (error) {
-    console.error('Error updating dashboard stats:', error);
+// Nests a flat category list into { ...category, children: [...] } trees, sorted by order then name
+const buildCategoryTree = (categories) => {
+  const nodes = categories.map(c => ({ ...c.toJSON(), children: [] }));
+  const byId = new Map(nodes.map(node => [String(node._id), node]));
+  const sortNodes = (list) => {
+    list.sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+    list.forEach(node => sortNodes(node.children));
+    return list;
+  };
+
+  const roots = [];
+  for (const node of nodes) {
+    const parent = node.parent ? byId.get(String(node.parent)) : null;
+    (parent ? parent.children : roots).push(node);
   }
+  return sortNodes(roots);
 };
 
-// ==================== ROUTES ====================
+// Catalog Functions
+const PRODUCT_SORTS = {
+  newest: { createdAt: -1 },
+  price_asc: { price: 1, createdAt: -1 },
+  price_desc: { price: -1, createdAt: -1 },
+  rating: { "rating.average": -1, "rating.count": -1, createdAt: -1 }
+};
 
-// Health check
-app.get("/", (req, res) => {
-  res.json({ 
-    message: "✅ MCA Shop API Running",
-    timestamp: new Date().toISOString(),
-    version: "1.0.0",
-    cloudinary: process.env.CLOUDINARY_CLOUD_NAME ? "Configured" : "Not Configured"
-  });
-});
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-// Test Cloudinary connection
-app.get("/api/test-cloudinary", async (req, res) => {
-  try {
-    if (!process.env.CLOUDINARY_CLOUD_NAME) {
-      return res.status(500).json({
-        success: false,
-        message: "Cloudinary not configured - check your .env file"
-      });
-    }
+// Comma separated query value ("red,blue") or repeated parameter (?color=red&color=blue)
+const parseQueryList = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(v => typeof v === 'string')
+    .flatMap(v => v.split(','))
+    .map(v => v.trim())
+    .filter(v => v !== '');
+};
 
-    console.log("🧪 Testing Cloudinary connection...");
-    
-    // Test the configuration first
-    try {
-      const pingResult = await cloudinary.api.ping();
-      console.log("✅ Cloudinary ping successful:", pingResult);
-    } catch (pingError) {
-      console.log("❌ Cloudinary ping failed:", pingError.message);
-      return res.status(500).json({
-        success: false,
-        message: "Cloudinary authentication failed: " + pingError.message
-      });
-    }
+// Builds the Product filter for the catalog query parameters: q, category, minPrice, maxPrice, color, size.
+// `category` takes IDs or slugs and also matches products of their subcategories.
+const buildProductFilter = async (query) => {
+  const filter = {};
 
-    // Create a simple test image
-    const testImagePath = path.join(__dirname, 'public', 'test-image.png');
-    const testImageDir = path.dirname(testImagePath);
-    
-    if (!fs.existsSync(testImageDir)) {
-      fs.mkdirSync(testImageDir, { recursive: true });
-    }
-    
-    // 1x1 transparent PNG
-    const transparentPNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
-    fs.writeFileSync(testImagePath, Buffer.from(transparentPNG, 'base64'));
+  if (typeof query.q === 'string' && query.q.trim()) {
+    const pattern = new RegExp(escapeRegex(query.q.trim()), 'i');
+    filter.$or = LANGUAGES.flatMap(language => [{ [`name.${language}`]: pattern }, { [`description.${language}`]: pattern }]);
+  }
 
-    const result = await uploadToCloudinary(testImagePath, 'image');
-    
-    // Clean up test file
-    if (fs.existsSync(testImagePath)) {
-      fs.unlinkSync(testImagePath);
+  const categories = parseQueryList(query.category);
+  if (categories.length > 0) {
+    filter.category = { $in: await getCategoryIdsWithDescendants(categories) };
+  }
+
+  const minPrice = query.minPrice !== undefined ? Number(query.minPrice) : undefined;
+  const maxPrice = query.maxPrice !== undefined ? Number(query.maxPrice) : undefined;
+  if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+    return { error: "Invalid price range" };
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) {
+      filter.price.$gte = minPrice;
+    }
+    if (maxPrice !== undefined) {
+      filter.price.$lte = maxPrice;
     }
-    
-    console.log("✅ Cloudinary test successful!");
-    res.json({ 
-      success: true, 
-      message: "Cloudinary is working perfectly!",
-      imageUrl: result
-    });
-  } catch (error) {
-    console.error("❌ Cloudinary test failed:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: "Cloudinary error: " + error.message
-    });
   }
-});
 
-// ==================== PRODUCT ROUTES ====================
+  const colors = parseQueryList(query.color);
+  if (colors.length > 0) {
+    filter.colors = { $in: colors };
+  }
 
-// Get all products
-app.get("/api/public/products", async (req, res) => {
-  try {
-    const products = await Product.find().sort({ createdAt: -1 });
-    res.json(products);
-  } catch (err) {
-    console.error("❌ Error fetching products:", err);
-    res.status(500).json({ message: "Error fetching products: " + err.message });
+  const sizes = parseQueryList(query.size);
+  if (sizes.length > 0) {
+    filter.sizes = { $in: sizes };
   }
-});
 
-// Get single product
-app.get("/api/public/products/:id", async (req, res) => {
-  try {
-    const product = await Product.findById(req.params.id);
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
-    }
-    res.json(product);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+  return { filter };
+};
+
+// Runs a catalog query (filters, sort, page, limit) with names and descriptions in `language`.
+// Returns { products, lang, dir, pagination } or { error }
+const queryProducts = async (query, language) => {
+  const { filter, error } = await buildProductFilter(query);
+  if (error) {
+    return { error };
   }
-});
 
-// Create product
-app.post("/api/admin/products", upload.array("photos", 10), async (req, res) => {
-  try {
-    const { name, description, price, category, colors, sizes } = req.body;
+  const sort = query.sort || 'newest';
+  if (!PRODUCT_SORTS[sort]) {
+    return { error: "Invalid sort" };
+  }
+
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
 
-    if (!name || !name.trim() || !price || isNaN(price) || !category || !category.trim() || !req.files || req.files.length === 0) {
-      return res.status(400).json({ message: "All fields including photos are required" });
+  const [products, total] = await Promise.all([
+    Product.find(filter)
+      .populate('category', 'name slug')
+      .sort(PRODUCT_SORTS[sort])
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Product.countDocuments(filter)
+  ]);
+
+  return {
+    products: products.map(product => localizeProduct(product, language)),
+    lang: language,
+    dir: textDirection(language),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
     }
+  };
+};
 
-    const photoUrls = [];
-    
-    for (const file of req.files) {
-      try {
-        const imageUrl = await uploadToCloudinary(file.path, 'image');
-        photoUrls.push(imageUrl);
-        if (fs.existsSync(file.path)) {
-          fs.unlinkSync(file.path);
-        }
-      } catch (uploadError) {
-        console.error("❌ Cloudinary upload error:", uploadError);
-        photoUrls.push(`/uploads/${file.filename}`);
-      }
+// Localization Functions
+
+// Language of a storefront request (?lang= or Accept-Language, then the default), sent back as Content-Language
+const storefrontLanguage = (req, res) => {
+  const language = resolveLanguage(req.query.lang, req.get('Accept-Language'));
+  res.set('Content-Language', language);
+  res.vary('Accept-Language');
+  return language;
+};
+
+const localizeProduct = (product, language) => {
+  return localizeFields(product.toJSON ? product.toJSON() : product, ['name', 'description'], language);
+};
+
+// Reads the translated fields of `body` listed in `fields`. `current` is the document being updated,
+// its other translations are kept. Returns { data } with the fields that were sent, or { error }.
+const parseTranslatedFields = (body, fields, current = {}) => {
+  const data = {};
+  for (const field of fields) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    const { value, error } = parseTranslations(body[field], field);
+    if (error) {
+      return { error };
     }
+    data[field] = mergeTranslations(current[field], value);
+  }
+  return { data };
+};
 
-    const colorsArray = colors ? colors.split(',').map(color => color.trim()).filter(color => color !== '') : [];
-    const sizesArray = sizes ? sizes.split(',').map(size => size.trim()).filter(size => size !== '') : [];
+// Hero Content Functions
+const parseOptionalDate = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === '' || value === 'null') {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? NaN : date;
+};
 
-    const newProduct = new Product({ 
-      name: name.trim(), 
-      description: description ? description.trim() : "", 
-      price: parseFloat(price),
-      category: category.trim(),
-      colors: colorsArray,
-      sizes: sizesArray,
-      photos: photoUrls
-    });
+// Reads the scheduling, targeting and link fields sent for a banner. Only the fields present in
+// `body` are returned. `current` is the banner being updated. Resolves to { data } or { error }.
+const parseHeroOptions = async (body, current = {}) => {
+  const data = {};
 
-    await newProduct.save();
-    await updateDashboardStats();
-    
-    res.status(201).json(newProduct);
-  } catch (err) {
-    console.error("❌ Error creating product:", err);
-    if (req.files) {
-      req.files.forEach(file => {
-        if (fs.existsSync(file.path)) {
-          fs.unlinkSync(file.path);
-        }
-      });
+  for (const field of ['startAt', 'endAt']) {
+    const date = parseOptionalDate(body[field]);
+    if (Number.isNaN(date)) {
+      return { error: `${field} is not a valid date` };
+    }
+    if (date !== undefined) {
+      data[field] = date;
     }
-    res.status(500).json({ message: "Error creating product: " + err.message });
   }
-});
+  const startAt = data.startAt !== undefined ? data.startAt : current.startAt;
+  const endAt = data.endAt !== undefined ? data.endAt : current.endAt;
+  if (startAt && endAt && startAt >= endAt) {
+    return { error: "startAt must be before endAt" };
+  }
 
-// Update product
-app.put("/api/admin/products/:id", upload.array("photos", 10), async (req, res) => {
-  try {
-    const { name, description, price, category, colors, sizes } = req.body;
-    
-    const updateData = {
-      name,
-      description,
-      price,
-      category,
-      colors: colors ? colors.split(',').map(color => color.trim()) : [],
-      sizes: sizes ? sizes.split(',').map(size => size.trim()) : []
-    };
+  if (body.languages !== undefined) {
+    data.languages = parseQueryList(body.languages);
+    if (data.languages.some(language => !LANGUAGES.includes(language))) {
+      return { error: `languages must be a list of ${LANGUAGES.join(', ')}` };
+    }
+  }
+  if (body.devices !== undefined) {
+    data.devices = parseQueryList(body.devices);
+    if (data.devices.some(device => !HERO_DEVICES.includes(device))) {
+      return { error: `devices must be a list of ${HERO_DEVICES.join(', ')}` };
+    }
+  }
 
-    if (req.files && req.files.length > 0) {
-      const photoUrls = [];
-      for (const file of req.files) {
-        try {
-          const imageUrl = await uploadToCloudinary(file.path, 'image');
-          photoUrls.push(imageUrl);
-          fs.unlinkSync(file.path);
-        } catch (uploadError) {
-          console.error("Cloudinary upload error:", uploadError);
-          photoUrls.push(`/uploads/${file.filename}`);
-        }
+  // linkType "product" or "category" with linkId (a category may also be given by slug), "" removes the link
+  if (body.linkType !== undefined) {
+    if (!body.linkType) {
+      data.link = {};
+    } else if (!HERO_LINK_KINDS.includes(body.linkType)) {
+      return { error: `linkType must be one of ${HERO_LINK_KINDS.join(', ')}` };
+    } else if (body.linkType === 'product') {
+      const product = isObjectIdString(body.linkId) ? await Product.findById(body.linkId) : null;
+      if (!product) {
+        return { error: "Linked product not found" };
+      }
+      data.link = { kind: 'product', product: product._id };
+    } else {
+      const category = await findCategory(body.linkId);
+      if (!category) {
+        return { error: "Linked category not found" };
       }
-      updateData.photos = photoUrls;
+      data.link = { kind: 'category', category: category._id };
     }
+  }
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
+  return { data };
+};
 
-    if (!updatedProduct) {
-      return res.status(404).json({ message: "Product not found" });
-    }
+// "image" or "video" for an uploaded file, null for anything else
+const heroMediaType = (file) => {
+  if (file.mimetype.startsWith('video/')) {
+    return 'video';
+  }
+  return file.mimetype.startsWith('image/') ? 'image' : null;
+};
+
+// Where a banner is in its schedule, for the admin list
+const heroScheduleStatus = (heroContent, now = new Date()) => {
+  if (!heroContent.isActive) {
+    return 'inactive';
+  }
+  if (heroContent.startAt && heroContent.startAt > now) {
+    return 'scheduled';
+  }
+  if (heroContent.endAt && heroContent.endAt <= now) {
+    return 'expired';
+  }
+  return 'live';
+};
+
+// Banner as shown on the storefront for one device and language: a single `media`, translated texts and a resolved link
+const toPublicHeroContent = (heroContent, device, language) => {
+  const { mobileMedia, link, ...banner } = localizeFields(heroContent.toJSON(), ['title', 'subtitle', 'buttonText'], language);
+  const useMobile = device === 'mobile' && mobileMedia && mobileMedia.url;
+
+  let buttonLink = null;
+  if (link && link.kind === 'product' && link.product) {
+    buttonLink = { kind: 'product', id: link.product._id, name: translate(link.product.name, language).text };
+  } else if (link && link.kind === 'category' && link.category) {
+    buttonLink = { kind: 'category', id: link.category._id, name: link.category.name, slug: link.category.slug };
+  }
+
+  return {
+    ...banner,
+    media: useMobile ? mobileMedia : banner.media,
+    mediaType: useMobile ? mobileMedia.resourceType : banner.mediaType,
+    link: buttonLink
+  };
+};
+
+// Product Photo Functions
+const MAX_PRODUCT_PHOTOS = 20;
+
+// Photos showing `color`, or all photos when none is tagged with it
+const photosForColor = (product, color) => {
+  const colorPhotos = color ? product.photos.filter(photo => photo.color === color) : [];
+  return colorPhotos.length > 0 ? colorPhotos : product.photos;
+};
+
+// Checks the alt text and color of a photo against the product colors. Returns { fields } or { error }.
+const parsePhotoFields = (colors, { alt, color }) => {
+  const fields = {};
+  if (alt !== undefined) {
+    fields.alt = String(alt).trim().slice(0, 300);
+  }
+  if (color !== undefined) {
+    fields.color = String(color).trim();
+    if (fields.color && !colors.includes(fields.color)) {
+      return { error: `Unknown color "${fields.color}", expected one of: ${colors.join(', ')}` };
+    }
+  }
+  return { fields };
+};
+
+// Alt text and color of uploaded photos: sent once for all files, or once per file
+// (repeat the form field). Returns { fieldsList } with one entry per file, or { error }.
+const parseUploadedPhotoFields = (colors, fileCount, { alt, color }) => {
+  const fieldsList = [];
+  for (let index = 0; index < fileCount; index++) {
+    const { fields, error } = parsePhotoFields(colors, {
+      alt: Array.isArray(alt) ? alt[index] : alt,
+      color: Array.isArray(color) ? color[index] : color
+    });
+    if (error) {
+      return { error };
+    }
+    fieldsList.push(fields);
+  }
+  return { fieldsList };
+};
+
+// Saves a new photo order. `photoIds` must list every photo of the product exactly once.
+// Resolves to the updated product, or null when the photos changed in the meantime.
+const reorderProductPhotos = async (product, photoIds) => {
+  const photos = photoIds.map(id => product.photos.find(photo => String(photo._id) === id));
+  return Product.findOneAndUpdate(
+    { _id: product._id, photos: { $size: product.photos.length }, "photos._id": { $all: product.photos.map(photo => photo._id) } },
+    { $set: { photos } },
+    { new: true }
+  );
+};
+
+// Review Functions
+const MAX_REVIEW_PHOTOS = 5;
+const MAX_REVIEW_LENGTH = 2000;
+
+// Recomputes the rating summary of a product from its approved reviews
+const refreshProductRating = async (productId) => {
+  const counts = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: "approved" } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let sum = 0;
+  for (const { _id: rating, count: ratingCount } of counts) {
+    distribution[rating] = ratingCount;
+    count += ratingCount;
+    sum += rating * ratingCount;
+  }
+
+  await Product.updateOne(
+    { _id: productId },
+    { rating: { average: count > 0 ? Math.round((sum / count) * 10) / 10 : 0, count, distribution } }
+  );
+};
+
+// Only the first name and the initial of the last name are shown
+const reviewerDisplayName = (name) => {
+  const [first, ...rest] = String(name || '').trim().split(/\s+/);
+  const last = rest.length > 0 ? rest[rest.length - 1] : '';
+  return last ? `${first} ${last[0].toUpperCase()}.` : first;
+};
+
+const toPublicReview = (review) => ({
+  _id: review._id,
+  name: reviewerDisplayName(review.name),
+  rating: review.rating,
+  comment: review.comment,
+  photos: review.photos,
+  language: review.language,
+  createdAt: review.createdAt
+});
+
+// Page of approved reviews of a product: { reviews, pagination }
+const queryProductReviews = async (productId, query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), 50);
+  const filter = { product: productId, status: "approved" };
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+    Review.countDocuments(filter)
+  ]);
+
+  return {
+    reviews: reviews.map(toPublicReview),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Stock Functions
+const MAX_ORDER_ITEMS = 20;
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+// Parses the `stock` field sent by the admin: a JSON array of { color, size, stock }
+const parseStockInput = (input) => {
+  if (input === undefined || input === null || input === '') {
+    return [];
+  }
+
+  let entries = input;
+  if (typeof input === 'string') {
+    try {
+      entries = JSON.parse(input);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!Array.isArray(entries)) {
+    return null;
+  }
+
+  const parsed = entries.map(entry => ({
+    color: entry && entry.color ? String(entry.color).trim() : '',
+    size: entry && entry.size ? String(entry.size).trim() : '',
+    stock: Number(entry && entry.stock)
+  }));
+
+  return parsed.every(entry => Number.isInteger(entry.stock) && entry.stock >= 0) ? parsed : null;
+};
+
+// One variant per color×size combination. A product without colors or sizes gets a single "" variant.
+// Stock comes from the admin input, then from the previous variants, then defaults to 0.
+const buildVariants = (colors, sizes, stockEntries, previousVariants = []) => {
+  const colorOptions = colors.length > 0 ? colors : [''];
+  const sizeOptions = sizes.length > 0 ? sizes : [''];
+
+  return colorOptions.flatMap(color => sizeOptions.map(size => {
+    const entry = stockEntries.find(e => e.color === color && e.size === size);
+    const previous = previousVariants.find(v => v.color === color && v.size === size);
+    return { color, size, stock: entry ? entry.stock : (previous ? previous.stock : 0) };
+  }));
+};
+
+// Matches a product whose variants are still `variants`. Variants rebuilt from an earlier read are
+// only saved with it, so that stock reserved by orders in the meantime is not overwritten.
+const unchangedVariantsFilter = (variants) => ({
+  $expr: {
+    $eq: [
+      { $map: { input: { $ifNull: ["$variants", []] }, in: [{ $ifNull: ["$$this.color", ""] }, { $ifNull: ["$$this.size", ""] }, "$$this.stock"] } },
+      variants.map(variant => [variant.color || '', variant.size || '', variant.stock])
+    ]
+  }
+});
+
+// Atomically takes `quantity` units from a variant, returns false when not enough stock is left.
+// Stock updates include trashed products, their stock is still counted when they are restored.
+const reserveStock = async (productId, color, size, quantity) => {
+  const result = await Product.updateOne(
+    { _id: productId, variants: { $elemMatch: { color: color || '', size: size || '', stock: { $gte: quantity } } } },
+    { $inc: { "variants.$.stock": -quantity } }
+  ).setOptions({ withDeleted: true });
+  return result.modifiedCount === 1;
+};
+
+const releaseStock = async (productId, color, size, quantity) => {
+  await Product.updateOne(
+    { _id: productId, variants: { $elemMatch: { color: color || '', size: size || '' } } },
+    { $inc: { "variants.$.stock": quantity } }
+  ).setOptions({ withDeleted: true });
+};
+
+// Reserves stock for every line of an order, all or nothing. Lines that got stock are
+// flagged with stockReserved. Returns the first line that is out of stock, or null.
+const reserveOrderStock = async (items) => {
+  const reserved = [];
+  for (const item of items) {
+    item.stockReserved = false;
+
+    // Products created before stock tracking have no variants and are not limited
+    const product = await Product.findById(item.productId, 'variants').setOptions({ withDeleted: true });
+    if (!product || product.variants.length === 0) {
+      continue;
+    }
+
+    if (!(await reserveStock(item.productId, item.color, item.size, item.quantity))) {
+      await releaseOrderStock(reserved);
+      return item;
+    }
+    item.stockReserved = true;
+    reserved.push(item);
+  }
+  return null;
+};
+
+const releaseOrderStock = async (items) => {
+  for (const item of items) {
+    if (item.stockReserved) {
+      await releaseStock(item.productId, item.color, item.size, item.quantity);
+      item.stockReserved = false;
+    }
+  }
+};
+
+// Shipping Functions
+
+// Fee for delivering to a wilaya, null when that delivery type is not offered there
+const getShippingFee = async (wilayaCode, deliveryType) => {
+  const rate = await ShippingRate.findOne({ wilayaCode, isActive: true });
+  if (!rate) {
+    return null;
+  }
+  const fee = deliveryType === 'stop_desk' ? rate.stopDeskPrice : rate.homeDeliveryPrice;
+  return fee === undefined ? null : fee;
+};
+
+// Validates one { wilayaCode, homeDeliveryPrice, stopDeskPrice, isActive } entry from the admin
+const parseShippingRate = (entry) => {
+  const wilaya = findWilaya(entry && entry.wilayaCode);
+  if (!wilaya) {
+    return { error: "Invalid wilaya code" };
+  }
+
+  const parsePrice = (value) => {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const price = Number(value);
+    return isNaN(price) || price < 0 ? NaN : price;
+  };
+
+  const homeDeliveryPrice = parsePrice(entry.homeDeliveryPrice);
+  const stopDeskPrice = parsePrice(entry.stopDeskPrice);
+  if (Number.isNaN(homeDeliveryPrice) || Number.isNaN(stopDeskPrice)) {
+    return { error: `Invalid price for ${wilaya.name}` };
+  }
+
+  return {
+    rate: {
+      wilayaCode: wilaya.code,
+      homeDeliveryPrice,
+      stopDeskPrice,
+      isActive: entry.isActive !== undefined ? entry.isActive !== false && entry.isActive !== 'false' : true,
+      updatedAt: new Date()
+    }
+  };
+};
+
+// Order Functions
+
+// Turns the cart sent by the client ([{ productId, color, size, quantity }]) into order lines.
+// Names, photos and prices always come from the catalog, never from the client.
+// Product names are saved in the customer's `language`.
+// Returns { orderItems } or { error } where error is the JSON body of a 400 response.
+const buildOrderItems = async (items, { language } = {}) => {
+  if (items.some(item => !item || !mongoose.isValidObjectId(item.productId))) {
+    return { error: { message: "Each item needs a valid product" } };
+  }
+
+  const products = await Product.find({ _id: { $in: items.map(item => item.productId) } });
+
+  const orderItems = [];
+  for (const item of items) {
+    const product = products.find(p => p._id.equals(item.productId));
+    if (!product) {
+      return { error: { message: "Product not found", productId: item.productId } };
+    }
+
+    const quantity = parseInt(item.quantity !== undefined ? item.quantity : 1);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: { message: "Invalid quantity" } };
+    }
+
+    const productName = translate(product.name, language).text;
+    const color = item.color ? String(item.color).trim() : '';
+    const size = item.size ? String(item.size).trim() : '';
+    if (product.colors.length > 0 ? !product.colors.includes(color) : color !== '') {
+      return { error: { message: `Invalid color for ${productName}` } };
+    }
+    if (product.sizes.length > 0 ? !product.sizes.includes(size) : size !== '') {
+      return { error: { message: `Invalid size for ${productName}` } };
+    }
+
+    orderItems.push({
+      productId: String(product._id),
+      productName,
+      category: product.category,
+      productPhotos: photosForColor(product, color).map(photo => photo.url),
+      color,
+      size,
+      quantity,
+      unitPrice: product.price,
+      lineTotal: product.price * quantity
+    });
+  }
+
+  return { orderItems };
+};
+
+// Checks a promo code against a cart. Resolves to { coupon, discount, shippingDiscount } or { error }.
+const applyCoupon = async (code, { items, shippingFee, phone }) => {
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+  if (!coupon) {
+    return { error: "This promo code is not valid" };
+  }
+
+  const categoryIds = coupon.categoryIds.length > 0
+    ? (await getCategoryIdsWithDescendants(coupon.categoryIds.map(String))).map(String)
+    : [];
+
+  // Cancelled orders give the code back to the customer, trashed ones still count
+  const phoneUsage = phone && coupon.perPhoneLimit !== null
+    ? await Order.countDocuments({ "coupon.couponId": coupon._id, phone, status: { $ne: 'cancelled' } }).setOptions({ withDeleted: true })
+    : 0;
+
+  const result = evaluateCoupon(coupon, { items, shippingFee, categoryIds, phoneUsage });
+  return result.error ? result : { coupon, ...result };
+};
+
+// Counts one use of a coupon, unless its usage limit was reached in the meantime
+const redeemCoupon = async (coupon) => {
+  const redeemed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usageCount", "$usageLimit"] } }]
+    },
+    { $inc: { usageCount: 1 } }
+  );
+  return Boolean(redeemed);
+};
+
+const releaseCoupon = async (couponId) => {
+  await Coupon.updateOne({ _id: couponId, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+};
+
+// Takes the coupon use of a re-opened order again, within the same limits as a new order.
+// Resolves to an error message, or null. Deleted coupons are not counted anymore.
+const redeemOrderCoupon = async (order) => {
+  const coupon = await Coupon.findById(order.coupon.couponId);
+  if (!coupon) {
+    return null;
+  }
+  if (order.phone && coupon.perPhoneLimit !== null && coupon.perPhoneLimit !== undefined) {
+    const phoneUsage = await Order.countDocuments({ "coupon.couponId": coupon._id, phone: order.phone, status: { $ne: 'cancelled' } })
+      .setOptions({ withDeleted: true });
+    if (phoneUsage >= coupon.perPhoneLimit) {
+      return `This phone number already used the promo code ${coupon.code}`;
+    }
+  }
+  if (!(await redeemCoupon(coupon))) {
+    return `The promo code ${coupon.code} has reached its usage limit`;
+  }
+  return null;
+};
+
+// Moves an order to a new status: checks the transition, keeps stock and coupon uses in sync and records
+// the change in statusHistory. `actor` is { id, name } of whoever made the change.
+// Resolves to { order } or, when the change is refused, { code, error }.
+const changeOrderStatus = async (order, status, { actor, note } = {}) => {
+  if (!canTransition(order.status, status)) {
+    return { code: 400, error: `Cannot change status from ${order.status} to ${status}` };
+  }
+
+  const update = {
+    $set: { status },
+    $push: {
+      statusHistory: {
+        from: order.status,
+        to: status,
+        changedBy: actor ? actor.id : undefined,
+        changedByName: actor ? actor.name : undefined,
+        note: note ? String(note).trim() : undefined,
+        changedAt: new Date()
+      }
+    }
+  };
+
+  const releasing = releasesStock(status) && !releasesStock(order.status);
+  const reopening = releasesStock(order.status) && !releasesStock(status);
+
+  // A cancelled order gives its coupon use back (see applyCoupon), re-opening it takes the use again
+  const couponId = order.coupon && order.coupon.couponId;
+  const cancellingCoupon = couponId && status === 'cancelled' && order.status !== 'cancelled';
+  const reusingCoupon = couponId && order.status === 'cancelled' && status !== 'cancelled';
+  if (reusingCoupon) {
+    const couponError = await redeemOrderCoupon(order);
+    if (couponError) {
+      return { code: 409, error: `${couponError}, this order cannot be re-opened` };
+    }
+  }
+
+  if (releasing) {
+    update.$set.stockReserved = false;
+    update.$set["items.$[].stockReserved"] = false;
+  } else if (reopening) {
+    const outOfStock = await reserveOrderStock(order.items);
+    if (outOfStock) {
+      if (reusingCoupon) {
+        await releaseCoupon(couponId);
+      }
+      return { code: 409, error: `Not enough stock of ${outOfStock.productName} to re-open this order` };
+    }
+    update.$set.items = order.items;
+    update.$set.stockReserved = order.items.some(item => item.stockReserved);
+  }
+
+  // Matching on the current status makes a concurrent change fail instead of both applying
+  const previous = await Order.findOneAndUpdate({ _id: order._id, status: order.status }, update);
+  if (!previous) {
+    if (reopening) {
+      await releaseOrderStock(order.items);
+    }
+    if (reusingCoupon) {
+      await releaseCoupon(couponId);
+    }
+    return { code: 409, error: "This order was changed by someone else, reload it and try again" };
+  }
+
+  if (releasing && previous.stockReserved) {
+    await releaseOrderStock(previous.items);
+  }
+  if (cancellingCoupon) {
+    await releaseCoupon(couponId);
+  }
+
+  const updated = await Order.findById(order._id);
+  orderEvents.emit('order.status_changed', { order: updated, from: previous.status, to: status, actor });
+  return { order: updated };
+};
+
+// Customer Risk Functions
+const OPEN_ORDER_STATUSES = ["pending", "confirmed", "shipped"];
+
+// Resolves to { score, level, reasons } for a new order of `phone`
+const assessOrderRisk = async (phone, { recentOrdersFromIP = 0 } = {}) => {
+  const [customer, openOrders] = await Promise.all([
+    Customer.findOne({ phone }),
+    Order.countDocuments({ phone, status: { $in: OPEN_ORDER_STATUSES } })
+  ]);
+  return scoreOrderRisk(customer, { openOrders, recentOrdersFromIP });
+};
+
+const recordCustomerOrder = async (order) => {
+  await Customer.updateOne(
+    { phone: order.phone },
+    {
+      $inc: { totalOrders: 1 },
+      $set: { name: order.clientName, lastOrderAt: order.orderDate, updatedAt: new Date() },
+      $setOnInsert: { createdAt: new Date() }
+    },
+    { upsert: true }
+  );
+};
+
+// Moves the order from the counter of its old status to the one of its new status
+const recordCustomerOutcome = async (order, from, to) => {
+  const inc = {};
+  if (OUTCOME_COUNTERS[from]) {
+    inc[OUTCOME_COUNTERS[from]] = -1;
+  }
+  if (OUTCOME_COUNTERS[to]) {
+    inc[OUTCOME_COUNTERS[to]] = 1;
+  }
+  if (Object.keys(inc).length === 0) {
+    return;
+  }
+  await Customer.updateOne({ phone: order.phone }, { $inc: inc, $set: { updatedAt: new Date() } });
+};
+
+orderEvents.on('order.created', order => {
+  recordCustomerOrder(order).catch(err => console.error("❌ Error updating customer history:", err));
+});
+orderEvents.on('order.status_changed', ({ order, from, to }) => {
+  recordCustomerOutcome(order, from, to).catch(err => console.error("❌ Error updating customer history:", err));
+});
+
+// Live Feed Functions
+
+// What the admin feed shows of an order
+const toOrderFeedSummary = (order) => ({
+  _id: order._id,
+  status: order.status,
+  clientName: order.clientName,
+  phone: order.phone,
+  wilaya: order.wilaya,
+  total: order.total,
+  itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+  riskLevel: order.risk ? order.risk.level : undefined,
+  orderDate: order.orderDate
+});
+
+orderEvents.on('order.created', order => {
+  adminFeed.publish('order.created', toOrderFeedSummary(order))
+    .catch(err => console.error("❌ Error publishing admin event:", err));
+});
+orderEvents.on('order.status_changed', ({ order, from, to, actor }) => {
+  adminFeed.publish('order.status_changed', {
+    order: toOrderFeedSummary(order),
+    from,
+    to,
+    actor: actor ? actor.name : undefined
+  }).catch(err => console.error("❌ Error publishing admin event:", err));
+});
+
+// Tracking Functions
+const TRACKING_MAX_FAILURES_PER_ORDER = 5;
+const TRACKING_LOCK_MS = 15 * 60 * 1000;
+
+// Locks an order for a while after too many wrong phone numbers. Failures per IP address are
+// counted by the "tracking" rate limit.
+const recordTrackingFailure = async (order) => {
+  if (!order) {
+    return;
+  }
+
+  const updated = await Order.findByIdAndUpdate(
+    order._id,
+    { $inc: { "trackingLookup.failures": 1 } },
+    { new: true }
+  );
+  if (updated.trackingLookup.failures >= TRACKING_MAX_FAILURES_PER_ORDER) {
+    await Order.updateOne(
+      { _id: order._id },
+      { "trackingLookup.failures": 0, "trackingLookup.lockedUntil": new Date(Date.now() + TRACKING_LOCK_MS) }
+    );
+  }
+};
+
+// What a customer may see of their order: no address, email, IP or internal notes
+const toTrackingView = (order) => ({
+  orderId: order._id,
+  status: order.status,
+  orderDate: order.orderDate,
+  timeline: order.statusHistory.map(entry => ({ status: entry.to, date: entry.changedAt })),
+  items: order.items.map(item => ({
+    productId: item.productId,
+    productName: item.productName,
+    photo: item.productPhotos && item.productPhotos[0],
+    color: item.color,
+    size: item.size,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    lineTotal: item.lineTotal
+  })),
+  subtotal: order.subtotal,
+  discount: order.discount,
+  shippingFee: order.shippingFee,
+  shippingDiscount: order.shippingDiscount,
+  total: order.total,
+  wilaya: order.wilaya,
+  deliveryType: order.deliveryType,
+  shipment: order.shipment && order.shipment.trackingNumber ? {
+    courier: order.shipment.provider,
+    trackingNumber: order.shipment.trackingNumber
+  } : null
+});
+
+// Courier Functions
+
+// Applies a status reported by a courier to the order that owns the parcel.
+// Returns true when the order status changed.
+const applyCourierStatus = async (provider, { trackingNumber, courierStatus, status, note }) => {
+  const order = await Order.findOne({ "shipment.provider": provider, "shipment.trackingNumber": trackingNumber });
+  if (!order) {
+    return false;
+  }
+
+  await Order.updateOne(
+    { _id: order._id },
+    { "shipment.courierStatus": courierStatus, "shipment.lastSyncedAt": new Date() }
+  );
+
+  if (!status || status === order.status) {
+    return false;
+  }
+
+  const result = await changeOrderStatus(order, status, {
+    actor: { name: `Courier (${provider})` },
+    note: note || `Courier status: ${courierStatus}`
+  });
+  if (result.error) {
+    console.log(`⚠️ Ignored courier status "${courierStatus}" for order ${order._id}: ${result.error}`);
+    return false;
+  }
+
+  console.log(`🚚 Order ${order._id} is now ${status} (${provider})`);
+  return true;
+};
+
+// Asks the couriers for the status of every parcel that is still on its way
+const syncShipments = async () => {
+  const orders = await Order.find({ status: 'shipped', "shipment.trackingNumber": { $exists: true } });
+
+  let updated = 0;
+  for (const order of orders) {
+    const courier = getCourier(order.shipment.provider);
+    if (!courier) {
+      continue;
+    }
+
+    try {
+      const result = await courier.getShipmentStatus(order.shipment.trackingNumber);
+      if (result && await applyCourierStatus(courier.name, { trackingNumber: order.shipment.trackingNumber, ...result })) {
+        updated++;
+      }
+    } catch (error) {
+      console.error(`❌ Error syncing shipment ${order.shipment.trackingNumber}:`, error.message);
+    }
+  }
+
+  if (updated > 0) {
+    await updateDashboardStats();
+  }
+  return { checked: orders.length, updated };
+};
+
+// Trash Functions
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// TRASH_RETENTION_DAYS, 30 unless set
+const trashRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const trashPurgeDate = (document) => new Date(document.deletedAt.getTime() + trashRetentionDays() * 24 * 60 * 60 * 1000);
+
+// Returns the trashed document, or null when it does not exist or is already in the trash
+const moveToTrash = (Model, id, admin) => {
+  if (!isObjectIdString(id)) {
+    return null;
+  }
+  return Model.findOneAndUpdate(
+    { _id: id, deletedAt: null },
+    { deletedAt: new Date(), deletedBy: admin._id, deletedByName: admin.name },
+    { new: true }
+  );
+};
+
+// Returns the restored document, or null when it is not in the trash
+const restoreFromTrash = (Model, id) => {
+  if (!isObjectIdString(id)) {
+    return null;
+  }
+  return Model.findOneAndUpdate(
+    { _id: id, deletedAt: { $ne: null } },
+    { $unset: { deletedAt: 1, deletedBy: 1, deletedByName: 1 } },
+    { new: true }
+  );
+};
+
+// Trashed orders give their reserved stock back
+const trashOrder = async (id, admin) => {
+  const order = await moveToTrash(Order, id, admin);
+  if (order && order.stockReserved) {
+    await releaseOrderStock(order.items);
+    await Order.updateOne(
+      { _id: order._id, deletedAt: { $ne: null } },
+      { $set: { stockReserved: false, "items.$[].stockReserved": false } }
+    );
+  }
+  return order;
+};
+
+// Restores an order and reserves its stock again when its status holds stock.
+// Returns { order } or { code, error }.
+const restoreOrder = async (id) => {
+  const order = isObjectIdString(id) ? await Order.findOne({ _id: id, deletedAt: { $ne: null } }) : null;
+  if (!order) {
+    return { code: 404, error: "Order not found in trash" };
+  }
+
+  // Orders trashed while they kept their stock still hold it
+  const reserving = !releasesStock(order.status) && !order.stockReserved;
+  if (reserving) {
+    const outOfStock = await reserveOrderStock(order.items);
+    if (outOfStock) {
+      return { code: 409, error: `Not enough stock of ${outOfStock.productName} to restore this order` };
+    }
+  }
+
+  const update = { $unset: { deletedAt: 1, deletedBy: 1, deletedByName: 1 } };
+  if (reserving) {
+    update.$set = { items: order.items, stockReserved: order.items.some(item => item.stockReserved) };
+  }
+  const restored = await Order.findOneAndUpdate({ _id: order._id, deletedAt: { $ne: null } }, update, { new: true });
+  if (!restored) {
+    if (reserving) {
+      await releaseOrderStock(order.items);
+    }
+    return { code: 404, error: "Order not found in trash" };
+  }
+  return { order: restored };
+};
+
+// Page of trashed documents, most recently deleted first: { documents, pagination }
+const queryTrash = async (Model, query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 200);
+  const filter = { deletedAt: { $ne: null } };
+
+  const [documents, total] = await Promise.all([
+    Model.find(filter).sort({ deletedAt: -1 }).skip((page - 1) * limit).limit(limit),
+    Model.countDocuments(filter)
+  ]);
+
+  return {
+    documents: documents.map(document => ({ ...document.toJSON(), purgeAt: trashPurgeDate(document) })),
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+  };
+};
+
+// What is removed with each kind of document when the trash is purged
+const TRASH_PURGES = [
+  {
+    Model: Product,
+    cleanUp: async (product) => {
+      const reviews = await Review.find({ product: product._id }, 'photos');
+      await Review.deleteMany({ product: product._id });
+      await deleteMediaList([...product.photos, ...reviews.flatMap(review => review.photos)]);
+    }
+  },
+  // Orders trashed while they kept their stock
+  { Model: Order, cleanUp: (order) => (order.stockReserved ? releaseOrderStock(order.items) : undefined) },
+  { Model: HeroContent, cleanUp: (heroContent) => deleteMediaList([heroContent.media, heroContent.mobileMedia]) }
+];
+
+// Permanently deletes what has been in the trash longer than the retention period, with its media.
+// Documents are claimed one at a time so several instances can purge together.
+const purgeTrash = async () => {
+  const deletedBefore = new Date(Date.now() - trashRetentionDays() * 24 * 60 * 60 * 1000);
+  let purged = 0;
+
+  for (const { Model, cleanUp } of TRASH_PURGES) {
+    let document;
+    while ((document = await Model.findOneAndDelete({ deletedAt: { $ne: null, $lte: deletedBefore } }))) {
+      await cleanUp(document);
+      purged++;
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`🗑️ Purged ${purged} item(s) from the trash`);
+  }
+};
+
+// Dashboard Functions
+// Days of the dashboard and of the date filters start at midnight in this timezone
+const DASHBOARD_TIMEZONE = process.env.DASHBOARD_TIMEZONE || 'Africa/Algiers';
+
+// Keeps the all-time counters in DashboardStats up to date
+const updateDashboardStats = async () => {
+  try {
+    const totalOrders = await Order.countDocuments();
+    const pendingOrders = await Order.countDocuments({ status: 'pending' });
+    const totalProducts = await Product.countDocuments();
+    
+    const [revenue] = await Order.aggregate([
+      { $match: { status: 'delivered' } },
+      { $group: { _id: null, total: { $sum: ORDER_REVENUE } } }
+    ]);
+    const totalRevenue = revenue ? revenue.total : 0;
+    
+    const uniqueCustomers = await Order.distinct('phone');
+    
+    const stats = await DashboardStats.findOneAndUpdate({}, {
+      totalRevenue,
+      totalOrders,
+      totalCustomers: uniqueCustomers.length,
+      pendingOrders,
+      totalProducts,
+      updatedAt: new Date()
+    }, { upsert: true, new: true });
+
+    await adminFeed.publish('dashboard.stats', {
+      totalRevenue: stats.totalRevenue,
+      totalOrders: stats.totalOrders,
+      totalCustomers: stats.totalCustomers,
+      pendingOrders: stats.pendingOrders,
+      totalProducts: stats.totalProducts,
+      updatedAt: stats.updatedAt
+    }, { roles: ['owner'] });
+    
+  } catch (error) {
+    console.error('Error updating dashboard stats:', error);
+  }
+};
+
+// Admin Functions
+const initializeAdminUser = async () => {
+  try {
+    const count = await AdminUser.countDocuments();
+    if (count > 0) {
+      return;
+    }
+
+    if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
+      console.log('⚠️ No admin users exist - set ADMIN_EMAIL and ADMIN_PASSWORD to create the owner account');
+      return;
+    }
+
+    await AdminUser.create({
+      name: process.env.ADMIN_NAME || 'Owner',
+      email: process.env.ADMIN_EMAIL,
+      passwordHash: await hashPassword(process.env.ADMIN_PASSWORD),
+      role: 'owner'
+    });
+    console.log('✅ Created owner account:', process.env.ADMIN_EMAIL);
+  } catch (error) {
+    console.error('Error initializing admin user:', error);
+  }
+};
+
+// Issues a new access/refresh token pair and stores the refresh token hash
+const issueTokens = async (admin) => {
+  const refresh = generateRefreshToken();
+  const now = new Date();
+
+  admin.refreshTokens = admin.refreshTokens.filter(t => t.expiresAt > now);
+  admin.refreshTokens.push({ tokenHash: refresh.tokenHash, expiresAt: refresh.expiresAt });
+  await admin.save();
+
+  return {
+    accessToken: signAccessToken(admin),
+    refreshToken: refresh.token,
+    refreshTokenExpiresAt: refresh.expiresAt,
+    admin
+  };
+};
+
+// ==================== ROUTES ====================
+
+// Validation rules shared by many routes
+const ID_PARAMS = { id: { type: 'objectId' } };
+const PHOTO_PARAMS = { id: { type: 'objectId' }, photoId: { type: 'objectId' } };
+const PAGE_QUERY = {
+  page: { type: 'number', integer: true, min: 1 },
+  limit: { type: 'number', integer: true, min: 1 }
+};
+// Query parameters of the catalog routes (see buildProductFilter and queryProducts)
+const CATALOG_FILTER_QUERY = {
+  minPrice: { type: 'number', min: 0 },
+  maxPrice: { type: 'number', min: 0 }
+};
+const CATALOG_QUERY = {
+  ...CATALOG_FILTER_QUERY,
+  ...PAGE_QUERY,
+  sort: { type: 'string', enum: Object.keys(PRODUCT_SORTS) }
+};
+// Cart items of the order and coupon routes (see buildOrderItems)
+const ORDER_ITEMS_RULE = {
+  type: 'array',
+  required: true,
+  minItems: 1,
+  maxItems: MAX_ORDER_ITEMS,
+  items: {
+    type: 'object',
+    fields: {
+      productId: { type: 'objectId', required: true },
+      quantity: { type: 'number', integer: true, min: 1 },
+      color: { type: 'string' },
+      size: { type: 'string' }
+    }
+  }
+};
+
+// Health check
+app.get("/", (req, res) => {
+  res.json({ 
+    message: "✅ MCA Shop API Running",
+    timestamp: new Date().toISOString(),
+    version: "1.0.0",
+    mediaStorage: defaultStorageDriverName()
+  });
+});
+
+// ==================== AUTH ROUTES ====================
+
+// Login
+app.post("/api/auth/login", limitLogin, validate({
+  body: {
+    email: { type: 'string', required: true, message: "Email and password are required" },
+    password: { type: 'string', required: true, message: "Email and password are required" }
+  }
+}), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const admin = await AdminUser.findOne({ email: String(email).toLowerCase().trim() });
+    if (!admin || !admin.isActive || !(await verifyPassword(String(password), admin.passwordHash))) {
+      return res.status(401).json({ message: "Invalid email or password" });
+    }
+
+    admin.lastLoginAt = new Date();
+    const tokens = await issueTokens(admin);
+
+    console.log("🔑 Admin logged in:", admin.email);
+    res.json(tokens);
+  } catch (err) {
+    console.error("❌ Login error:", err);
+    res.status(500).json({ message: "Error logging in: " + err.message });
+  }
+});
+
+// Refresh tokens (the old refresh token is rotated out)
+app.post("/api/auth/refresh", validate({
+  body: { refreshToken: { type: 'string', required: true, message: "Refresh token is required" } }
+}), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const tokenHash = hashToken(String(refreshToken));
+    const admin = await AdminUser.findOne({ "refreshTokens.tokenHash": tokenHash });
+    const stored = admin && admin.refreshTokens.find(t => t.tokenHash === tokenHash);
+
+    if (!admin || !admin.isActive || !stored || stored.expiresAt <= new Date()) {
+      return res.status(401).json({ message: "Invalid or expired refresh token" });
+    }
+
+    admin.refreshTokens.pull(stored._id);
+    const tokens = await issueTokens(admin);
+    res.json(tokens);
+  } catch (err) {
+    console.error("❌ Token refresh error:", err);
+    res.status(500).json({ message: "Error refreshing token: " + err.message });
+  }
+});
+
+// Logout (revokes the given refresh token)
+app.post("/api/auth/logout", validate({
+  body: { refreshToken: { type: 'string' } }
+}), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+      await AdminUser.updateOne(
+        { "refreshTokens.tokenHash": hashToken(String(refreshToken)) },
+        { $pull: { refreshTokens: { tokenHash: hashToken(String(refreshToken)) } } }
+      );
+    }
+    res.json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error("❌ Logout error:", err);
+    res.status(500).json({ message: "Error logging out: " + err.message });
+  }
+});
+
+// Current admin
+app.get("/api/auth/me", requireAuth, (req, res) => {
+  res.json(req.admin);
+});
+
+// Every admin route below requires a valid access token, and every change is written to the audit log
+app.use("/api/admin", requireAuth);
+app.use("/api/admin", auditAdminChanges);
+
+// ==================== MEDIA ROUTES ====================
+
+// Check that the media storage works by storing and deleting a 1x1 PNG
+app.post("/api/admin/media/test", requireRole("owner"), async (req, res) => {
+  const driverName = defaultStorageDriverName();
+  try {
+    const driver = getStorageDriver(driverName);
+    if (driver.ping) {
+      await driver.ping();
+    }
+
+    const transparentPNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+    const media = await storeUploadedFile({
+      buffer: Buffer.from(transparentPNG, 'base64'),
+      originalname: 'test-image.png',
+      mimetype: 'image/png'
+    }, { folder: 'tests', driver });
+    await driver.delete(media);
+
+    console.log(`✅ Media storage test successful (${driverName})`);
+    res.json({ success: true, driver: driverName, drivers: listStorageDrivers(), testUrl: media.url });
+  } catch (err) {
+    console.error(`❌ Media storage test failed (${driverName}):`, err);
+    res.status(500).json({ success: false, driver: driverName, message: "Media storage error: " + err.message });
+  }
+});
+
+// ==================== ADMIN USER ROUTES ====================
+
+// Get all admin users
+app.get("/api/admin/users", requireRole("owner"), async (req, res) => {
+  try {
+    const admins = await AdminUser.find().sort({ createdAt: 1 });
+    res.json(admins);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Create admin user
+app.post("/api/admin/users", requireRole("owner"), validate({
+  body: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    email: { type: 'email', required: true },
+    password: { type: 'string', required: true, minLength: 8 },
+    role: { type: 'string', enum: ADMIN_ROLES }
+  }
+}), async (req, res) => {
+  try {
+    const { name, email, password, role = "operator" } = req.body;
+
+    const existing = await AdminUser.findOne({ email: email.toLowerCase().trim() });
+    if (existing) {
+      return res.status(400).json({ message: "An admin with this email already exists" });
+    }
+
+    const admin = await AdminUser.create({
+      name: name.trim(),
+      email,
+      passwordHash: await hashPassword(password),
+      role
+    });
+
+    res.status(201).json(admin);
+  } catch (err) {
+    console.error("❌ Error creating admin user:", err);
+    res.status(500).json({ message: "Error creating admin user: " + err.message });
+  }
+});
+
+// Update admin user
+app.put("/api/admin/users/:id", requireRole("owner"), validate({
+  params: ID_PARAMS,
+  body: {
+    name: { type: 'string', notEmpty: true, maxLength: 100 },
+    password: { type: 'string', minLength: 8 },
+    role: { type: 'string', enum: ADMIN_ROLES },
+    isActive: { type: 'boolean' }
+  }
+}), async (req, res) => {
+  try {
+    const { name, password, role, isActive } = req.body;
+
+    const admin = await AdminUser.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ message: "Admin user not found" });
+    }
+
+    if (admin._id.equals(req.admin._id) && ((role && role !== 'owner') || isActive === false || isActive === 'false')) {
+      return res.status(400).json({ message: "You cannot demote or disable your own account" });
+    }
+
+    if (name) admin.name = name.trim();
+    if (role) admin.role = role;
+    if (isActive !== undefined) admin.isActive = isActive;
+    if (password) {
+      admin.passwordHash = await hashPassword(password);
+      admin.refreshTokens = [];
+    }
+    if (!admin.isActive) {
+      admin.refreshTokens = [];
+    }
+
+    await admin.save();
+    res.json(admin);
+  } catch (err) {
+    console.error("❌ Error updating admin user:", err);
+    res.status(500).json({ message: "Error updating admin user: " + err.message });
+  }
+});
+
+// Delete admin user
+app.delete("/api/admin/users/:id", requireRole("owner"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    if (req.admin._id.equals(req.params.id)) {
+      return res.status(400).json({ message: "You cannot delete your own account" });
+    }
+
+    const admin = await AdminUser.findByIdAndDelete(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ message: "Admin user not found" });
+    }
+
+    res.json({ message: "Admin user deleted successfully" });
+  } catch (err) {
+    console.error("❌ Error deleting admin user:", err);
+    res.status(500).json({ message: "Error deleting admin user: " + err.message });
+  }
+});
+
+// ==================== CATEGORY ROUTES ====================
+
+const CATEGORY_BODY = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  slug: { type: 'string', maxLength: 100 },
+  parent: { type: 'string' },
+  order: { type: 'number', integer: true }
+};
+
+// Category tree (public)
+app.get("/api/public/categories", async (req, res) => {
+  try {
+    const categories = await Category.find();
+    res.json(buildCategoryTree(categories));
+  } catch (err) {
+    console.error("❌ Error fetching categories:", err);
+    res.status(500).json({ message: "Error fetching categories: " + err.message });
+  }
+});
+
+// Products of a category and its subcategories (same query parameters as /api/public/products)
+app.get("/api/public/categories/:slug/products", validate({ query: CATALOG_QUERY }), async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug.toLowerCase() });
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const language = storefrontLanguage(req, res);
+    const result = await queryProducts({ ...req.query, category: category.slug }, language);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    res.json({ category, ...result });
+  } catch (err) {
+    console.error("❌ Error fetching category products:", err);
+    res.status(500).json({ message: "Error fetching category products: " + err.message });
+  }
+});
+
+// Get all categories (admin, flat list with product counts)
+app.get("/api/admin/categories", requireRole("owner"), async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ order: 1, name: 1 }),
+      Product.aggregate([{ $group: { _id: "$category", count: { $sum: 1 } } }])
+    ]);
+
+    res.json(categories.map(category => {
+      const count = counts.find(c => c._id && c._id.equals(category._id));
+      return { ...category.toJSON(), productCount: count ? count.count : 0 };
+    }));
+  } catch (err) {
+    console.error("❌ Error fetching categories:", err);
+    res.status(500).json({ message: "Error fetching categories: " + err.message });
+  }
+});
+
+// Create category
+app.post("/api/admin/categories", requireRole("owner"), upload.single("image"), validate({ body: CATEGORY_BODY }), async (req, res) => {
+  try {
+    const { name, slug, parent, order } = req.body;
+
+    let parentCategory = null;
+    if (parent) {
+      parentCategory = await findCategory(parent);
+      if (!parentCategory) {
+        removeUploadedFiles(req);
+        return res.status(400).json({ message: "Parent category not found" });
+      }
+    }
+
+    const image = req.file ? await storeUploadedFile(req.file, { folder: 'categories' }) : undefined;
+
+    let category;
+    try {
+      category = await Category.create({
+        name: name.trim(),
+        slug: await uniqueCategorySlug(slug || name),
+        parent: parentCategory ? parentCategory._id : null,
+        order: parseInt(order) || 0,
+        image
+      });
+    } catch (createError) {
+      await deleteMedia(image);
+      throw createError;
+    }
+
+    res.status(201).json(category);
+  } catch (err) {
+    console.error("❌ Error creating category:", err);
+    removeUploadedFiles(req);
+    res.status(500).json({ message: "Error creating category: " + err.message });
+  }
+});
+
+// Update category
+app.put("/api/admin/categories/:id", requireRole("owner"), upload.single("image"), validate({
+  params: ID_PARAMS,
+  body: { ...CATEGORY_BODY, name: { type: 'string', notEmpty: true, maxLength: 100 } }
+}), async (req, res) => {
+  try {
+    const { name, slug, parent, order } = req.body;
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      removeUploadedFiles(req);
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    if (name) {
+      category.name = name.trim();
+    }
+    if (slug) {
+      category.slug = await uniqueCategorySlug(slug, category._id);
+    }
+    if (order !== undefined) {
+      category.order = parseInt(order) || 0;
+    }
+
+    // An empty parent moves the category to the top level
+    if (parent !== undefined) {
+      if (!parent) {
+        category.parent = null;
+      } else {
+        const parentCategory = await findCategory(parent);
+        if (!parentCategory) {
+          removeUploadedFiles(req);
+          return res.status(400).json({ message: "Parent category not found" });
+        }
+        const ownTree = await getCategoryIdsWithDescendants([String(category._id)]);
+        if (ownTree.some(id => id.equals(parentCategory._id))) {
+          removeUploadedFiles(req);
+          return res.status(400).json({ message: "A category cannot be moved under itself or one of its subcategories" });
+        }
+        category.parent = parentCategory._id;
+      }
+    }
+
+    const previousImage = category.image;
+    if (req.file) {
+      category.image = await storeUploadedFile(req.file, { folder: 'categories' });
+    }
+
+    category.updatedAt = new Date();
+    try {
+      await category.save();
+    } catch (saveError) {
+      if (req.file) {
+        await deleteMedia(category.image);
+      }
+      throw saveError;
+    }
+    if (req.file) {
+      await deleteMedia(previousImage);
+    }
+    res.json(category);
+  } catch (err) {
+    console.error("❌ Error updating category:", err);
+    removeUploadedFiles(req);
+    res.status(500).json({ message: "Error updating category: " + err.message });
+  }
+});
+
+// Delete category (only when it has no subcategories and no products)
+app.delete("/api/admin/categories/:id", requireRole("owner"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(400).json({ message: "Move or delete the subcategories first" });
+    }
+    // Products in the trash can still be restored into this category
+    if (await Product.exists({ category: category._id }).setOptions({ withDeleted: true })) {
+      return res.status(400).json({ message: "Move the products of this category first" });
+    }
+
+    await Category.findByIdAndDelete(category._id);
+    await deleteMedia(category.image);
+    res.json({ message: "Category deleted successfully" });
+  } catch (err) {
+    console.error("❌ Error deleting category:", err);
+    res.status(500).json({ message: "Error deleting category: " + err.message });
+  }
+});
+
+// ==================== PRODUCT ROUTES ====================
+
+const PRODUCT_BODY = {
+  name: { type: 'translations', required: true, maxLength: 200 },
+  description: { type: 'translations', maxLength: 5000 },
+  price: { type: 'number', required: true, min: 0 },
+  category: { type: 'string', required: true },
+  colors: { type: 'string' },
+  sizes: { type: 'string' },
+  stock: { type: 'json', message: "Invalid stock format" }
+};
+
+// Get products: ?q=&category=&minPrice=&maxPrice=&color=&size=&sort=newest|price_asc|price_desc|rating&page=&limit=&lang=
+app.get("/api/public/products", validate({ query: CATALOG_QUERY }), async (req, res) => {
+  try {
+    const language = storefrontLanguage(req, res);
+    const result = await queryProducts(req.query, language);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Error fetching products:", err);
+    res.status(500).json({ message: "Error fetching products: " + err.message });
+  }
+});
+
+// Filter facets (categories, colors, sizes, price range) for the products matching the same filters
+app.get("/api/public/products/facets", validate({ query: CATALOG_FILTER_QUERY }), async (req, res) => {
+  try {
+    const { filter, error } = await buildProductFilter(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const countBy = (field) => [
+      { $unwind: "$" + field },
+      { $group: { _id: "$" + field, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, value: "$_id", count: 1 } }
+    ];
+
+    const [facets] = await Product.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          categories: [
+            { $group: { _id: "$category", count: { $sum: 1 } } },
+            { $lookup: { from: "categories", localField: "_id", foreignField: "_id", as: "category" } },
+            { $unwind: "$category" },
+            { $sort: { count: -1, "category.order": 1 } },
+            { $project: { _id: 0, id: "$_id", name: "$category.name", slug: "$category.slug", count: 1 } }
+          ],
+          colors: countBy('colors'),
+          sizes: countBy('sizes'),
+          price: [{ $group: { _id: null, min: { $min: "$price" }, max: { $max: "$price" } } }],
+          total: [{ $count: "count" }]
+        }
+      }
+    ]);
+
+    res.json({
+      total: facets.total.length > 0 ? facets.total[0].count : 0,
+      categories: facets.categories,
+      colors: facets.colors,
+      sizes: facets.sizes,
+      price: facets.price.length > 0 ? { min: facets.price[0].min, max: facets.price[0].max } : null
+    });
+  } catch (err) {
+    console.error("❌ Error fetching product facets:", err);
+    res.status(500).json({ message: "Error fetching product facets: " + err.message });
+  }
+});
+
+// Get single product with its rating and first page of approved reviews (?reviewsPage=&reviewsLimit=)
+app.get("/api/public/products/:id", validate({
+  params: ID_PARAMS,
+  query: {
+    reviewsPage: { type: 'number', integer: true, min: 1 },
+    reviewsLimit: { type: 'number', integer: true, min: 1 }
+  }
+}), async (req, res) => {
+  try {
+    const language = storefrontLanguage(req, res);
+    const product = await Product.findById(req.params.id).populate('category', 'name slug parent');
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const reviews = await queryProductReviews(product._id, { page: req.query.reviewsPage, limit: req.query.reviewsLimit });
+    res.json({ ...localizeProduct(product, language), reviews });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Create product
+app.post("/api/admin/products", requireRole("owner"), upload.array("photos", 10), validate({ body: PRODUCT_BODY }), async (req, res) => {
+  try {
+    const { price, category, colors, sizes, stock } = req.body;
+
+    // name and description: a text in the default language or { ar, fr, en }
+    const { data: texts, error: textsError } = parseTranslatedFields(req.body, ['name', 'description']);
+    if (textsError) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: textsError });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: "At least one photo is required" });
+    }
+
+    const stockEntries = parseStockInput(stock);
+    if (!stockEntries) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: "Invalid stock format" });
+    }
+
+    const productCategory = await findCategory(category);
+    if (!productCategory) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: "Category not found" });
+    }
+
+    if (req.files.length > MAX_PRODUCT_PHOTOS) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: `A product can have at most ${MAX_PRODUCT_PHOTOS} photos` });
+    }
+
+    const colorsArray = colors ? colors.split(',').map(color => color.trim()).filter(color => color !== '') : [];
+    const sizesArray = sizes ? sizes.split(',').map(size => size.trim()).filter(size => size !== '') : [];
+
+    const { fieldsList, error: photoError } = parseUploadedPhotoFields(colorsArray, req.files.length, req.body);
+    if (photoError) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: photoError });
+    }
+
+    const photos = (await storeUploadedFiles(req.files, { folder: 'products' }))
+      .map((photo, index) => ({ ...photo, ...fieldsList[index] }));
+
+    const newProduct = new Product({ 
+      name: texts.name,
+      description: texts.description || {},
+      price: parseFloat(price),
+      category: productCategory._id,
+      colors: colorsArray,
+      sizes: sizesArray,
+      variants: buildVariants(colorsArray, sizesArray, stockEntries),
+      photos
+    });
+
+    try {
+      await newProduct.save();
+    } catch (saveError) {
+      await deleteMediaList(photos);
+      throw saveError;
+    }
+    await updateDashboardStats();
+    
+    res.status(201).json(newProduct);
+  } catch (err) {
+    console.error("❌ Error creating product:", err);
+    removeUploadedFiles(req);
+    res.status(500).json({ message: "Error creating product: " + err.message });
+  }
+});
+
+// Update product
+app.put("/api/admin/products/:id", requireRole("owner"), upload.array("photos", 10), validate({
+  params: ID_PARAMS,
+  body: {
+    ...PRODUCT_BODY,
+    name: { type: 'translations', notEmpty: true, maxLength: 200 },
+    price: { type: 'number', notEmpty: true, min: 0 },
+    category: { type: 'string' }
+  }
+}), async (req, res) => {
+  try {
+    const { price, category, colors, sizes, stock } = req.body;
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      removeUploadedFiles(req);
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    // Only the languages sent are changed
+    const { data: texts, error: textsError } = parseTranslatedFields(req.body, ['name', 'description'], product);
+    if (textsError) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: textsError });
+    }
+    if (texts.name && !hasTranslation(texts.name)) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: "Name cannot be empty" });
+    }
+
+    const stockEntries = parseStockInput(stock);
+    if (!stockEntries) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: "Invalid stock format" });
+    }
+
+    let productCategory;
+    if (category) {
+      productCategory = await findCategory(category);
+      if (!productCategory) {
+        removeUploadedFiles(req);
+        return res.status(400).json({ message: "Category not found" });
+      }
+    }
+
+    // Colors, sizes and variants are kept unless they are sent
+    const colorsArray = colors !== undefined
+      ? colors.split(',').map(color => color.trim()).filter(color => color !== '')
+      : product.colors;
+    const sizesArray = sizes !== undefined
+      ? sizes.split(',').map(size => size.trim()).filter(size => size !== '')
+      : product.sizes;
+
+    const updateData = {
+      ...texts,
+      price,
+      category: productCategory ? productCategory._id : undefined
+    };
+    const replacingVariants = colors !== undefined || sizes !== undefined || stock !== undefined;
+    if (replacingVariants) {
+      updateData.colors = colorsArray;
+      updateData.sizes = sizesArray;
+    }
+
+    // Uploaded photos are added after the existing ones, see the photo routes to remove or reorder them
+    const update = { $set: updateData };
+    let photos = [];
+    if (req.files && req.files.length > 0) {
+      if (product.photos.length + req.files.length > MAX_PRODUCT_PHOTOS) {
+        removeUploadedFiles(req);
+        return res.status(400).json({ message: `A product can have at most ${MAX_PRODUCT_PHOTOS} photos` });
+      }
+      const { fieldsList, error: photoError } = parseUploadedPhotoFields(colorsArray, req.files.length, req.body);
+      if (photoError) {
+        removeUploadedFiles(req);
+        return res.status(400).json({ message: photoError });
+      }
+      photos = (await storeUploadedFiles(req.files, { folder: 'products' }))
+        .map((photo, index) => ({ ...photo, ...fieldsList[index] }));
+      update.$push = { photos: { $each: photos } };
+    }
+
+    // The variants keep the stock of the latest read, an order reserving stock in between
+    // makes the update miss and the variants are built again
+    let updatedProduct;
+    let current = product;
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const filter = { _id: product._id };
+        if (replacingVariants) {
+          updateData.variants = buildVariants(colorsArray, sizesArray, stockEntries, current.variants);
+          Object.assign(filter, unchangedVariantsFilter(current.variants));
+        }
+        updatedProduct = await Product.findOneAndUpdate(filter, update, { new: true });
+        if (updatedProduct || !replacingVariants || attempt === 3) {
+          break;
+        }
+        current = await Product.findById(product._id);
+        if (!current) {
+          break;
+        }
+      }
+    } catch (updateError) {
+      await deleteMediaList(photos);
+      throw updateError;
+    }
+
+    if (!updatedProduct) {
+      await deleteMediaList(photos);
+      if (current && replacingVariants) {
+        return res.status(409).json({ message: "The stock of this product changed while saving, please try again" });
+      }
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    res.json(updatedProduct);
+  } catch (err) {
+    removeUploadedFiles(req);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Bulk import products from CSV (columns: name, description, price, category, colors, sizes, images, stock,
+// plus name_ar, name_fr, name_en, description_ar, ... for translations).
+// With dryRun=true the rows are only validated.
+app.post("/api/admin/products/import", requireRole("owner"), csvUpload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "A CSV file is required" });
+    }
+
+    const dryRun = (req.body && req.body.dryRun === 'true') || req.query.dryRun === 'true';
+
+    let rows;
+    try {
+      rows = parseProductCsv(req.file.buffer);
+    } catch (parseError) {
+      return res.status(400).json({ message: "Invalid CSV: " + parseError.message });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: "The file has no rows", columns: PRODUCT_IMPORT_COLUMNS });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` });
+    }
+    const missingColumns = missingImportColumns(rows);
+    if (missingColumns.length > 0) {
+      return res.status(400).json({ message: `Missing columns: ${missingColumns.join(', ')}`, columns: PRODUCT_IMPORT_COLUMNS });
+    }
+
+    // Categories can be given by ID, slug or name
+    const categories = await Category.find();
+    const resolveCategory = (value) => categories.find(c =>
+      String(c._id) === value || c.slug === value.toLowerCase() || c.slug === slugify(value)
+    );
+
+    const report = [];
+    for (const row of rows) {
+      const { product, errors } = validateProductRow(row.values);
+      const name = translate(product.name).text;
+      const category = product.category ? resolveCategory(product.category) : null;
+      if (product.category && !category) {
+        errors.push(`unknown category "${product.category}"`);
+      }
+
+      if (errors.length > 0) {
+        report.push({ row: row.line, name, status: 'invalid', errors });
+        continue;
+      }
+      if (dryRun) {
+        report.push({ row: row.line, name, status: 'valid', errors: [] });
+        continue;
+      }
+
+      const photos = [];
+      try {
+        for (const imageUrl of product.images) {
+          photos.push(await storeRemoteFile(imageUrl, { folder: 'products' }));
+        }
+
+        const created = await Product.create({
+          name: product.name,
+          description: product.description,
+          price: product.price,
+          category: category._id,
+          colors: product.colors,
+          sizes: product.sizes,
+          variants: buildVariants(product.colors, product.sizes, []).map(variant => ({ ...variant, stock: product.stock })),
+          photos
+        });
+        report.push({ row: row.line, name, status: 'created', productId: created._id, errors: [] });
+      } catch (createError) {
+        await deleteMediaList(photos);
+        report.push({ row: row.line, name, status: 'failed', errors: [createError.message] });
+      }
+    }
+
+    const count = (status) => report.filter(r => r.status === status).length;
+    if (count('created') > 0) {
+      await updateDashboardStats();
+      console.log(`📥 Imported ${count('created')} product(s)`);
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      total: rows.length,
+      valid: dryRun ? count('valid') : count('created') + count('failed'),
+      invalid: count('invalid'),
+      created: count('created'),
+      failed: count('failed'),
+      rows: report
+    });
+  } catch (err) {
+    console.error("❌ Error importing products:", err);
+    res.status(500).json({ message: "Error importing products: " + err.message });
+  }
+});
+
+// Low-stock variants
+app.get("/api/admin/products/low-stock", requireRole("owner"), validate({
+  query: { threshold: { type: 'number', integer: true, min: 0 } }
+}), async (req, res) => {
+  try {
+    const threshold = req.query.threshold !== undefined ? parseInt(req.query.threshold) : LOW_STOCK_THRESHOLD;
+
+    const items = await Product.aggregate([
+      { $unwind: "$variants" },
+      { $match: { "variants.stock": { $lte: threshold } } },
+      { $sort: { "variants.stock": 1, name: 1 } },
+      {
+        $project: {
+          _id: 0,
+          productId: "$_id",
+          name: 1,
+          category: 1,
+          photo: { $arrayElemAt: ["$photos.url", 0] },
+          color: "$variants.color",
+          size: "$variants.size",
+          stock: "$variants.stock"
+        }
+      }
+    ]);
+
+    res.json({ threshold, items });
+  } catch (err) {
+    console.error("❌ Error fetching low stock:", err);
+    res.status(500).json({ message: "Error fetching low stock: " + err.message });
+  }
+});
+
+// Set stock for some variants of a product
+app.put("/api/admin/products/:id/stock", requireRole("owner"), validate({
+  params: ID_PARAMS,
+  body: {
+    variants: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: {
+        type: 'object',
+        fields: {
+          color: { type: 'string' },
+          size: { type: 'string' },
+          stock: { type: 'number', required: true, integer: true, min: 0 }
+        }
+      }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const stockEntries = parseStockInput(req.body.variants);
+    if (!stockEntries || stockEntries.length === 0) {
+      return res.status(400).json({ message: "variants must be a list of { color, size, stock }" });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const unknown = stockEntries.filter(entry =>
+      !product.variants.some(v => v.color === entry.color && v.size === entry.size)
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: "Unknown variants", variants: unknown });
+    }
+
+    for (const entry of stockEntries) {
+      await Product.updateOne(
+        { _id: product._id, variants: { $elemMatch: { color: entry.color, size: entry.size } } },
+        { $set: { "variants.$.stock": entry.stock } }
+      );
+    }
+
+    res.json(await Product.findById(product._id));
+  } catch (err) {
+    console.error("❌ Error updating stock:", err);
+    res.status(500).json({ message: "Error updating stock: " + err.message });
+  }
+});
+
+// Add photos to a product (multipart "photos", with optional "alt" and "color" fields)
+app.post("/api/admin/products/:id/photos", requireRole("owner"), upload.array("photos", 10), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: "At least one photo is required" });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      removeUploadedFiles(req);
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const { fieldsList, error: photoError } = parseUploadedPhotoFields(product.colors, req.files.length, req.body);
+    if (photoError) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: photoError });
+    }
+
+    const photos = (await storeUploadedFiles(req.files, { folder: 'products' }))
+      .map((photo, index) => ({ ...photo, ...fieldsList[index] }));
+
+    // The size check is part of the update so that concurrent uploads cannot go over the limit
+    const updatedProduct = await Product.findOneAndUpdate(
+      { _id: product._id, [`photos.${MAX_PRODUCT_PHOTOS - photos.length}`]: { $exists: false } },
+      { $push: { photos: { $each: photos } } },
+      { new: true }
+    );
+    if (!updatedProduct) {
+      await deleteMediaList(photos);
+      return res.status(400).json({ message: `A product can have at most ${MAX_PRODUCT_PHOTOS} photos` });
+    }
+
+    res.status(201).json(updatedProduct);
+  } catch (err) {
+    console.error("❌ Error adding product photos:", err);
+    removeUploadedFiles(req);
+    res.status(500).json({ message: "Error adding product photos: " + err.message });
+  }
+});
+
+// Reorder the photos: { photoIds: [...] } with every photo ID, the first one becomes the cover
+app.put("/api/admin/products/:id/photos/order", requireRole("owner"), validate({
+  params: ID_PARAMS,
+  body: { photoIds: { type: 'array', required: true, items: { type: 'objectId' } } }
+}), async (req, res) => {
+  try {
+    const { photoIds } = req.body;
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const currentIds = product.photos.map(photo => String(photo._id));
+    const isPermutation = Array.isArray(photoIds)
+      && photoIds.length === currentIds.length
+      && new Set(photoIds.map(String)).size === currentIds.length
+      && photoIds.every(id => currentIds.includes(String(id)));
+    if (!isPermutation) {
+      return res.status(400).json({ message: "photoIds must list every photo of the product exactly once", photoIds: currentIds });
+    }
+
+    const updatedProduct = await reorderProductPhotos(product, photoIds.map(String));
+    if (!updatedProduct) {
+      return res.status(409).json({ message: "The photos were changed by someone else, reload them and try again" });
+    }
+
+    res.json(updatedProduct);
+  } catch (err) {
+    console.error("❌ Error reordering product photos:", err);
+    res.status(500).json({ message: "Error reordering product photos: " + err.message });
+  }
+});
+
+// Make a photo the cover (moves it first)
+app.put("/api/admin/products/:id/photos/:photoId/cover", requireRole("owner"), validate({ params: PHOTO_PARAMS }), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const currentIds = product.photos.map(photo => String(photo._id));
+    if (!currentIds.includes(req.params.photoId)) {
+      return res.status(404).json({ message: "Photo not found" });
+    }
+
+    const photoIds = [req.params.photoId, ...currentIds.filter(id => id !== req.params.photoId)];
+    const updatedProduct = await reorderProductPhotos(product, photoIds);
+    if (!updatedProduct) {
+      return res.status(409).json({ message: "The photos were changed by someone else, reload them and try again" });
+    }
+
+    res.json(updatedProduct);
+  } catch (err) {
+    console.error("❌ Error setting the cover photo:", err);
+    res.status(500).json({ message: "Error setting the cover photo: " + err.message });
+  }
+});
+
+// Change the alt text or color of a photo: { alt, color }
+app.put("/api/admin/products/:id/photos/:photoId", requireRole("owner"), validate({
+  params: PHOTO_PARAMS,
+  body: {
+    alt: { type: 'string', maxLength: 300 },
+    color: { type: 'string' }
+  }
+}), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const { fields, error } = parsePhotoFields(product.colors, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ message: "Nothing to update, send alt or color" });
+    }
+
+    const updatedProduct = await Product.findOneAndUpdate(
+      { _id: product._id, "photos._id": req.params.photoId },
+      { $set: Object.fromEntries(Object.entries(fields).map(([field, value]) => [`photos.$.${field}`, value])) },
+      { new: true }
+    );
+    if (!updatedProduct) {
+      return res.status(404).json({ message: "Photo not found" });
+    }
 
     res.json(updatedProduct);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    console.error("❌ Error updating product photo:", err);
+    res.status(500).json({ message: "Error updating product photo: " + err.message });
+  }
+});
+
+// Delete one photo and its file. The last photo of a product cannot be deleted.
+app.delete("/api/admin/products/:id/photos/:photoId", requireRole("owner"), validate({ params: PHOTO_PARAMS }), async (req, res) => {
+  try {
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.id, "photos._id": req.params.photoId, "photos.1": { $exists: true } },
+      { $pull: { photos: { _id: req.params.photoId } } }
+    );
+    if (!product) {
+      const current = await Product.findById(req.params.id);
+      if (!current || !current.photos.some(photo => String(photo._id) === req.params.photoId)) {
+        return res.status(404).json({ message: "Photo not found" });
+      }
+      return res.status(400).json({ message: "A product needs at least one photo" });
+    }
+
+    await deleteMedia(product.photos.find(photo => String(photo._id) === req.params.photoId));
+    res.json(await Product.findById(product._id));
+  } catch (err) {
+    console.error("❌ Error deleting product photo:", err);
+    res.status(500).json({ message: "Error deleting product photo: " + err.message });
+  }
+});
+
+// Products in the trash (?page=&limit=), each with the date it will be purged
+app.get("/api/admin/products/trash", requireRole("owner"), validate({ query: PAGE_QUERY }), async (req, res) => {
+  try {
+    const { documents, pagination } = await queryTrash(Product, req.query);
+    res.json({ products: documents, pagination });
+  } catch (err) {
+    console.error("❌ Error fetching trashed products:", err);
+    res.status(500).json({ message: "Error fetching trashed products: " + err.message });
+  }
+});
+
+// Move a product to the trash. Its photos are kept until the trash is purged.
+app.delete("/api/admin/products/:id", requireRole("owner"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const product = await moveToTrash(Product, req.params.id, req.admin);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    await updateDashboardStats();
+    res.json({ message: "Product moved to trash", purgeAt: trashPurgeDate(product) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Restore a product from the trash
+app.post("/api/admin/products/:id/restore", requireRole("owner"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const product = await restoreFromTrash(Product, req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found in trash" });
+    }
+
+    await updateDashboardStats();
+    res.json(product);
+  } catch (err) {
+    console.error("❌ Error restoring product:", err);
+    res.status(500).json({ message: "Error restoring product: " + err.message });
+  }
+});
+
+// ==================== REVIEW ROUTES ====================
+
+// Approved reviews of a product: ?page=&limit=
+app.get("/api/public/products/:id/reviews", validate({ params: ID_PARAMS, query: PAGE_QUERY }), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id, 'rating');
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const result = await queryProductReviews(product._id, req.query);
+    res.json({ rating: product.rating, ...result });
+  } catch (err) {
+    console.error("❌ Error fetching reviews:", err);
+    res.status(500).json({ message: "Error fetching reviews: " + err.message });
+  }
+});
+
+// Review a product (public, multipart): orderId, phone, rating (1-5), comment, photos.
+// The order must be delivered and contain the product. Refused submissions count as failed
+// tracking lookups. The review is published once approved.
+app.post("/api/public/products/:id/reviews", limitTracking, limitReviews, upload.array("photos", MAX_REVIEW_PHOTOS), validate({
+  params: ID_PARAMS,
+  body: {
+    orderId: { type: 'objectId', required: true },
+    phone: { type: 'string', required: true },
+    rating: { type: 'number', required: true, integer: true, min: 1, max: 5 },
+    comment: { type: 'string', maxLength: MAX_REVIEW_LENGTH },
+    lang: { type: 'string' }
+  }
+}), async (req, res) => {
+  try {
+    const { orderId, phone, comment, lang } = req.body;
+    const rating = Number(req.body.rating);
+    const files = req.files || [];
+
+    const text = comment ? String(comment).trim() : '';
+    if (files.some(file => !file.mimetype.startsWith('image/'))) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: "Review photos must be images" });
+    }
+
+    const product = await Product.findById(req.params.id, '_id');
+    if (!product) {
+      removeUploadedFiles(req);
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const order = await Order.findById(orderId);
+    if (order && order.trackingLookup && order.trackingLookup.lockedUntil > new Date()) {
+      removeUploadedFiles(req);
+      return res.status(429).json({ message: "Too many attempts, please try again later" });
+    }
+    if (!order || normalizePhone(order.phone) !== normalizePhone(phone)) {
+      removeUploadedFiles(req);
+      await recordTrackingFailure(order);
+      return res.status(404).json({ message: "No order matches this order number and phone number" });
+    }
+    if (order.status !== 'delivered' || !order.items.some(item => item.productId === String(product._id))) {
+      removeUploadedFiles(req);
+      return res.status(403).json({ message: "Only customers who received this product can review it" });
+    }
+
+    const customerPhone = normalizePhone(order.phone);
+    if (await Review.exists({ product: product._id, phone: customerPhone })) {
+      removeUploadedFiles(req);
+      return res.status(409).json({ message: "You have already reviewed this product" });
+    }
+
+    const photos = await storeUploadedFiles(files, { folder: 'reviews' });
+    let review;
+    try {
+      review = await Review.create({
+        product: product._id,
+        order: order._id,
+        phone: customerPhone,
+        name: order.clientName,
+        rating,
+        comment: text,
+        photos,
+        language: pickLanguage(lang, req.get('Accept-Language')) || order.language
+      });
+    } catch (createError) {
+      await deleteMediaList(photos);
+      if (createError.code === 11000) {
+        return res.status(409).json({ message: "You have already reviewed this product" });
+      }
+      throw createError;
+    }
+
+    console.log(`⭐ New ${rating}-star review waiting for moderation: ${review._id}`);
+    res.status(201).json({
+      message: "Thank you! Your review will be published once it has been checked",
+      review: toPublicReview(review)
+    });
+  } catch (err) {
+    console.error("❌ Error creating review:", err);
+    removeUploadedFiles(req);
+    res.status(500).json({ message: "Error creating review" });
+  }
+});
+
+// Moderation queue: ?status=pending|approved|rejected (default pending, oldest first)&product=&page=&limit=
+app.get("/api/admin/reviews", requireRole("owner"), validate({
+  query: {
+    ...PAGE_QUERY,
+    status: { type: 'string', enum: REVIEW_STATUSES },
+    product: { type: 'objectId' }
+  }
+}), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    const filter = { status };
+    if (req.query.product) {
+      filter.product = req.query.product;
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('product', 'name photos'),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      reviews,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error("❌ Error fetching reviews:", err);
+    res.status(500).json({ message: "Error fetching reviews: " + err.message });
+  }
+});
+
+// Sets the moderation status of a review and refreshes the product rating
+const moderateReview = async (req, res, status) => {
+  try {
+    const reason = status === 'rejected' && req.body && req.body.reason ? String(req.body.reason).trim() : undefined;
+    const review = await Review.findByIdAndUpdate(
+      req.params.id,
+      {
+        status,
+        moderation: { by: req.admin._id, byName: req.admin.name, reason, at: new Date() },
+        updatedAt: new Date()
+      },
+      { new: true }
+    );
+    if (!review) {
+      return res.status(404).json({ message: "Review not found" });
+    }
+
+    await refreshProductRating(review.product);
+    res.json(review);
+  } catch (err) {
+    console.error("❌ Error moderating review:", err);
+    res.status(500).json({ message: "Error moderating review: " + err.message });
+  }
+};
+
+// Publish a review
+app.put("/api/admin/reviews/:id/approve", requireRole("owner"), validate({ params: ID_PARAMS }), (req, res) => moderateReview(req, res, 'approved'));
+
+// Hide a review: { reason }
+app.put("/api/admin/reviews/:id/reject", requireRole("owner"), validate({
+  params: ID_PARAMS,
+  body: { reason: { type: 'string', maxLength: 500 } }
+}), (req, res) => moderateReview(req, res, 'rejected'));
+
+// Delete a review and its photos
+app.delete("/api/admin/reviews/:id", requireRole("owner"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const review = await Review.findByIdAndDelete(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: "Review not found" });
+    }
+
+    await deleteMediaList(review.photos);
+    if (review.status === 'approved') {
+      await refreshProductRating(review.product);
+    }
+    res.json({ message: "Review deleted successfully" });
+  } catch (err) {
+    console.error("❌ Error deleting review:", err);
+    res.status(500).json({ message: "Error deleting review: " + err.message });
+  }
+});
+
+// ==================== HERO CONTENT ROUTES ====================
+
+// Get the banners to show now (for public website): ?lang=ar|fr|en&device=mobile|desktop
+// Without `device` it is guessed from the User-Agent, without `lang` taken from Accept-Language.
+app.get("/api/public/hero-content", async (req, res) => {
+  try {
+    const now = new Date();
+    // Banners targeted at other languages are left out, texts fall back to the default language
+    const requestedLanguage = pickLanguage(req.query.lang, req.get('Accept-Language'));
+    const language = storefrontLanguage(req, res);
+    const device = HERO_DEVICES.includes(req.query.device)
+      ? req.query.device
+      : (/Mobi|Android|iPhone/i.test(req.get('User-Agent') || '') ? 'mobile' : 'desktop');
+
+    const heroContents = await HeroContent.find({
+      isActive: true,
+      $and: [
+        { $or: [{ startAt: null }, { startAt: { $lte: now } }] },
+        { $or: [{ endAt: null }, { endAt: { $gt: now } }] },
+        { $or: [{ "languages.0": { $exists: false } }, ...(requestedLanguage ? [{ languages: requestedLanguage }] : [])] },
+        { $or: [{ "devices.0": { $exists: false } }, { devices: device }] }
+      ]
+    })
+      .sort({ order: 1, createdAt: -1 })
+      .populate("link.product", "name")
+      .populate("link.category", "name slug");
+
+    res.json(heroContents.map(heroContent => toPublicHeroContent(heroContent, device, language)));
+  } catch (err) {
+    console.error("❌ Error fetching hero content:", err);
+    res.status(500).json({ message: "Error fetching hero content" });
+  }
+});
+
+// Get all hero content (for admin panel)
+app.get("/api/admin/hero-content", requireRole("owner"), async (req, res) => {
+  try {
+    const heroContents = await HeroContent.find().sort({ order: 1, createdAt: -1 });
+    console.log(`📋 Fetched ${heroContents.length} hero content items for admin`);
+    const now = new Date();
+    res.json(heroContents.map(heroContent => ({ ...heroContent.toJSON(), scheduleStatus: heroScheduleStatus(heroContent, now) })));
+  } catch (err) {
+    console.error("❌ Error fetching hero content for admin:", err);
+    res.status(500).json({ message: "Error fetching hero content: " + err.message });
+  }
+});
+
+// Hero content in the trash (?page=&limit=), each with the date it will be purged
+app.get("/api/admin/hero-content/trash", requireRole("owner"), validate({ query: PAGE_QUERY }), async (req, res) => {
+  try {
+    const { documents, pagination } = await queryTrash(HeroContent, req.query);
+    res.json({ heroContents: documents, pagination });
+  } catch (err) {
+    console.error("❌ Error fetching trashed hero content:", err);
+    res.status(500).json({ message: "Error fetching trashed hero content: " + err.message });
+  }
+});
+
+// Get single hero content
+app.get("/api/admin/hero-content/:id", requireRole("owner"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const heroContent = await HeroContent.findById(req.params.id);
+    if (!heroContent) {
+      return res.status(404).json({ message: "Hero content not found" });
+    }
+    res.json(heroContent);
+  } catch (err) {
+    console.error("❌ Error fetching hero content:", err);
+    res.status(500).json({ message: "Error fetching hero content: " + err.message });
+  }
+});
+
+// Hero media uploads: "media" and an optional "mobileMedia" variant
+const heroUpload = upload.fields([{ name: "media", maxCount: 1 }, { name: "mobileMedia", maxCount: 1 }]);
+
+const HERO_BODY = {
+  title: { type: 'translations', required: true, maxLength: 200 },
+  subtitle: { type: 'translations', required: true, maxLength: 500 },
+  buttonText: { type: 'translations', maxLength: 100 },
+  mediaType: { type: 'string', enum: ["video", "image"] },
+  order: { type: 'number', integer: true },
+  isActive: { type: 'boolean' },
+  startAt: { type: 'date' },
+  endAt: { type: 'date' },
+  languages: { type: 'list', enum: LANGUAGES },
+  devices: { type: 'list', enum: HERO_DEVICES },
+  linkType: { type: 'string', enum: HERO_LINK_KINDS }
+};
+
+// Create hero content. title, subtitle and buttonText are a text in the default language or { ar, fr, en }.
+// Besides the texts: startAt, endAt, languages, devices, linkType, linkId.
+app.post("/api/admin/hero-content", requireRole("owner"), heroUpload, validate({ body: HERO_BODY }), async (req, res) => {
+  try {
+    const { theme, order, isActive, mediaType } = req.body;
+    const mediaFile = req.files && req.files.media ? req.files.media[0] : null;
+    const mobileFile = req.files && req.files.mobileMedia ? req.files.mobileMedia[0] : null;
+
+    const { data: texts, error: textsError } = parseTranslatedFields(req.body, ['title', 'subtitle', 'buttonText']);
+    if (textsError) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: textsError });
+    }
+
+    if (!mediaFile) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: "A media file is required" });
+    }
+
+    const finalMediaType = mediaType || heroMediaType(mediaFile);
+    if (!finalMediaType || (mobileFile && !heroMediaType(mobileFile))) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: "Invalid file type" });
+    }
+
+    const { data: options, error: optionsError } = await parseHeroOptions(req.body);
+    if (optionsError) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: optionsError });
+    }
+
+    const media = await storeUploadedFile(mediaFile, { folder: 'hero' });
+    let mobileMedia;
+    try {
+      mobileMedia = mobileFile ? await storeUploadedFile(mobileFile, { folder: 'hero' }) : undefined;
+    } catch (uploadError) {
+      await deleteMedia(media);
+      throw uploadError;
+    }
+
+    const newHeroContent = new HeroContent({
+      ...options,
+      title: texts.title,
+      subtitle: texts.subtitle,
+      buttonText: hasTranslation(texts.buttonText) ? texts.buttonText : undefined,
+      theme: theme || "light",
+      order: parseInt(order) || 0,
+      mediaType: finalMediaType,
+      media,
+      mobileMedia,
+      isActive: isActive !== 'false'
+    });
+
+    try {
+      await newHeroContent.save();
+    } catch (saveError) {
+      await deleteMediaList([media, mobileMedia]);
+      throw saveError;
+    }
+    res.status(201).json(newHeroContent);
+
+  } catch (err) {
+    console.error("❌ Error creating hero content:", err);
+    removeUploadedFiles(req);
+    res.status(500).json({ message: "Error creating hero content: " + err.message });
+  }
+});
+
+// Reorder every banner at once: { ids: [...] } in display order, with every banner ID.
+// Runs in a transaction, so MongoDB must be a replica set (Atlas always is).
+app.put("/api/admin/hero-content/order", requireRole("owner"), validate({
+  body: { ids: { type: 'array', required: true, minItems: 1, items: { type: 'objectId' } } }
+}), async (req, res) => {
+  try {
+    const { ids } = req.body;
+    const orderedIds = ids.map(String);
+    if (new Set(orderedIds).size !== orderedIds.length) {
+      return res.status(400).json({ message: "Each banner can only appear once" });
+    }
+
+    let currentIds = null;
+    await mongoose.connection.transaction(async (session) => {
+      const banners = await HeroContent.find({}, "_id").session(session);
+      const bannerIds = banners.map(banner => String(banner._id));
+      if (bannerIds.length !== orderedIds.length || bannerIds.some(id => !orderedIds.includes(id))) {
+        currentIds = bannerIds;
+        return;
+      }
+
+      const now = new Date();
+      await HeroContent.bulkWrite(orderedIds.map((id, index) => ({
+        updateOne: { filter: { _id: id }, update: { $set: { order: index, updatedAt: now } } }
+      })), { session });
+    });
+
+    if (currentIds) {
+      return res.status(409).json({ message: "ids must list every banner exactly once", ids: currentIds });
+    }
+
+    res.json(await HeroContent.find().sort({ order: 1, createdAt: -1 }));
+  } catch (err) {
+    console.error("❌ Error reordering hero content:", err);
+    res.status(500).json({ message: "Error reordering hero content: " + err.message });
+  }
+});
+
+// Update hero content. removeMobileMedia=true drops the mobile variant.
+app.put("/api/admin/hero-content/:id", requireRole("owner"), heroUpload, validate({
+  params: ID_PARAMS,
+  body: {
+    ...HERO_BODY,
+    title: { type: 'translations', notEmpty: true, maxLength: 200 },
+    subtitle: { type: 'translations', notEmpty: true, maxLength: 500 },
+    removeMobileMedia: { type: 'boolean' }
+  }
+}), async (req, res) => {
+  try {
+    const { theme, order, isActive, mediaType, removeMobileMedia } = req.body;
+    const mediaFile = req.files && req.files.media ? req.files.media[0] : null;
+    const mobileFile = req.files && req.files.mobileMedia ? req.files.mobileMedia[0] : null;
+
+    const heroContent = await HeroContent.findById(req.params.id);
+    if (!heroContent) {
+      removeUploadedFiles(req);
+      return res.status(404).json({ message: "Hero content not found" });
+    }
+
+    if ((mediaFile && !mediaType && !heroMediaType(mediaFile)) || (mobileFile && !heroMediaType(mobileFile))) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: "Invalid file type" });
+    }
+
+    const { data: options, error: optionsError } = await parseHeroOptions(req.body, heroContent);
+    if (optionsError) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: optionsError });
+    }
+
+    // Only the languages sent are changed
+    const { data: texts, error: textsError } = parseTranslatedFields(req.body, ['title', 'subtitle', 'buttonText'], heroContent);
+    if (textsError) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: textsError });
+    }
+    if ((texts.title && !hasTranslation(texts.title)) || (texts.subtitle && !hasTranslation(texts.subtitle))) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: "Title and subtitle cannot be empty" });
+    }
+
+    const updateData = {
+      ...options,
+      ...texts,
+      theme: theme || heroContent.theme,
+      order: order ? parseInt(order) : heroContent.order,
+      isActive: isActive !== undefined ? isActive !== 'false' : heroContent.isActive,
+      updatedAt: new Date()
+    };
+
+    // Handle media update if new file is provided
+    if (mediaFile) {
+      updateData.mediaType = mediaType || heroMediaType(mediaFile);
+      updateData.media = await storeUploadedFile(mediaFile, { folder: 'hero' });
+    } else if (mediaType) {
+      // Update media type without changing the file
+      updateData.mediaType = mediaType;
+    }
+
+    const update = { $set: updateData };
+    try {
+      if (mobileFile) {
+        updateData.mobileMedia = await storeUploadedFile(mobileFile, { folder: 'hero' });
+      } else if (removeMobileMedia === 'true') {
+        update.$unset = { mobileMedia: "" };
+      }
+    } catch (uploadError) {
+      await deleteMedia(updateData.media);
+      throw uploadError;
+    }
+
+    let updatedHeroContent;
+    try {
+      updatedHeroContent = await HeroContent.findByIdAndUpdate(
+        req.params.id,
+        update,
+        { new: true, runValidators: true }
+      );
+    } catch (updateError) {
+      await deleteMediaList([updateData.media, updateData.mobileMedia]);
+      throw updateError;
+    }
+    // The old files are only removed once the new ones are saved
+    if (updateData.media) {
+      await deleteMedia(heroContent.media);
+    }
+    if (updateData.mobileMedia || update.$unset) {
+      await deleteMedia(heroContent.mobileMedia);
+    }
+
+    console.log("✅ Hero content updated:", updatedHeroContent._id);
+    res.json(updatedHeroContent);
+
+  } catch (err) {
+    console.error("❌ Error updating hero content:", err);
+    removeUploadedFiles(req);
+    res.status(500).json({ message: "Error updating hero content: " + err.message });
+  }
+});
+
+// Move hero content to the trash. Its media are kept until the trash is purged.
+app.delete("/api/admin/hero-content/:id", requireRole("owner"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const heroContent = await moveToTrash(HeroContent, req.params.id, req.admin);
+    if (!heroContent) {
+      return res.status(404).json({ message: "Hero content not found" });
+    }
+
+    console.log("🗑️ Hero content moved to trash:", req.params.id);
+    res.json({ message: "Hero content moved to trash", purgeAt: trashPurgeDate(heroContent) });
+  } catch (err) {
+    console.error("❌ Error deleting hero content:", err);
+    res.status(500).json({ message: "Error deleting hero content: " + err.message });
+  }
+});
+
+// Restore hero content from the trash
+app.post("/api/admin/hero-content/:id/restore", requireRole("owner"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const heroContent = await restoreFromTrash(HeroContent, req.params.id);
+    if (!heroContent) {
+      return res.status(404).json({ message: "Hero content not found in trash" });
+    }
+    res.json(heroContent);
+  } catch (err) {
+    console.error("❌ Error restoring hero content:", err);
+    res.status(500).json({ message: "Error restoring hero content: " + err.message });
+  }
+});
+
+// ==================== COUPON ROUTES ====================
+
+// Check a promo code against a cart: { code, items, wilaya?, deliveryType?, phone? }
+app.post("/api/public/coupons/validate", validate({
+  body: {
+    code: { type: 'string', required: true },
+    items: ORDER_ITEMS_RULE,
+    wilaya: { type: 'string', acceptNumbers: true },
+    deliveryType: { type: 'string', enum: DELIVERY_TYPES },
+    phone: { type: 'string' }
+  }
+}), async (req, res) => {
+  try {
+    const { code, items, wilaya, deliveryType = "home", phone } = req.body;
+
+    const { orderItems, error: itemsError } = await buildOrderItems(items);
+    if (itemsError) {
+      return res.status(400).json({ valid: false, ...itemsError });
+    }
+
+    // The delivery fee is only known once the customer picked a wilaya
+    let shippingFee = 0;
+    const orderWilaya = findWilaya(wilaya);
+    if (orderWilaya) {
+      shippingFee = (await getShippingFee(orderWilaya.code, deliveryType)) || 0;
+    }
+
+    const result = await applyCoupon(code, {
+      items: orderItems,
+      shippingFee,
+      phone: phone ? normalizePhone(phone) : undefined
+    });
+    if (result.error) {
+      return res.status(400).json({ valid: false, message: result.error });
+    }
+
+    const subtotal = orderItems.reduce((sum, item) => sum + item.lineTotal, 0);
+    res.json({
+      valid: true,
+      code: result.coupon.code,
+      type: result.coupon.type,
+      description: result.coupon.description,
+      subtotal,
+      discount: result.discount,
+      shippingFee,
+      shippingDiscount: result.shippingDiscount,
+      total: subtotal - result.discount + shippingFee - result.shippingDiscount
+    });
+  } catch (err) {
+    console.error("❌ Error validating coupon:", err);
+    res.status(500).json({ valid: false, message: "Error validating promo code" });
+  }
+});
+
+// Coupon fields of the admin routes (see parseCouponInput), an update may leave any of them out
+const COUPON_FIELDS = {
+  code: { type: 'string', notEmpty: true, pattern: /^[A-Za-z0-9_-]{3,32}$/, message: "Code must be 3 to 32 letters, digits, - or _" },
+  type: { type: 'string', notEmpty: true, enum: COUPON_TYPES },
+  value: { type: 'number', min: 0 },
+  maxDiscount: { type: 'number', min: 0 },
+  minOrderAmount: { type: 'number', min: 0 },
+  usageLimit: { type: 'number', integer: true, min: 0 },
+  perPhoneLimit: { type: 'number', integer: true, min: 0 },
+  startsAt: { type: 'date' },
+  endsAt: { type: 'date' },
+  productIds: { type: 'array', items: { type: 'objectId' } },
+  categoryIds: { type: 'array', items: { type: 'objectId' } },
+  description: { type: 'string', maxLength: 500 },
+  isActive: { type: 'boolean' }
+};
+
+// Get all coupons
+app.get("/api/admin/coupons", requireRole("owner"), async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Create coupon
+app.post("/api/admin/coupons", requireRole("owner"), validate({
+  body: {
+    ...COUPON_FIELDS,
+    code: { ...COUPON_FIELDS.code, required: true },
+    type: { ...COUPON_FIELDS.type, required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { data, error } = parseCouponInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (await Coupon.exists({ code: data.code })) {
+      return res.status(400).json({ message: "A coupon with this code already exists" });
+    }
+
+    const coupon = await Coupon.create(data);
+    console.log("🏷️ Coupon created:", coupon.code);
+    res.status(201).json(coupon);
+  } catch (err) {
+    console.error("❌ Error creating coupon:", err);
+    res.status(500).json({ message: "Error creating coupon: " + err.message });
+  }
+});
+
+// Update coupon
+app.put("/api/admin/coupons/:id", requireRole("owner"), validate({ params: ID_PARAMS, body: COUPON_FIELDS }), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    const { data, error } = parseCouponInput({ ...coupon.toObject(), ...req.body });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (data.code !== coupon.code && await Coupon.exists({ code: data.code })) {
+      return res.status(400).json({ message: "A coupon with this code already exists" });
+    }
+
+    coupon.set({ ...data, updatedAt: new Date() });
+    await coupon.save();
+    res.json(coupon);
+  } catch (err) {
+    console.error("❌ Error updating coupon:", err);
+    res.status(500).json({ message: "Error updating coupon: " + err.message });
+  }
+});
+
+// Delete coupon (orders keep the code they were placed with)
+app.delete("/api/admin/coupons/:id", requireRole("owner"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+    res.json({ message: "Coupon deleted successfully" });
+  } catch (err) {
+    console.error("❌ Error deleting coupon:", err);
+    res.status(500).json({ message: "Error deleting coupon: " + err.message });
+  }
+});
+
+// ==================== ORDER ROUTES ====================
+
+// Create order
+app.post("/api/public/orders", limitOrders, validate({
+  body: {
+    items: ORDER_ITEMS_RULE,
+    clientName: { type: 'string', required: true, maxLength: 100 },
+    wilaya: { type: 'string', required: true, acceptNumbers: true },
+    deliveryType: { type: 'string', enum: DELIVERY_TYPES },
+    address: { type: 'string', required: true, maxLength: 500 },
+    phone: { type: 'phone', required: true },
+    email: { type: 'email', required: true },
+    couponCode: { type: 'string' },
+    language: { type: 'string' }
+  }
+}), async (req, res) => {
+  try {
+    const {
+      items,
+      clientName,
+      wilaya,
+      deliveryType = "home",
+      address,
+      phone,
+      email,
+      couponCode,
+      language
+    } = req.body;
+
+    // `wilaya` may be the wilaya code or its name
+    const orderWilaya = findWilaya(wilaya);
+    if (!orderWilaya) {
+      return res.status(400).json({ message: "Invalid wilaya" });
+    }
+
+    const orderLanguage = pickLanguage(language, req.get('Accept-Language')) || defaultNotificationLanguage();
+    const { orderItems, error: itemsError } = await buildOrderItems(items, { language: orderLanguage });
+    if (itemsError) {
+      return res.status(400).json(itemsError);
+    }
+
+    const orderPhone = normalizePhone(phone);
+
+    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const duplicateOrder = await Order.findOne({
+      "items.productId": { $in: orderItems.map(item => item.productId) },
+      phone: orderPhone,
+      email,
+      orderDate: { $gte: oneHourAgo }
+    });
+
+    if (duplicateOrder) {
+      return res.status(400).json({ message: "You have already ordered this product recently" });
+    }
+
+    const ipAddress = req.ip;
+    const userAgent = req.get('User-Agent');
+
+    // Only a risk signal, the number of orders per IP address is capped by the "orders" rate limit
+    const recentOrdersFromIP = await Order.countDocuments({
+      ipAddress,
+      orderDate: { $gte: oneHourAgo }
+    }).setOptions({ withDeleted: true });
+
+    const risk = await assessOrderRisk(orderPhone, { recentOrdersFromIP });
+    if (risk.level === 'blocked') {
+      console.log(`⛔ Order refused for blacklisted phone ${orderPhone}`);
+      return res.status(403).json({ message: "We cannot accept orders from this phone number. Please contact us." });
+    }
+
+    const shippingFee = await getShippingFee(orderWilaya.code, deliveryType);
+    if (shippingFee === null) {
+      return res.status(400).json({ message: "Delivery is not available to this wilaya for the selected delivery type" });
+    }
+
+    let promotion = null;
+    if (couponCode) {
+      promotion = await applyCoupon(couponCode, { items: orderItems, shippingFee, phone: orderPhone });
+      if (promotion.error) {
+        return res.status(400).json({ message: promotion.error });
+      }
+    }
+
+    const outOfStock = await reserveOrderStock(orderItems);
+    if (outOfStock) {
+      return res.status(409).json({ message: `Sorry, ${outOfStock.productName} is out of stock for the selected options` });
+    }
+
+    if (promotion && !(await redeemCoupon(promotion.coupon))) {
+      await releaseOrderStock(orderItems);
+      return res.status(400).json({ message: "This promo code has reached its usage limit" });
+    }
+
+    const subtotal = orderItems.reduce((sum, item) => sum + item.lineTotal, 0);
+    const discount = promotion ? promotion.discount : 0;
+    const shippingDiscount = promotion ? promotion.shippingDiscount : 0;
+
+    const order = new Order({
+      items: orderItems,
+      subtotal,
+      discount,
+      shippingFee,
+      shippingDiscount,
+      total: subtotal - discount + shippingFee - shippingDiscount,
+      coupon: promotion ? {
+        couponId: promotion.coupon._id,
+        code: promotion.coupon.code,
+        type: promotion.coupon.type
+      } : undefined,
+      clientName,
+      wilaya: orderWilaya.name,
+      wilayaCode: orderWilaya.code,
+      deliveryType,
+      address,
+      phone: orderPhone,
+      email,
+      language: orderLanguage,
+      stockReserved: orderItems.some(item => item.stockReserved),
+      statusHistory: [{ to: 'pending', note: 'Order placed' }],
+      ipAddress,
+      userAgent,
+      risk
+    });
+
+    try {
+      await order.save();
+    } catch (saveError) {
+      await releaseOrderStock(orderItems);
+      if (promotion) {
+        await Coupon.updateOne({ _id: promotion.coupon._id }, { $inc: { usageCount: -1 } });
+      }
+      throw saveError;
+    }
+    await updateDashboardStats();
+    orderEvents.emit('order.created', order);
+    
+    console.log(`📦 New order received: ${orderItems.length} item(s) by ${clientName}`);
+    
+    res.status(201).json({ 
+      success: true,
+      message: "Order placed successfully! We will contact you soon.",
+      orderId: order._id,
+      subtotal: order.subtotal,
+      discount: order.discount,
+      shippingFee: order.shippingFee,
+      shippingDiscount: order.shippingDiscount,
+      total: order.total
+    });
+  } catch (err) {
+    console.error("❌ Order error:", err);
+    res.status(500).json({ message: "There was an error placing your order. Please try again." });
+  }
+});
+
+// Track an order (public): { orderId, phone }. Wrong guesses lock the order and the IP for a while.
+app.post("/api/public/orders/track", limitTracking, validate({
+  body: {
+    orderId: { type: 'objectId', required: true },
+    phone: { type: 'string', required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { orderId, phone } = req.body;
+
+    const order = await Order.findById(orderId);
+    if (order && order.trackingLookup && order.trackingLookup.lockedUntil > new Date()) {
+      return res.status(429).json({ message: "Too many attempts, please try again later" });
+    }
+
+    if (!order || normalizePhone(order.phone) !== normalizePhone(phone)) {
+      await recordTrackingFailure(order);
+      // Same answer whether the order exists or not
+      return res.status(404).json({ message: "No order matches this order number and phone number" });
+    }
+
+    if (order.trackingLookup && order.trackingLookup.failures > 0) {
+      await Order.updateOne({ _id: order._id }, { "trackingLookup.failures": 0 });
+    }
+
+    res.json(toTrackingView(order));
+  } catch (err) {
+    console.error("❌ Error tracking order:", err);
+    res.status(500).json({ message: "Error tracking order" });
+  }
+});
+
+// Get all orders (admin), newest first: ?risk=high,medium&phone=
+app.get("/api/admin/orders", requireRole("owner", "operator"), validate({
+  query: {
+    risk: { type: 'list', enum: RISK_LEVELS },
+    phone: { type: 'string' }
+  }
+}), async (req, res) => {
+  try {
+    const filter = {};
+
+    const riskLevels = parseQueryList(req.query.risk);
+    if (riskLevels.length > 0) {
+      filter["risk.level"] = { $in: riskLevels };
+    }
+    if (req.query.phone) {
+      filter.phone = normalizePhone(req.query.phone);
+    }
+
+    const orders = await Order.find(filter).sort({ orderDate: -1 });
+    res.json(orders);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Update order status
+app.put("/api/admin/orders/:id", requireRole("owner", "operator"), validate({
+  params: ID_PARAMS,
+  body: {
+    status: { type: 'string', required: true, enum: ORDER_STATUSES },
+    note: { type: 'string', maxLength: 500 }
+  }
+}), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const result = await changeOrderStatus(order, status, {
+      actor: { id: req.admin._id, name: req.admin.name },
+      note
+    });
+    if (result.error) {
+      return res.status(result.code).json({
+        message: result.error,
+        allowedStatuses: ORDER_STATUS_TRANSITIONS[order.status]
+      });
+    }
+
+    await updateDashboardStats();
+    res.json(result.order);
+  } catch (err) {
+    console.error("❌ Error updating order status:", err);
+    res.status(500).json({ message: "Error updating order status: " + err.message });
+  }
+});
+
+// Export orders: ?format=csv|xlsx&status=&from=&to=&wilaya=&columns=id,date,clientName,...
+app.get("/api/admin/orders/export", requireRole("owner"), validate({
+  query: {
+    format: { type: 'string', enum: Object.keys(EXPORT_CONTENT_TYPES) },
+    status: { type: 'list', enum: ORDER_STATUSES },
+    from: { type: 'date' },
+    to: { type: 'date' }
+  }
+}), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    const { columns, error: columnsError } = parseExportColumns(req.query.columns);
+    if (columnsError) {
+      return res.status(400).json({ message: columnsError });
+    }
+
+    const filter = {};
+
+    const statuses = parseQueryList(req.query.status);
+    if (statuses.length > 0) {
+      filter.status = { $in: statuses };
+    }
+
+    if (req.query.from || req.query.to) {
+      const { from, to, error } = parseDateRange(req.query.from, req.query.to, { timezone: DASHBOARD_TIMEZONE });
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      filter.orderDate = { $gte: from, $lt: to };
+    }
+
+    const wilayaValues = parseQueryList(req.query.wilaya);
+    if (wilayaValues.length > 0) {
+      const wilayas = wilayaValues.map(findWilaya);
+      if (wilayas.includes(null)) {
+        return res.status(400).json({ message: "Invalid wilaya" });
+      }
+      filter.wilaya = { $in: wilayas.map(w => w.name) };
+    }
+
+    const filename = `orders-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const cursor = Order.find(filter).sort({ orderDate: -1 }).cursor();
+    if (format === 'xlsx') {
+      await writeOrdersXlsx(cursor, res, columns);
+    } else {
+      await writeOrdersCsv(cursor, res, columns);
+    }
+  } catch (err) {
+    console.error("❌ Error exporting orders:", err);
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    res.status(500).json({ message: "Error exporting orders: " + err.message });
+  }
+});
+
+// Order status timeline
+app.get("/api/admin/orders/:id/history", requireRole("owner", "operator"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id, 'status statusHistory orderDate');
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    res.json({
+      orderId: order._id,
+      status: order.status,
+      allowedStatuses: ORDER_STATUS_TRANSITIONS[order.status] || [],
+      history: order.statusHistory
+    });
+  } catch (err) {
+    console.error("❌ Error fetching order history:", err);
+    res.status(500).json({ message: "Error fetching order history: " + err.message });
+  }
+});
+
+// Orders in the trash (?page=&limit=), each with the date it will be purged
+app.get("/api/admin/orders/trash", requireRole("owner"), validate({ query: PAGE_QUERY }), async (req, res) => {
+  try {
+    const { documents, pagination } = await queryTrash(Order, req.query);
+    res.json({ orders: documents, pagination });
+  } catch (err) {
+    console.error("❌ Error fetching trashed orders:", err);
+    res.status(500).json({ message: "Error fetching trashed orders: " + err.message });
+  }
+});
+
+// Move an order to the trash, its reserved stock is given back
+app.delete("/api/admin/orders/:id", requireRole("owner"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const order = await trashOrder(req.params.id, req.admin);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    await updateDashboardStats();
+    res.json({ message: "Order moved to trash", purgeAt: trashPurgeDate(order) });
+  } catch (err) {
+    console.error("❌ Error deleting order:", err);
+    res.status(500).json({ message: "Error deleting order: " + err.message });
+  }
+});
+
+// Restore an order from the trash (409 when its stock is no longer available)
+app.post("/api/admin/orders/:id/restore", requireRole("owner"), validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const { order, code, error } = await restoreOrder(req.params.id);
+    if (error) {
+      return res.status(code).json({ message: error });
+    }
+
+    await updateDashboardStats();
+    res.json(order);
+  } catch (err) {
+    console.error("❌ Error restoring order:", err);
+    res.status(500).json({ message: "Error restoring order: " + err.message });
+  }
+});
+
+// ==================== SHIPMENT ROUTES ====================
+
+// Available couriers
+app.get("/api/admin/couriers", requireRole("owner"), (req, res) => {
+  res.json({
+    couriers: listCouriers(),
+    default: process.env.COURIER_PROVIDER || 'mock'
+  });
+});
+
+// Send a confirmed order to the courier
+app.post("/api/admin/orders/:id/shipment", requireRole("owner"), validate({
+  params: ID_PARAMS,
+  body: { provider: { type: 'string' } }
+}), async (req, res) => {
+  try {
+    const { provider } = req.body || {};
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    if (order.status !== 'confirmed') {
+      return res.status(400).json({ message: "Only confirmed orders can be shipped" });
+    }
+    if (order.shipment && order.shipment.trackingNumber) {
+      return res.status(400).json({ message: "This order already has a shipment" });
+    }
+
+    const courier = getCourier(provider);
+    if (!courier) {
+      return res.status(400).json({ message: "Unknown courier" });
+    }
+
+    let shipment;
+    try {
+      shipment = await courier.createShipment(order);
+    } catch (courierError) {
+      console.error("❌ Courier error:", courierError);
+      return res.status(502).json({ message: "Courier error: " + courierError.message });
+    }
+
+    order.shipment = {
+      provider: courier.name,
+      trackingNumber: shipment.trackingNumber,
+      externalId: shipment.externalId,
+      createdAt: new Date()
+    };
+    await Order.updateOne({ _id: order._id }, { shipment: order.shipment });
+
+    // When the status change fails the shipment is taken off again, otherwise the order would
+    // keep a tracking number while staying confirmed and could not be shipped on a retry
+    const removeShipment = () => Order.updateOne(
+      { _id: order._id, "shipment.trackingNumber": shipment.trackingNumber },
+      { $unset: { shipment: "" } }
+    );
+    let result;
+    try {
+      result = await changeOrderStatus(order, 'shipped', {
+        actor: { id: req.admin._id, name: req.admin.name },
+        note: `Shipped with ${courier.name}, tracking number ${shipment.trackingNumber}`
+      });
+    } catch (statusError) {
+      await removeShipment();
+      throw statusError;
+    }
+    if (result.error) {
+      await removeShipment();
+      console.warn(`⚠️ Shipment ${shipment.trackingNumber} of order ${order._id} was removed: ${result.error}`);
+      return res.status(result.code).json({ message: result.error });
+    }
+
+    console.log(`🚚 Order ${order._id} shipped with ${courier.name}: ${shipment.trackingNumber}`);
+    await updateDashboardStats();
+    res.status(201).json(result.order);
+  } catch (err) {
+    console.error("❌ Error creating shipment:", err);
+    res.status(500).json({ message: "Error creating shipment: " + err.message });
+  }
+});
+
+// Poll the couriers now
+app.post("/api/admin/shipments/sync", requireRole("owner"), async (req, res) => {
+  try {
+    res.json(await syncShipments());
+  } catch (err) {
+    console.error("❌ Error syncing shipments:", err);
+    res.status(500).json({ message: "Error syncing shipments: " + err.message });
   }
 });
 
-// Delete product
-app.delete("/api/admin/products/:id", async (req, res) => {
+// Courier status webhook
+app.post("/api/couriers/:provider/webhook", async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
+    const courier = getCourier(req.params.provider);
+    if (!courier) {
+      return res.status(404).json({ message: "Unknown courier" });
+    }
+    if (!courier.verifyWebhook(req)) {
+      return res.status(401).json({ message: "Invalid webhook signature" });
     }
 
-    if (product.photos && product.photos.length > 0) {
-      for (const photoUrl of product.photos) {
-        if (photoUrl.includes('cloudinary.com')) {
-          await deleteFromCloudinary(photoUrl);
-        } else if (photoUrl.startsWith('/uploads/')) {
-          const filePath = path.join(__dirname, 'public', photoUrl);
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-          }
-        }
+    const events = courier.parseWebhook(req.body);
+    let updated = 0;
+    for (const event of events) {
+      if (await applyCourierStatus(courier.name, event)) {
+        updated++;
       }
     }
 
-    await Product.findByIdAndDelete(req.params.id);
-    await updateDashboardStats();
-    res.json({ message: "Product deleted successfully" });
+    if (updated > 0) {
+      await updateDashboardStats();
+    }
+    res.json({ received: events.length, updated });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    console.error("❌ Courier webhook error:", err);
+    res.status(500).json({ message: "Error processing webhook: " + err.message });
   }
 });
 
-// ==================== HERO CONTENT ROUTES ====================
+// ==================== CUSTOMER ROUTES ====================
 
-// Get all hero content (for public website)
-app.get("/api/public/hero-content", async (req, res) => {
+const PHONE_PARAMS = { phone: { type: 'phone' } };
+
+// Customers: ?blacklisted=true&phone=&page=&limit=
+app.get("/api/admin/customers", requireRole("owner"), validate({
+  query: {
+    ...PAGE_QUERY,
+    blacklisted: { type: 'boolean' },
+    phone: { type: 'string' }
+  }
+}), async (req, res) => {
   try {
-    const heroContents = await HeroContent.find({ isActive: true }).sort({ order: 1, createdAt: -1 });
-    res.json(heroContents);
+    const filter = {};
+    if (req.query.blacklisted !== undefined) {
+      filter["blacklist.isBlacklisted"] = req.query.blacklisted === 'true' ? true : { $ne: true };
+    }
+    if (req.query.phone) {
+      filter.phone = { $regex: '^' + escapeRegex(normalizePhone(req.query.phone)) };
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const [customers, total] = await Promise.all([
+      Customer.find(filter).sort({ lastOrderAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Customer.countDocuments(filter)
+    ]);
+
+    res.json({
+      customers,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
   } catch (err) {
-    console.error("❌ Error fetching hero content:", err);
-    res.status(500).json({ message: "Error fetching hero content" });
+    console.error("❌ Error fetching customers:", err);
+    res.status(500).json({ message: "Error fetching customers: " + err.message });
   }
 });
 
-// Get all hero content (for admin panel)
-app.get("/api/admin/hero-content", async (req, res) => {
+// History and current risk of a phone number
+app.get("/api/admin/customers/:phone", requireRole("owner"), validate({ params: PHONE_PARAMS }), async (req, res) => {
   try {
-    const heroContents = await HeroContent.find().sort({ order: 1, createdAt: -1 });
-    console.log(`📋 Fetched ${heroContents.length} hero content items for admin`);
-    res.json(heroContents);
+    const phone = normalizePhone(req.params.phone);
+    const [customer, orders, risk] = await Promise.all([
+      Customer.findOne({ phone }),
+      Order.find({ phone }).sort({ orderDate: -1 }).limit(50)
+        .select("status total orderDate clientName wilaya risk.level"),
+      assessOrderRisk(phone)
+    ]);
+
+    if (!customer && orders.length === 0) {
+      return res.status(404).json({ message: "No customer with this phone number" });
+    }
+
+    res.json({ phone, customer, risk, orders });
   } catch (err) {
-    console.error("❌ Error fetching hero content for admin:", err);
-    res.status(500).json({ message: "Error fetching hero content: " + err.message });
+    console.error("❌ Error fetching customer:", err);
+    res.status(500).json({ message: "Error fetching customer: " + err.message });
   }
 });
 
-// Get single hero content
-app.get("/api/admin/hero-content/:id", async (req, res) => {
+// Blacklist a phone number: { reason }. Its next orders are refused.
+app.put("/api/admin/customers/:phone/blacklist", requireRole("owner"), validate({
+  params: PHONE_PARAMS,
+  body: { reason: { type: 'string', maxLength: 500 } }
+}), async (req, res) => {
   try {
-    const heroContent = await HeroContent.findById(req.params.id);
-    if (!heroContent) {
-      return res.status(404).json({ message: "Hero content not found" });
-    }
-    res.json(heroContent);
+    const phone = normalizePhone(req.params.phone);
+
+    const customer = await Customer.findOneAndUpdate(
+      { phone },
+      {
+        $set: {
+          blacklist: {
+            isBlacklisted: true,
+            reason: req.body.reason ? String(req.body.reason).trim() : undefined,
+            addedBy: req.admin._id,
+            addedByName: req.admin.name,
+            addedAt: new Date()
+          },
+          updatedAt: new Date()
+        },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { new: true, upsert: true }
+    );
+
+    console.log(`⛔ Phone ${phone} blacklisted by ${req.admin.name}`);
+    res.json(customer);
   } catch (err) {
-    console.error("❌ Error fetching hero content:", err);
-    res.status(500).json({ message: "Error fetching hero content: " + err.message });
+    console.error("❌ Error blacklisting customer:", err);
+    res.status(500).json({ message: "Error blacklisting customer: " + err.message });
   }
 });
 
-// Create hero content
-app.post("/api/admin/hero-content", upload.single("media"), async (req, res) => {
+// Remove a phone number from the blacklist
+app.delete("/api/admin/customers/:phone/blacklist", requireRole("owner"), validate({ params: PHONE_PARAMS }), async (req, res) => {
   try {
-    const { title, subtitle, buttonText, theme, order, isActive, mediaType } = req.body;
-
-    if (!title || !title.trim() || !subtitle || !subtitle.trim() || !req.file) {
-      return res.status(400).json({ message: "Title, subtitle and media file are required" });
+    const customer = await Customer.findOneAndUpdate(
+      { phone: normalizePhone(req.params.phone), "blacklist.isBlacklisted": true },
+      { $set: { blacklist: { isBlacklisted: false }, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!customer) {
+      return res.status(404).json({ message: "This phone number is not blacklisted" });
     }
 
-    let finalMediaType = mediaType;
-    if (!finalMediaType) {
-      if (req.file.mimetype.startsWith('video/')) {
-        finalMediaType = 'video';
-      } else if (req.file.mimetype.startsWith('image/')) {
-        finalMediaType = 'image';
-      } else {
-        fs.unlinkSync(req.file.path);
-        return res.status(400).json({ message: "Invalid file type" });
-      }
-    }
+    res.json(customer);
+  } catch (err) {
+    console.error("❌ Error removing customer from blacklist:", err);
+    res.status(500).json({ message: "Error removing customer from blacklist: " + err.message });
+  }
+});
 
-    let mediaUrl;
-    const tempFilePath = req.file.path;
+// ==================== DASHBOARD ROUTES ====================
 
-    try {
-      const resourceType = finalMediaType === 'video' ? 'video' : 'image';
-      mediaUrl = await uploadToCloudinary(tempFilePath, resourceType);
-      
-      if (fs.existsSync(tempFilePath)) {
-        fs.unlinkSync(tempFilePath);
-      }
-    } catch (uploadError) {
-      console.error("❌ Cloudinary upload error, using local storage:", uploadError);
-      mediaUrl = `/uploads/${req.file.filename}`;
+// Dashboard stats: ?from=2026-10-01&to=2026-10-31&groupBy=day|month
+app.get("/api/admin/dashboard/stats", requireRole("owner"), validate({
+  query: {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    groupBy: { type: 'string', enum: ['day', 'month'] }
+  }
+}), async (req, res) => {
+  try {
+    const { from, to, error } = parseDateRange(req.query.from, req.query.to, { timezone: DASHBOARD_TIMEZONE });
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    const newHeroContent = new HeroContent({
-      title: title.trim(),
-      subtitle: subtitle.trim(),
-      buttonText: buttonText || "Shop Now",
-      theme: theme || "light",
-      order: parseInt(order) || 0,
-      mediaType: finalMediaType,
-      mediaUrl,
-      isActive: isActive !== 'false'
-    });
+    const { groupBy } = req.query;
 
-    await newHeroContent.save();
-    res.status(201).json(newHeroContent);
+    const [analytics, allTime, pendingOrders, totalProducts, monthlyRevenue] = await Promise.all([
+      computeDashboardStats({ Order }, { from, to, groupBy, timezone: DASHBOARD_TIMEZONE }),
+      DashboardStats.findOne(),
+      Order.countDocuments({ status: 'pending' }),
+      Product.countDocuments(),
+      computeMonthlyRevenue({ Order }, { timezone: DASHBOARD_TIMEZONE })
+    ]);
+    const { totals, changes } = analytics;
 
+    res.json({
+      ...analytics,
+      pendingOrders,
+      totalProducts,
+      allTime: allTime ? {
+        revenue: allTime.totalRevenue,
+        orders: allTime.totalOrders,
+        customers: allTime.totalCustomers,
+        updatedAt: allTime.updatedAt
+      } : null,
+      // Fields of the previous response, kept for dashboards that still read them: the
+      // accounts are the period's customers, the growth is that of the orders and of the
+      // average order value. Changes are 0 instead of null when the previous period had nothing.
+      totalRevenue: allTime ? allTime.totalRevenue : 0,
+      totalOrders: allTime ? allTime.totalOrders : 0,
+      revenueChange: changes.revenue ?? 0,
+      newCustomers: totals.newCustomers,
+      customersChange: changes.newCustomers ?? 0,
+      activeAccounts: totals.customers,
+      accountsChange: changes.customers ?? 0,
+      growthRate: changes.orders ?? 0,
+      growthChange: changes.averageOrderValue ?? 0,
+      monthlyRevenue
+    });
   } catch (err) {
-    console.error("❌ Error creating hero content:", err);
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    res.status(500).json({ message: "Error creating hero content: " + err.message });
+    console.error("❌ Dashboard stats error:", err);
+    res.status(500).json({ message: "Error fetching dashboard statistics" });
   }
 });
 
-// Update hero content
-app.put("/api/admin/hero-content/:id", upload.single("media"), async (req, res) => {
-  try {
-    const { title, subtitle, buttonText, theme, order, isActive, mediaType } = req.body;
+// ==================== LIVE EVENT ROUTES ====================
 
-    const heroContent = await HeroContent.findById(req.params.id);
-    if (!heroContent) {
-      return res.status(404).json({ message: "Hero content not found" });
+// Server-Sent Events: order.created, order.status_changed and, for owners, dashboard.stats.
+// EventSource clients pass the token as ?access_token=. After a reconnect the Last-Event-ID header
+// (or ?lastEventId= when opening a new EventSource) replays the events missed meanwhile.
+app.get("/api/admin/events", requireRole("owner", "operator"), async (req, res) => {
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+  try {
+    await adminFeed.stream(req, res, {
+      role: req.admin.role,
+      lastEventId: Number.isInteger(lastEventId) && lastEventId >= 0 ? lastEventId : null
+    });
+  } catch (err) {
+    console.error("❌ Error streaming admin events:", err);
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Error streaming admin events: " + err.message });
     }
+  }
+});
 
-    const updateData = {
-      title: title ? title.trim() : heroContent.title,
-      subtitle: subtitle ? subtitle.trim() : heroContent.subtitle,
-      buttonText: buttonText || heroContent.buttonText,
-      theme: theme || heroContent.theme,
-      order: order ? parseInt(order) : heroContent.order,
-      isActive: isActive !== undefined ? isActive !== 'false' : heroContent.isActive,
-      updatedAt: new Date()
-    };
+// ==================== UTILITY ROUTES ====================
 
-    // Handle media update if new file is provided
-    if (req.file) {
-      let finalMediaType = mediaType;
-      if (!finalMediaType) {
-        if (req.file.mimetype.startsWith('video/')) {
-          finalMediaType = 'video';
-        } else if (req.file.mimetype.startsWith('image/')) {
-          finalMediaType = 'image';
-        } else {
-          fs.unlinkSync(req.file.path);
-          return res.status(400).json({ message: "Invalid file type" });
-        }
-      }
+// Algerian wilayas, names in the request language (?lang= or Accept-Language)
+app.get("/api/wilayas", (req, res) => {
+  const language = storefrontLanguage(req, res);
+  res.json(WILAYAS.map(wilaya => wilayaName(wilaya, language)));
+});
 
-      let mediaUrl;
-      const tempFilePath = req.file.path;
+// ==================== SHIPPING ROUTES ====================
 
-      try {
-        const resourceType = finalMediaType === 'video' ? 'video' : 'image';
-        mediaUrl = await uploadToCloudinary(tempFilePath, resourceType);
-        
-        // Delete old media from Cloudinary if it exists
-        if (heroContent.mediaUrl && heroContent.mediaUrl.includes('cloudinary.com')) {
-          await deleteFromCloudinary(heroContent.mediaUrl);
-        }
-        
-        if (fs.existsSync(tempFilePath)) {
-          fs.unlinkSync(tempFilePath);
-        }
-      } catch (uploadError) {
-        console.error("❌ Cloudinary upload error, using local storage:", uploadError);
-        mediaUrl = `/uploads/${req.file.filename}`;
-      }
+// Shipping rates for the storefront (only wilayas we deliver to)
+app.get("/api/public/shipping-rates", async (req, res) => {
+  try {
+    const language = storefrontLanguage(req, res);
+    const rates = await ShippingRate.find({ isActive: true });
 
-      updateData.mediaType = finalMediaType;
-      updateData.mediaUrl = mediaUrl;
-    } else if (mediaType) {
-      // Update media type without changing the file
-      updateData.mediaType = mediaType;
-    }
+    const result = WILAYAS
+      .map(wilaya => {
+        const rate = rates.find(r => r.wilayaCode === wilaya.code);
+        return {
+          code: wilaya.code,
+          name: wilayaName(wilaya, language),
+          homeDeliveryPrice: rate ? rate.homeDeliveryPrice : null,
+          stopDeskPrice: rate ? rate.stopDeskPrice : null
+        };
+      })
+      .filter(rate => rate.homeDeliveryPrice !== null || rate.stopDeskPrice !== null);
 
-    const updatedHeroContent = await HeroContent.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Error fetching shipping rates:", err);
+    res.status(500).json({ message: "Error fetching shipping rates: " + err.message });
+  }
+});
 
-    console.log("✅ Hero content updated:", updatedHeroContent._id);
-    res.json(updatedHeroContent);
+// All wilayas with their rates (admin)
+app.get("/api/admin/shipping-rates", requireRole("owner"), async (req, res) => {
+  try {
+    const rates = await ShippingRate.find();
 
+    res.json(WILAYAS.map(wilaya => {
+      const rate = rates.find(r => r.wilayaCode === wilaya.code);
+      return {
+        code: wilaya.code,
+        name: wilaya.name,
+        homeDeliveryPrice: rate ? rate.homeDeliveryPrice : null,
+        stopDeskPrice: rate ? rate.stopDeskPrice : null,
+        isActive: rate ? rate.isActive : false,
+        updatedAt: rate ? rate.updatedAt : null
+      };
+    }));
   } catch (err) {
-    console.error("❌ Error updating hero content:", err);
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    res.status(500).json({ message: "Error updating hero content: " + err.message });
+    console.error("❌ Error fetching shipping rates:", err);
+    res.status(500).json({ message: "Error fetching shipping rates: " + err.message });
   }
 });
 
-// Delete hero content
-app.delete("/api/admin/hero-content/:id", async (req, res) => {
+const SHIPPING_RATE_FIELDS = {
+  homeDeliveryPrice: { type: 'number', min: 0 },
+  stopDeskPrice: { type: 'number', min: 0 },
+  isActive: { type: 'boolean' }
+};
+
+// Update many shipping rates at once
+app.put("/api/admin/shipping-rates", requireRole("owner"), validate({
+  body: {
+    rates: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: { type: 'object', fields: { wilayaCode: { type: 'string', required: true, acceptNumbers: true }, ...SHIPPING_RATE_FIELDS } }
+    }
+  }
+}), async (req, res) => {
   try {
-    const heroContent = await HeroContent.findById(req.params.id);
-    if (!heroContent) {
-      return res.status(404).json({ message: "Hero content not found" });
+    const { rates } = req.body;
+
+    const parsed = rates.map(parseShippingRate);
+    const invalid = parsed.find(entry => entry.error);
+    if (invalid) {
+      return res.status(400).json({ message: invalid.error });
     }
 
-    // Delete media from Cloudinary if it exists
-    if (heroContent.mediaUrl && heroContent.mediaUrl.includes('cloudinary.com')) {
-      await deleteFromCloudinary(heroContent.mediaUrl);
-    } else if (heroContent.mediaUrl && heroContent.mediaUrl.startsWith('/uploads/')) {
-      // Delete local file
-      const filePath = path.join(__dirname, 'public', heroContent.mediaUrl);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
+    await ShippingRate.bulkWrite(parsed.map(({ rate }) => ({
+      updateOne: {
+        filter: { wilayaCode: rate.wilayaCode },
+        update: { $set: rate },
+        upsert: true
       }
-    }
+    })));
 
-    await HeroContent.findByIdAndDelete(req.params.id);
-    console.log("🗑️ Hero content deleted:", req.params.id);
-    
-    res.json({ message: "Hero content deleted successfully" });
+    console.log(`🚚 Updated ${parsed.length} shipping rate(s)`);
+    res.json(await ShippingRate.find().sort({ wilayaCode: 1 }));
   } catch (err) {
-    console.error("❌ Error deleting hero content:", err);
-    res.status(500).json({ message: "Error deleting hero content: " + err.message });
+    console.error("❌ Error updating shipping rates:", err);
+    res.status(500).json({ message: "Error updating shipping rates: " + err.message });
   }
 });
 
-// ==================== ORDER ROUTES ====================
-
-// Create order
-app.post("/api/public/orders", async (req, res) => {
+// Update the shipping rate of one wilaya
+app.put("/api/admin/shipping-rates/:code", requireRole("owner"), validate({
+  params: { code: { type: 'number', integer: true, min: 1, max: WILAYAS.length, message: "Invalid wilaya code" } },
+  body: SHIPPING_RATE_FIELDS
+}), async (req, res) => {
   try {
-    const {
-      productId,
-      productName,
-      productPrice,
-      productPhotos,
-      clientName,
-      wilaya,
-      address,
-      phone,
-      email,
-      color,
-      size,
-      quantity = 1
-    } = req.body;
-
-    if (!productId || !productName || !productPrice || !clientName || !wilaya || !address || !phone || !email) {
-      return res.status(400).json({ message: "All required fields must be filled" });
+    const { rate, error } = parseShippingRate({ ...req.body, wilayaCode: req.params.code });
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    const phoneRegex = /^(05|06|07)[0-9]{8}$/;
-    if (!phoneRegex.test(phone.replace(/\s/g, ''))) {
-      return res.status(400).json({ message: "Invalid phone number format" });
-    }
-
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ message: "Invalid email format" });
-    }
+    const updatedRate = await ShippingRate.findOneAndUpdate(
+      { wilayaCode: rate.wilayaCode },
+      rate,
+      { new: true, upsert: true }
+    );
 
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-    const duplicateOrder = await Order.findOne({
-      productId,
-      phone,
-      email,
-      orderDate: { $gte: oneHourAgo }
-    });
+    res.json(updatedRate);
+  } catch (err) {
+    console.error("❌ Error updating shipping rate:", err);
+    res.status(500).json({ message: "Error updating shipping rate: " + err.message });
+  }
+});
 
-    if (duplicateOrder) {
-      return res.status(400).json({ message: "You have already ordered this product recently" });
-    }
+// ==================== NOTIFICATION ROUTES ====================
 
-    const ipAddress = req.ip || req.connection.remoteAddress;
-    const userAgent = req.get('User-Agent');
+// Every template with the admin's version when there is one: ?event=&channel=&language=
+app.get("/api/admin/notifications/templates", requireRole("owner"), async (req, res) => {
+  try {
+    const customTemplates = await NotificationTemplate.find();
 
-    const recentOrdersFromIP = await Order.countDocuments({
-      ipAddress,
-      orderDate: { $gte: oneHourAgo }
-    });
+    const templates = [];
+    for (const event of NOTIFICATION_EVENTS) {
+      for (const channel of NOTIFICATION_CHANNELS) {
+        for (const language of LANGUAGES) {
+          const excluded = (req.query.event && req.query.event !== event)
+            || (req.query.channel && req.query.channel !== channel)
+            || (req.query.language && req.query.language !== language);
+          if (excluded) {
+            continue;
+          }
 
-    if (recentOrdersFromIP > 5) {
-      return res.status(400).json({ message: "Too many orders from this location" });
+          const custom = customTemplates.find(t => t.event === event && t.channel === channel && t.language === language);
+          const defaultTemplate = getDefaultTemplate(event, channel, language);
+          if (!custom && !defaultTemplate) {
+            continue;
+          }
+          templates.push({
+            _id: custom ? custom._id : null,
+            event,
+            channel,
+            language,
+            subject: custom ? custom.subject : defaultTemplate.subject,
+            body: custom ? custom.body : defaultTemplate.body,
+            isActive: custom ? custom.isActive : true,
+            isCustom: Boolean(custom),
+            default: defaultTemplate,
+            updatedAt: custom ? custom.updatedAt : null
+          });
+        }
+      }
     }
 
-    const order = new Order({
-      productId,
-      productName,
-      productPrice,
-      productPhotos,
-      clientName,
-      wilaya,
-      address,
-      phone,
-      email,
-      color,
-      size,
-      quantity,
-      ipAddress,
-      userAgent,
-      isVerified: recentOrdersFromIP < 2
-    });
-    
-    await order.save();
-    await updateDashboardStats();
-    
-    console.log(`📦 New order received: ${productName} by ${clientName}`);
-    
-    res.status(201).json({ 
-      success: true,
-      message: "Order placed successfully! We will contact you soon.",
-      orderId: order._id
+    res.json({
+      templates,
+      variables: ["shopName", "orderId", "orderNumber", "clientName", "phone", "email", "wilaya", "status", "subtotal", "total", "trackingNumber", "itemsSummary"],
+      transports: listTransports()
     });
   } catch (err) {
-    console.error("❌ Order error:", err);
-    res.status(500).json({ message: "There was an error placing your order. Please try again." });
+    console.error("❌ Error fetching notification templates:", err);
+    res.status(500).json({ message: "Error fetching notification templates: " + err.message });
   }
 });
 
-// Get all orders (admin)
-app.get("/api/admin/orders", async (req, res) => {
+// Create or replace a template: { event, channel, language, subject, body, isActive }
+app.put("/api/admin/notifications/templates", requireRole("owner"), validate({
+  body: {
+    event: { type: 'string', required: true, enum: NOTIFICATION_EVENTS },
+    channel: { type: 'string', required: true, enum: NOTIFICATION_CHANNELS },
+    language: { type: 'string', required: true, enum: LANGUAGES },
+    subject: { type: 'string', maxLength: 200 },
+    body: { type: 'string', required: true },
+    isActive: { type: 'boolean' }
+  }
+}), async (req, res) => {
   try {
-    const orders = await Order.find().sort({ orderDate: -1 });
-    res.json(orders);
+    const { event, channel, language, subject, body, isActive } = req.body;
+
+    const template = await NotificationTemplate.findOneAndUpdate(
+      { event, channel, language },
+      {
+        subject: subject ? String(subject) : "",
+        body: String(body),
+        isActive: isActive !== false && isActive !== 'false',
+        updatedBy: req.admin._id,
+        updatedAt: new Date()
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json(template);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    console.error("❌ Error saving notification template:", err);
+    res.status(500).json({ message: "Error saving notification template: " + err.message });
   }
 });
 
-// Update order status
-app.put("/api/admin/orders/:id", async (req, res) => {
+// Go back to the built-in template
+app.delete("/api/admin/notifications/templates/:id", requireRole("owner"), validate({ params: ID_PARAMS }), async (req, res) => {
   try {
-    const { status } = req.body;
-    
-    const validStatuses = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: "Invalid status" });
+    const template = await NotificationTemplate.findByIdAndDelete(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
     }
 
-    const updatedOrder = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    );
+    const defaultTemplate = DEFAULT_TEMPLATES[template.event] && DEFAULT_TEMPLATES[template.event][template.channel];
+    res.json({
+      message: "Template reset to the default",
+      hasDefault: Boolean(defaultTemplate && defaultTemplate[template.language])
+    });
+  } catch (err) {
+    console.error("❌ Error deleting notification template:", err);
+    res.status(500).json({ message: "Error deleting notification template: " + err.message });
+  }
+});
 
-    if (!updatedOrder) {
-      return res.status(404).json({ message: "Order not found" });
+// Delivery log: ?orderId=&status=&channel=&event=&page=&limit=
+app.get("/api/admin/notifications/logs", requireRole("owner"), validate({
+  query: {
+    ...PAGE_QUERY,
+    orderId: { type: 'objectId' },
+    status: { type: 'string', enum: ["pending", "sent", "failed"] },
+    channel: { type: 'string', enum: NOTIFICATION_CHANNELS },
+    event: { type: 'string', enum: NOTIFICATION_EVENTS }
+  }
+}), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.orderId) {
+      filter.orderId = req.query.orderId;
+    }
+    for (const field of ['status', 'channel', 'event']) {
+      if (req.query[field]) {
+        filter[field] = String(req.query[field]);
+      }
     }
 
-    await updateDashboardStats();
-    res.json(updatedOrder);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const [logs, total] = await Promise.all([
+      NotificationLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      NotificationLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      logs,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
   } catch (err) {
-    console.error("❌ Error updating order status:", err);
-    res.status(500).json({ message: "Error updating order status: " + err.message });
+    console.error("❌ Error fetching notification logs:", err);
+    res.status(500).json({ message: "Error fetching notification logs: " + err.message });
   }
 });
 
-// Delete order
-app.delete("/api/admin/orders/:id", async (req, res) => {
+// Send a failed notification again now
+app.post("/api/admin/notifications/logs/:id/retry", requireRole("owner"), validate({ params: ID_PARAMS }), async (req, res) => {
   try {
-    const order = await Order.findByIdAndDelete(req.params.id);
-    if (!order) {
-      return res.status(404).json({ message: "Order not found" });
+    const log = await NotificationLog.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: 'sent' } },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(Date.now() + 5 * 60 * 1000) } },
+      { new: true }
+    );
+    if (!log) {
+      return res.status(404).json({ message: "Notification not found or already sent" });
     }
 
-    await updateDashboardStats();
-    res.json({ message: "Order deleted successfully" });
+    res.json(await notifications.deliver(log));
   } catch (err) {
-    console.error("❌ Error deleting order:", err);
-    res.status(500).json({ message: "Error deleting order: " + err.message });
+    console.error("❌ Error retrying notification:", err);
+    res.status(500).json({ message: "Error retrying notification: " + err.message });
   }
 });
 
-// ==================== DASHBOARD ROUTES ====================
+// ==================== AUDIT ROUTES ====================
 
-// Dashboard stats
-app.get("/api/admin/dashboard/stats", async (req, res) => {
+// Audit log, newest first: ?entityType=&entityId=&actor=<admin ID>&method=&from=&to=&page=&limit=
+app.get("/api/admin/audit-logs", requireRole("owner"), validate({
+  query: {
+    ...PAGE_QUERY,
+    entityType: { type: 'string' },
+    entityId: { type: 'string' },
+    actor: { type: 'objectId' },
+    method: { type: 'string' },
+    from: { type: 'date' },
+    to: { type: 'date' }
+  }
+}), async (req, res) => {
   try {
-    let stats = await DashboardStats.findOne();
-    
-    if (!stats) {
-      await initializeDashboardStats();
-      stats = await DashboardStats.findOne();
+    const filter = {};
+    for (const field of ['entityType', 'entityId', 'method']) {
+      if (req.query[field]) {
+        filter[field] = String(req.query[field]);
+      }
+    }
+    if (filter.method) {
+      filter.method = filter.method.toUpperCase();
+    }
+    if (req.query.actor) {
+      filter["actor.id"] = req.query.actor;
     }
 
-    const dashboardData = {
-      totalRevenue: stats.totalRevenue,
-      revenueChange: -12.5,
-      newCustomers: stats.totalCustomers,
-      customersChange: -20,
-      activeAccounts: stats.totalCustomers * 37,
-      accountsChange: -12.5,
-      growthRate: 4.5,
-      growthChange: -4.5,
-      pendingOrders: stats.pendingOrders,
-      totalProducts: stats.totalProducts,
-      totalOrders: stats.totalOrders,
-      monthlyRevenue: stats.monthlyRevenue
-    };
+    const from = parseOptionalDate(req.query.from);
+    const to = parseOptionalDate(req.query.to);
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        filter.createdAt.$gte = from;
+      }
+      if (to) {
+        filter.createdAt.$lt = to;
+      }
+    }
 
-    res.json(dashboardData);
-  } catch (err) {
-    console.error("❌ Dashboard stats error:", err);
-    res.status(500).json({ message: "Error fetching dashboard statistics" });
-  }
-});
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
 
-// ==================== UTILITY ROUTES ====================
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
 
-// Algerian wilayas
-app.get("/api/wilayas", (req, res) => {
-  const wilayas = [
-    "Adrar", "Chlef", "Laghouat", "Oum El Bouaghi", "Batna", "Béjaïa", "Biskra", "Béchar", "Blida", "Bouira",
-    "Tamanrasset", "Tébessa", "Tlemcen", "Tiaret", "Tizi Ouzou", "Algiers", "Djelfa", "Jijel", "Sétif", "Saïda",
-    "Skikda", "Sidi Bel Abbès", "Annaba", "Guelma", "Constantine", "Médéa", "Mostaganem", "M'Sila", "Mascara", "Ouargla",
-    "Oran", "El Bayadh", "Illizi", "Bordj Bou Arréridj", "Boumerdès", "El Tarf", "Tindouf", "Tissemsilt", "El Oued", "Khenchela",
-    "Souk Ahras", "Tipaza", "Mila", "Aïn Defla", "Naâma", "Aïn Témouchent", "Ghardaïa", "Relizane", "Timimoun", "Bordj Badji Mokhtar",
-    "Ouled Djellal", "Béni Abbès", "In Salah", "In Guezzam", "Touggourt", "Djanet", "El M'Ghair", "El Menia"
-  ];
-  res.json(wilayas);
+    res.json({
+      entries,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    console.error("❌ Error fetching audit log:", err);
+    res.status(500).json({ message: "Error fetching audit log: " + err.message });
+  }
 });
 
 // ==================== ERROR HANDLING ====================
@@ -873,11 +4599,26 @@ app.use((err, req, res, next) => {
   
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ message: 'File too large. Maximum size is 50MB.' });
+      return res.status(413).json({ message: 'File too large. Maximum size is 50MB.', code: 'file_too_large' });
     }
     if (err.code === 'LIMIT_FILE_COUNT') {
-      return res.status(400).json({ message: 'Too many files. Maximum is 10 files.' });
+      return res.status(400).json({ message: 'Too many files. Maximum is 10 files.', code: 'too_many_files' });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ message: `Unexpected or too many files in "${err.field}"`, code: 'unexpected_file' });
     }
+    return res.status(400).json({ message: err.message });
+  }
+  if (err.code === 'invalid_file_type') {
+    return res.status(400).json({ message: err.message, code: err.code });
+  }
+
+  // Request body errors from express.json (invalid JSON, body too large)
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ message: 'The request body is not valid JSON', code: 'invalid_json' });
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ message: err.message });
   }
   
   res.status(500).json({ 
@@ -895,16 +4636,39 @@ app.use((req, res) => {
   });
 });
 
-// Initialize dashboard stats
-initializeDashboardStats().then(() => {
-  console.log("📊 Dashboard stats initialized");
+// Create the owner account on first run
+initializeAdminUser();
+
+// Bring the all-time counters up to date
+updateDashboardStats().then(() => {
+  console.log("📊 Dashboard stats updated");
 });
 
+// Poll couriers for shipment updates
+const courierPollMinutes = parseInt(process.env.COURIER_POLL_INTERVAL_MINUTES) || 0;
+if (courierPollMinutes > 0) {
+  setInterval(() => {
+    syncShipments().catch(err => console.error("❌ Shipment sync error:", err));
+  }, courierPollMinutes * 60 * 1000);
+}
+
+// Retry notifications that could not be sent
+setInterval(() => {
+  notifications.processRetries().catch(err => console.error("❌ Notification retry error:", err));
+}, 60 * 1000);
+
+// Receive the admin events of every instance
+adminFeed.start();
+
+// Empty the trash of what is older than TRASH_RETENTION_DAYS
+setInterval(() => {
+  purgeTrash().catch(err => console.error("❌ Trash purge error:", err));
+}, TRASH_PURGE_INTERVAL);
+
 // Start server
 const PORT = process.env.PORT || 5410;
 app.listen(PORT, "0.0.0.0", () => {
   console.log(`🚀 MCA Shop Server running on port ${PORT}`);
   console.log(`📍 Local: http://localhost:${PORT}`);
-  console.log(`☁️ Test Cloudinary: http://localhost:${PORT}/api/test-cloudinary`);
   console.log(`📋 Hero Content Admin: http://localhost:${PORT}/api/admin/hero-content`);
 });
\ No newline at end of file
@@ -0,0 +1,239 @@
+// Dashboard analytics computed from the orders collection.
+const DAY = 24 * 60 * 60 * 1000;
+
+// Revenue of an order: its products minus the promo discount. Delivery fees go to the
+// courier and are left out. Orders from before line items only have a total.
+export const ORDER_REVENUE = {
+  $subtract: [{ $ifNull: ["$subtotal", "$total"] }, { $ifNull: ["$discount", 0] }]
+};
+
+const percentChange = (current, previous) => {
+  if (!previous) {
+    return null;
+  }
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+};
+
+// Offset of `timezone` from UTC at `date`, in milliseconds
+const timezoneOffset = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone, hourCycle: "h23",
+    year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric"
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  const local = Date.UTC(part("year"), part("month") - 1, part("day"), part("hour"), part("minute"), part("second"));
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Midnight of a "2026-10-31" day in `timezone`
+const startOfDay = (day, timezone) => {
+  const utcMidnight = new Date(`${day}T00:00:00Z`);
+  const guess = new Date(utcMidnight.getTime() - timezoneOffset(utcMidnight, timezone));
+  // The offset at midnight itself differs from the guess when a DST change falls in between
+  return new Date(utcMidnight.getTime() - timezoneOffset(guess, timezone));
+};
+
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Parses the `from`/`to` query values. Date-only values ("2026-10-31") are days of the store
+// `timezone` and a date-only `to` includes that whole day; full dates are taken as they are.
+// Defaults to the last 30 days. Returns { from, to } with `to` exclusive, or { error }.
+export const parseDateRange = (fromValue, toValue, { timezone = "Africa/Algiers" } = {}) => {
+  let to = toValue ? new Date(toValue) : new Date();
+  if (toValue && isDay(toValue) && !isNaN(to.getTime())) {
+    const nextDay = new Date(to.getTime() + DAY).toISOString().slice(0, 10);
+    to = startOfDay(nextDay, timezone);
+  }
+  let from = fromValue ? new Date(fromValue) : new Date(to.getTime() - 30 * DAY);
+  if (fromValue && isDay(fromValue) && !isNaN(from.getTime())) {
+    from = startOfDay(fromValue, timezone);
+  }
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: "Invalid date range" };
+  }
+  if (from >= to) {
+    return { error: "`from` must be before `to`" };
+  }
+  return { from, to };
+};
+
+const summarizePeriod = async (Order, from, to) => {
+  const [result] = await Order.aggregate([
+    { $match: { orderDate: { $gte: from, $lt: to } } },
+    {
+      $facet: {
+        delivered: [
+          { $match: { status: "delivered" } },
+          {
+            $group: {
+              _id: null,
+              revenue: { $sum: ORDER_REVENUE },
+              discounts: { $sum: { $add: [{ $ifNull: ["$discount", 0] }, { $ifNull: ["$shippingDiscount", 0] }] } },
+              orders: { $sum: 1 }
+            }
+          }
+        ],
+        orders: [{ $count: "count" }],
+        customers: [{ $group: { _id: "$phone" } }, { $count: "count" }],
+        outcomes: [
+          { $match: { status: { $in: ["delivered", "returned"] } } },
+          { $group: { _id: "$status", count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const delivered = result.delivered[0] || { revenue: 0, discounts: 0, orders: 0 };
+  const returned = result.outcomes.find(o => o._id === "returned");
+  const returnedCount = returned ? returned.count : 0;
+
+  // Phones of the period without an earlier order, only the period's orders are grouped
+  const newCustomers = await Order.aggregate([
+    { $match: { orderDate: { $gte: from, $lt: to } } },
+    { $group: { _id: "$phone" } },
+    {
+      $lookup: {
+        from: Order.collection.name,
+        let: { phone: "$_id" },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ["$phone", "$$phone"] }, { $lt: ["$orderDate", from] }] }, deletedAt: null } },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: "earlierOrders"
+      }
+    },
+    { $match: { earlierOrders: { $size: 0 } } },
+    { $count: "count" }
+  ]);
+
+  return {
+    revenue: delivered.revenue,
+    discounts: delivered.discounts,
+    orders: result.orders.length > 0 ? result.orders[0].count : 0,
+    deliveredOrders: delivered.orders,
+    customers: result.customers.length > 0 ? result.customers[0].count : 0,
+    newCustomers: newCustomers.length > 0 ? newCustomers[0].count : 0,
+    averageOrderValue: delivered.orders > 0 ? Math.round(delivered.revenue / delivered.orders) : 0,
+    // Share of finished deliveries that were not returned, null when nothing was delivered or returned yet
+    deliverySuccessRate: delivered.orders + returnedCount > 0
+      ? Math.round((delivered.orders / (delivered.orders + returnedCount)) * 1000) / 10
+      : null
+  };
+};
+
+// Delivered revenue of the last `months` calendar months (the current one included), as the
+// [{ month: "Jan", revenue }] list the dashboard chart used before date ranges existed
+export const computeMonthlyRevenue = async ({ Order }, { months = 6, timezone = "Africa/Algiers", now = new Date() } = {}) => {
+  const monthKey = new Intl.DateTimeFormat("en-CA", { timeZone: timezone, year: "numeric", month: "2-digit" });
+  const monthName = new Intl.DateTimeFormat("en", { timeZone: "UTC", month: "short" });
+
+  const [year, month] = monthKey.format(now).split("-").map(Number);
+  const keys = [];
+  for (let i = months - 1; i >= 0; i--) {
+    const date = new Date(Date.UTC(year, month - 1 - i, 1));
+    keys.push({ key: date.toISOString().slice(0, 7), name: monthName.format(date) });
+  }
+
+  // A day earlier than the first month in UTC covers any timezone offset, the grouping sorts it out
+  const since = new Date(new Date(`${keys[0].key}-01T00:00:00Z`).getTime() - DAY);
+  const revenue = await Order.aggregate([
+    { $match: { orderDate: { $gte: since }, status: "delivered" } },
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m", date: "$orderDate", timezone } },
+        revenue: { $sum: ORDER_REVENUE }
+      }
+    }
+  ]);
+
+  return keys.map(({ key, name }) => {
+    const found = revenue.find(r => r._id === key);
+    return { month: name, revenue: found ? found.revenue : 0 };
+  });
+};
+
+// Computes the dashboard for [from, to) and compares it with the period of the same length just before.
+// `groupBy` is "day" or "month"; by default ranges up to ~2 months are grouped by day.
+export const computeDashboardStats = async ({ Order }, { from, to, groupBy, timezone = "Africa/Algiers", limit = 5 }) => {
+  const period = groupBy || (to - from <= 62 * DAY ? "day" : "month");
+  const previousFrom = new Date(from.getTime() - (to - from));
+  const inRange = { $match: { orderDate: { $gte: from, $lt: to } } };
+
+  const [current, previous, revenueSeries, ordersByStatus, topProducts, topWilayas] = await Promise.all([
+    summarizePeriod(Order, from, to),
+    summarizePeriod(Order, previousFrom, from),
+    Order.aggregate([
+      inRange,
+      {
+        $group: {
+          _id: { $dateToString: { format: period === "month" ? "%Y-%m" : "%Y-%m-%d", date: "$orderDate", timezone } },
+          orders: { $sum: 1 },
+          revenue: { $sum: { $cond: [{ $eq: ["$status", "delivered"] }, ORDER_REVENUE, 0] } }
+        }
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, period: "$_id", orders: 1, revenue: 1 } }
+    ]),
+    Order.aggregate([
+      inRange,
+      { $group: { _id: "$status", count: { $sum: 1 } } }
+    ]),
+    Order.aggregate([
+      inRange,
+      { $match: { status: { $nin: ["cancelled", "returned"] } } },
+      { $unwind: "$items" },
+      {
+        $group: {
+          _id: "$items.productId",
+          name: { $last: "$items.productName" },
+          quantity: { $sum: "$items.quantity" },
+          revenue: { $sum: "$items.lineTotal" },
+          orders: { $sum: 1 }
+        }
+      },
+      { $sort: { quantity: -1, revenue: -1 } },
+      { $limit: limit },
+      { $project: { _id: 0, productId: "$_id", name: 1, quantity: 1, revenue: 1, orders: 1 } }
+    ]),
+    Order.aggregate([
+      inRange,
+      { $match: { status: { $nin: ["cancelled"] } } },
+      {
+        $group: {
+          _id: "$wilaya",
+          code: { $first: "$wilayaCode" },
+          orders: { $sum: 1 },
+          delivered: { $sum: { $cond: [{ $eq: ["$status", "delivered"] }, 1, 0] } },
+          revenue: { $sum: { $cond: [{ $eq: ["$status", "delivered"] }, ORDER_REVENUE, 0] } }
+        }
+      },
+      { $sort: { orders: -1, revenue: -1 } },
+      { $limit: limit },
+      { $project: { _id: 0, wilaya: "$_id", code: 1, orders: 1, delivered: 1, revenue: 1 } }
+    ])
+  ]);
+
+  return {
+    range: { from, to, groupBy: period },
+    previousRange: { from: previousFrom, to: from },
+    totals: current,
+    previous,
+    changes: {
+      revenue: percentChange(current.revenue, previous.revenue),
+      orders: percentChange(current.orders, previous.orders),
+      customers: percentChange(current.customers, previous.customers),
+      newCustomers: percentChange(current.newCustomers, previous.newCustomers),
+      averageOrderValue: percentChange(current.averageOrderValue, previous.averageOrderValue),
+      // Difference in percentage points
+      deliverySuccessRate: current.deliverySuccessRate !== null && previous.deliverySuccessRate !== null
+        ? Math.round((current.deliverySuccessRate - previous.deliverySuccessRate) * 10) / 10
+        : null
+    },
+    revenueSeries,
+    ordersByStatus: Object.fromEntries(ordersByStatus.map(s => [s._id, s.count])),
+    topProducts,
+    topWilayas
+  };
+};
@@ -0,0 +1,159 @@
+import mongoose from "mongoose";
+
+export const AUDITED_METHODS = ["POST", "PUT", "DELETE"];
+
+// Stored values of these fields never go into the log, only the fact that they changed
+const REDACTED_FIELDS = ["passwordHash", "password", "refreshTokens", "tokenHash"];
+const IGNORED_FIELDS = ["__v", "updatedAt"];
+
+const isPlainObject = (value) => {
+  if (Object.prototype.toString.call(value) !== '[object Object]') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+// { "a.b": value } for every leaf of a stored document. Arrays, dates and IDs are leaves.
+const flatten = (value, prefix = '', fields = {}) => {
+  if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, fields);
+    }
+  } else if (prefix) {
+    fields[prefix] = value;
+  }
+  return fields;
+};
+
+const isRedacted = (field) => field.split('.').some(part => REDACTED_FIELDS.includes(part));
+
+// Fields that differ between two stored versions of a document: [{ field, before, after }].
+// `before` is null for created documents and `after` for deleted ones.
+export const diffDocuments = (before, after) => {
+  const beforeFields = flatten(before || {});
+  const afterFields = flatten(after || {});
+  const fields = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])]
+    .filter(field => !IGNORED_FIELDS.includes(field.split('.').pop()));
+
+  const changes = [];
+  for (const field of fields.sort()) {
+    if (JSON.stringify(beforeFields[field]) === JSON.stringify(afterFields[field])) {
+      continue;
+    }
+    changes.push(isRedacted(field)
+      ? { field, before: "[redacted]", after: "[redacted]" }
+      : { field, before: beforeFields[field] ?? null, after: afterFields[field] ?? null });
+  }
+  return changes;
+};
+
+// Mongoose plugin that keeps the audit log append-only: updates, deletes and saves of
+// existing entries throw
+export const appendOnlyPlugin = (schema) => {
+  schema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"], function () {
+    throw new Error("The audit log is append-only");
+  });
+  schema.pre("save", function () {
+    if (!this.isNew) {
+      throw new Error("The audit log is append-only");
+    }
+  });
+};
+
+const defaultFilter = (key) => (mongoose.isObjectIdOrHexString(key) ? { _id: new mongoose.Types.ObjectId(String(key)) } : null);
+
+// Records every POST, PUT and DELETE request under the admin API in AuditLog. Mount it after the
+// authentication middleware.
+//
+// `entities` maps the part of the admin URL before an ID to its model, e.g. { products: { Model: Product } }
+// for /products/:id and everything below it. Optional per entity:
+//   key(value)      normalizes the ID taken from the URL (e.g. a phone number)
+//   filter(key)     finds the document from the key, by default the key is an ObjectId
+// The stored document is read before the route runs and again once the response is sent, and the
+// differences go into the entry. Created documents are found from the `_id` of the response.
+export const createAuditMiddleware = ({ AuditLog, entities }) => {
+  const resolveEntity = (path) => {
+    let segments;
+    try {
+      segments = path.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+    } catch (err) {
+      return null;
+    }
+    // The longest matching prefix wins, e.g. "notifications/templates" before "notifications"
+    for (let length = segments.length; length > 0; length--) {
+      const type = segments.slice(0, length).join('/');
+      if (entities[type]) {
+        const entity = entities[type];
+        let key = segments[length];
+        if (key !== undefined && entity.key) {
+          key = entity.key(key);
+        }
+        // Not an ID, e.g. /products/import
+        if (key !== undefined && !documentFilter(entity, key)) {
+          key = undefined;
+        }
+        return { type, entity, key };
+      }
+    }
+    return null;
+  };
+
+  const documentFilter = (entity, key) => (entity.filter || defaultFilter)(key);
+
+  // Through the driver, so trashed documents and hidden fields are read as stored
+  const readDocument = (entity, key) => entity.Model.collection.findOne(documentFilter(entity, key));
+
+  return async (req, res, next) => {
+    if (!AUDITED_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    const target = resolveEntity(req.path);
+    let before = null;
+    try {
+      before = target && target.key !== undefined ? await readDocument(target.entity, target.key) : null;
+    } catch (err) {
+      console.error("❌ Audit log error:", err);
+    }
+
+    // Keeps the ID of documents created by the request
+    let responseId;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (body && body._id) {
+        responseId = String(body._id);
+      }
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      try {
+        let entityId = target ? target.key : undefined;
+        if (entityId === undefined && responseId && res.statusCode < 300) {
+          entityId = responseId;
+        }
+
+        const after = target && entityId !== undefined && res.statusCode < 300
+          ? await readDocument(target.entity, entityId)
+          : before;
+
+        await AuditLog.create({
+          actor: req.admin ? { id: req.admin._id, name: req.admin.name, role: req.admin.role } : undefined,
+          method: req.method,
+          route: req.route ? req.route.path : req.originalUrl.split('?')[0],
+          path: req.originalUrl.split('?')[0],
+          statusCode: res.statusCode,
+          entityType: target ? target.type : undefined,
+          entityId: entityId !== undefined ? String(entityId) : undefined,
+          changes: diffDocuments(before, after),
+          ip: req.ip
+        });
+      } catch (err) {
+        console.error("❌ Audit log error:", err);
+      }
+    });
+
+    next();
+  };
+};
@@ -0,0 +1,79 @@
+import jwt from "jsonwebtoken";
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+
+export const ADMIN_ROLES = ["owner", "operator"];
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+// Passwords
+export const hashPassword = (password) => bcrypt.hash(password, 12);
+
+export const verifyPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
+
+// Access tokens are short-lived JWTs sent as "Authorization: Bearer <token>"
+export const signAccessToken = (admin) => {
+  return jwt.sign({ sub: String(admin._id), role: admin.role }, getSecret(), { expiresIn: process.env.JWT_ACCESS_TTL || "15m" });
+};
+
+export const verifyAccessToken = (token) => jwt.verify(token, getSecret());
+
+// Refresh tokens are opaque random strings, only their hash is stored on the admin
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const generateRefreshToken = () => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const ttlDays = parseInt(process.env.JWT_REFRESH_TTL_DAYS) || 30;
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+  };
+};
+
+// Middleware
+export const createAuthMiddleware = ({ AdminUser }) => {
+  const requireAuth = async (req, res, next) => {
+    let [scheme, token] = (req.get('Authorization') || '').split(' ');
+    // EventSource cannot send headers, event streams may pass the token as ?access_token=
+    if (!token && (req.get('Accept') || '').includes('text/event-stream') && typeof req.query.access_token === 'string') {
+      [scheme, token] = ['Bearer', req.query.access_token];
+    }
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ message: "Authentication required" });
+    }
+
+    let payload;
+    try {
+      payload = verifyAccessToken(token);
+    } catch (err) {
+      const message = err.name === 'TokenExpiredError' ? "Token expired" : "Invalid token";
+      return res.status(401).json({ message });
+    }
+
+    try {
+      const admin = await AdminUser.findById(payload.sub);
+      if (!admin || !admin.isActive) {
+        return res.status(401).json({ message: "Account not found or disabled" });
+      }
+      req.admin = admin;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  return { requireAuth };
+};
+
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.admin || !roles.includes(req.admin.role)) {
+    return res.status(403).json({ message: "You do not have permission to perform this action" });
+  }
+  next();
+};
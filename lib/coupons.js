@@ -0,0 +1,138 @@
+// Promo code rules. `percentage` and `fixed` coupons discount the eligible products,
+// `free_shipping` removes the delivery fee.
+export const COUPON_TYPES = ["percentage", "fixed", "free_shipping"];
+
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+const parseOptionalNumber = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return isNaN(number) || number < 0 ? NaN : number;
+};
+
+const parseOptionalDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Validates the coupon fields sent by the admin, returns { data } or { error }.
+// For updates, pass the stored coupon merged with the changes.
+export const parseCouponInput = (body) => {
+  const data = {};
+  const has = (field) => body[field] !== undefined;
+
+  data.code = normalizeCouponCode(body.code);
+  if (!/^[A-Z0-9_-]{3,32}$/.test(data.code)) {
+    return { error: "Code must be 3 to 32 letters, digits, - or _" };
+  }
+
+  if (!COUPON_TYPES.includes(body.type)) {
+    return { error: `type must be one of ${COUPON_TYPES.join(', ')}` };
+  }
+  data.type = body.type;
+
+  for (const field of ['value', 'maxDiscount', 'minOrderAmount', 'usageLimit', 'perPhoneLimit']) {
+    if (has(field)) {
+      data[field] = parseOptionalNumber(body[field]);
+      if (Number.isNaN(data[field])) {
+        return { error: `${field} must be a positive number` };
+      }
+    }
+  }
+  if (data.type === 'percentage' && (!data.value || data.value > 100)) {
+    return { error: "A percentage coupon needs a value between 1 and 100" };
+  }
+  if (data.type === 'fixed' && !data.value) {
+    return { error: "A fixed coupon needs a value" };
+  }
+
+  for (const field of ['startsAt', 'endsAt']) {
+    if (has(field)) {
+      data[field] = parseOptionalDate(body[field]);
+      if (data[field] === undefined) {
+        return { error: `${field} is not a valid date` };
+      }
+    }
+  }
+  if (data.startsAt && data.endsAt && data.startsAt >= data.endsAt) {
+    return { error: "startsAt must be before endsAt" };
+  }
+
+  for (const field of ['productIds', 'categoryIds']) {
+    if (has(field)) {
+      if (!Array.isArray(body[field]) || body[field].some(id => !/^[a-f0-9]{24}$/i.test(String(id)))) {
+        return { error: `${field} must be a list of IDs` };
+      }
+      data[field] = body[field];
+    }
+  }
+
+  if (has('description')) {
+    data.description = String(body.description).trim();
+  }
+  if (has('isActive')) {
+    data.isActive = body.isActive !== false && body.isActive !== 'false';
+  }
+
+  return { data };
+};
+
+// Works out the discount of `coupon` for a cart.
+//   items              order lines with productId, category, lineTotal
+//   shippingFee        delivery fee of the order (0 when not known yet)
+//   categoryIds        coupon.categoryIds plus their subcategories, as strings
+//   phoneUsage         number of orders of this phone that already used the coupon
+// Returns { discount, shippingDiscount } or { error }.
+export const evaluateCoupon = (coupon, { items, shippingFee = 0, categoryIds = [], phoneUsage = 0, now = new Date() }) => {
+  if (!coupon || !coupon.isActive) {
+    return { error: "This promo code is not valid" };
+  }
+  if (coupon.startsAt && now < coupon.startsAt) {
+    return { error: "This promo code is not active yet" };
+  }
+  if (coupon.endsAt && now >= coupon.endsAt) {
+    return { error: "This promo code has expired" };
+  }
+  if (coupon.usageLimit !== null && coupon.usageLimit !== undefined && coupon.usageCount >= coupon.usageLimit) {
+    return { error: "This promo code has reached its usage limit" };
+  }
+  if (coupon.perPhoneLimit !== null && coupon.perPhoneLimit !== undefined && phoneUsage >= coupon.perPhoneLimit) {
+    return { error: "You have already used this promo code" };
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+  if (coupon.minOrderAmount && subtotal < coupon.minOrderAmount) {
+    return { error: `This promo code needs an order of at least ${coupon.minOrderAmount} DA` };
+  }
+
+  const productIds = (coupon.productIds || []).map(String);
+  const restricted = productIds.length > 0 || categoryIds.length > 0;
+  const eligibleItems = restricted
+    ? items.filter(item => productIds.includes(String(item.productId)) || categoryIds.includes(String(item.category)))
+    : items;
+  if (eligibleItems.length === 0) {
+    return { error: "This promo code does not apply to the products in your cart" };
+  }
+
+  const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + item.lineTotal, 0);
+
+  let discount = 0;
+  let shippingDiscount = 0;
+  if (coupon.type === 'percentage') {
+    discount = Math.round(eligibleSubtotal * coupon.value / 100);
+    if (coupon.maxDiscount) {
+      discount = Math.min(discount, coupon.maxDiscount);
+    }
+  } else if (coupon.type === 'fixed') {
+    discount = Math.min(coupon.value, eligibleSubtotal);
+  } else if (coupon.type === 'free_shipping') {
+    shippingDiscount = shippingFee;
+  }
+
+  return { discount, shippingDiscount };
+};
@@ -0,0 +1,33 @@
+import { createMockCourier } from "./mock.js";
+
+// Courier adapters. Each factory returns an object with:
+//   name                               provider name, stored on the order shipment
+//   createShipment(order)              -> { trackingNumber, externalId }
+//   getShipmentStatus(trackingNumber)  -> { courierStatus, status } or null when unknown
+//   verifyWebhook(req)                 -> true when the webhook request really comes from the courier
+//   parseWebhook(body)                 -> [{ trackingNumber, courierStatus, status, note }]
+// `status` is the order status the courier status maps to, or null when the order status
+// should not change (e.g. the parcel was only registered).
+const factories = {
+  mock: createMockCourier
+};
+
+const instances = {};
+
+export const registerCourier = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+export const listCouriers = () => Object.keys(factories);
+
+// Returns the adapter for `name` (COURIER_PROVIDER by default), or null when there is none
+export const getCourier = (name = process.env.COURIER_PROVIDER || 'mock') => {
+  if (!factories[name]) {
+    return null;
+  }
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+};
@@ -0,0 +1,68 @@
+import crypto from "crypto";
+
+// Courier statuses used by the mock service and the order status each one maps to
+const STATUS_MAP = {
+  created: null,
+  in_transit: "shipped",
+  out_for_delivery: "shipped",
+  delivered: "delivered",
+  returned: "returned"
+};
+
+// Local stand-in for a courier service. Parcels live in memory, so they are lost on
+// restart. Status changes are pushed with POST /api/couriers/mock/webhook:
+//   { "trackingNumber": "MOCK-...", "status": "delivered" }
+// with the header "X-Courier-Secret: <COURIER_WEBHOOK_SECRET>".
+export const createMockCourier = () => {
+  const parcels = new Map();
+
+  return {
+    name: "mock",
+
+    async createShipment(order) {
+      const trackingNumber = 'MOCK-' + crypto.randomBytes(5).toString('hex').toUpperCase();
+      parcels.set(trackingNumber, {
+        orderId: String(order._id),
+        recipient: order.clientName,
+        phone: order.phone,
+        wilayaCode: order.wilayaCode,
+        deliveryType: order.deliveryType,
+        codAmount: order.total,
+        status: "created"
+      });
+      return { trackingNumber, externalId: trackingNumber };
+    },
+
+    async getShipmentStatus(trackingNumber) {
+      const parcel = parcels.get(trackingNumber);
+      if (!parcel) {
+        return null;
+      }
+      return { courierStatus: parcel.status, status: STATUS_MAP[parcel.status] };
+    },
+
+    verifyWebhook(req) {
+      const secret = process.env.COURIER_WEBHOOK_SECRET;
+      return Boolean(secret) && req.get('X-Courier-Secret') === secret;
+    },
+
+    // Accepts a single event or { events: [...] }
+    parseWebhook(body) {
+      const events = Array.isArray(body && body.events) ? body.events : [body];
+      return events
+        .filter(event => event && event.trackingNumber && STATUS_MAP[event.status] !== undefined)
+        .map(event => {
+          const parcel = parcels.get(event.trackingNumber);
+          if (parcel) {
+            parcel.status = event.status;
+          }
+          return {
+            trackingNumber: event.trackingNumber,
+            courierStatus: event.status,
+            status: STATUS_MAP[event.status],
+            note: event.note
+          };
+        });
+    }
+  };
+};
@@ -0,0 +1,91 @@
+// Customer reputation for cash-on-delivery orders, keyed on the customer's phone number.
+
+// "+213 555 12 34 56", "00213555123456" and "0555-12-34-56" all become "0555123456"
+export const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/[\s.\-()]/g, '').replace(/^\+/, '00');
+  if (/^00213\d{9}$/.test(digits)) {
+    return '0' + digits.slice(5);
+  }
+  if (/^213\d{9}$/.test(digits)) {
+    return '0' + digits.slice(3);
+  }
+  return digits;
+};
+
+// Algerian mobile numbers, after normalizePhone()
+export const isValidPhone = (phone) => /^(05|06|07)[0-9]{8}$/.test(phone);
+
+export const RISK_LEVELS = ["low", "medium", "high", "blocked"];
+
+// Customer counter incremented when an order reaches each final status
+export const OUTCOME_COUNTERS = {
+  delivered: "deliveredOrders",
+  returned: "returnedOrders",
+  cancelled: "cancelledOrders",
+  no_answer: "unansweredOrders"
+};
+
+// Points added to the score, the level comes from the total
+const RISK_RULES = {
+  returnedOrder: 35,
+  maxReturned: 70,
+  unansweredOrder: 15,
+  maxUnanswered: 30,
+  cancelledOrder: 5,
+  maxCancelled: 15,
+  openOrder: 15,
+  maxOpen: 30,
+  newCustomer: 10,
+  sharedIp: 15,
+  deliveredOrder: -10,
+  maxDelivered: -40
+};
+const MEDIUM_RISK_SCORE = 25;
+const HIGH_RISK_SCORE = 50;
+
+// Scores an order of `customer` (a Customer document or null for a first order).
+//   openOrders          orders of this phone still pending, confirmed or shipped
+//   recentOrdersFromIP  orders placed from the same IP address in the last hour
+// Returns { score, level, reasons } where each reason is { code, points, message }.
+export const scoreOrderRisk = (customer, { openOrders = 0, recentOrdersFromIP = 0 } = {}) => {
+  if (customer && customer.blacklist && customer.blacklist.isBlacklisted) {
+    return {
+      score: 100,
+      level: "blocked",
+      reasons: [{ code: "blacklisted", points: 100, message: `Phone is blacklisted: ${customer.blacklist.reason || 'no reason given'}` }]
+    };
+  }
+
+  const reasons = [];
+  const add = (code, points, message) => {
+    if (points !== 0) {
+      reasons.push({ code, points, message });
+    }
+  };
+
+  const delivered = customer ? customer.deliveredOrders : 0;
+  const returned = customer ? customer.returnedOrders : 0;
+  const unanswered = customer ? customer.unansweredOrders : 0;
+  const cancelled = customer ? customer.cancelledOrders : 0;
+
+  if (!customer || customer.totalOrders === 0) {
+    add("new_customer", RISK_RULES.newCustomer, "First order from this phone");
+  }
+  add("returned_orders", Math.min(returned * RISK_RULES.returnedOrder, RISK_RULES.maxReturned),
+    `${returned} returned or refused order(s)`);
+  add("unanswered_orders", Math.min(unanswered * RISK_RULES.unansweredOrder, RISK_RULES.maxUnanswered),
+    `Did not answer for ${unanswered} order(s)`);
+  add("cancelled_orders", Math.min(cancelled * RISK_RULES.cancelledOrder, RISK_RULES.maxCancelled),
+    `${cancelled} cancelled order(s)`);
+  add("open_orders", Math.min(openOrders * RISK_RULES.openOrder, RISK_RULES.maxOpen),
+    `${openOrders} other order(s) still in progress`);
+  if (recentOrdersFromIP >= 2) {
+    add("shared_ip", RISK_RULES.sharedIp, `${recentOrdersFromIP} orders from the same IP address in the last hour`);
+  }
+  add("delivered_orders", Math.max(delivered * RISK_RULES.deliveredOrder, RISK_RULES.maxDelivered),
+    `${delivered} delivered order(s)`);
+
+  const score = Math.max(0, Math.min(100, reasons.reduce((sum, reason) => sum + reason.points, 0)));
+  const level = score >= HIGH_RISK_SCORE ? "high" : score >= MEDIUM_RISK_SCORE ? "medium" : "low";
+  return { score, level, reasons };
+};
@@ -0,0 +1,30 @@
+// Every error response has the same shape:
+//   { message, code, errors? }
+// `message` is meant for people, `code` lets the frontend show its own translated text and
+// `errors` lists the invalid request fields as { location, field, code, message }.
+export const STATUS_ERROR_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  429: "too_many_requests",
+  500: "internal_error",
+  502: "bad_gateway",
+  503: "service_unavailable"
+};
+
+export const errorCodeForStatus = (status) => STATUS_ERROR_CODES[status] || (status >= 500 ? "internal_error" : "bad_request");
+
+// Gives error responses that do not set a `code` the one of their status
+export const errorResponses = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.code) {
+      return json({ ...body, code: errorCodeForStatus(res.statusCode) });
+    }
+    return json(body);
+  };
+  next();
+};
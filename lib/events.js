@@ -0,0 +1,6 @@
+import { EventEmitter } from "events";
+
+// In-process order events:
+//   "order.created"         (order)
+//   "order.status_changed"  ({ order, from, to, actor })
+export const orderEvents = new EventEmitter();
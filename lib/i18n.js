@@ -0,0 +1,109 @@
+export const LANGUAGES = ["ar", "fr", "en"];
+export const RTL_LANGUAGES = ["ar"];
+
+// DEFAULT_LANGUAGE, French unless set
+export const defaultLanguage = () => {
+  return LANGUAGES.includes(process.env.DEFAULT_LANGUAGE) ? process.env.DEFAULT_LANGUAGE : 'fr';
+};
+
+export const textDirection = (language) => (RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr');
+
+// Language of a request: an explicit value (body or query `lang`) wins, then the
+// first supported language of the Accept-Language header. Returns null when none matches.
+export const pickLanguage = (value, acceptLanguage) => {
+  if (value && LANGUAGES.includes(String(value).toLowerCase())) {
+    return String(value).toLowerCase();
+  }
+
+  const accepted = (acceptLanguage || '')
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.find(p => p.trim().startsWith('q='));
+      return { language: tag.trim().toLowerCase().split('-')[0], q: q ? parseFloat(q.trim().slice(2)) : 1 };
+    })
+    .filter(entry => LANGUAGES.includes(entry.language) && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  return accepted.length > 0 ? accepted[0].language : null;
+};
+
+// Same as pickLanguage() but falls back to the default language
+export const resolveLanguage = (value, acceptLanguage) => pickLanguage(value, acceptLanguage) || defaultLanguage();
+
+// Translations are tried in this order: the requested language, the default language, then ar, fr, en
+export const fallbackLanguages = (language) => [...new Set([language, defaultLanguage(), ...LANGUAGES])].filter(Boolean);
+
+// Text of a { ar, fr, en } value in `language`, or in the first fallback that has one.
+// Returns { text, language } where `language` is the translation actually used.
+export const translate = (value, language) => {
+  // Plain strings are content saved before translations existed
+  if (typeof value === 'string') {
+    return { text: value, language: null };
+  }
+  for (const candidate of fallbackLanguages(language)) {
+    if (value && value[candidate]) {
+      return { text: value[candidate], language: candidate };
+    }
+  }
+  return { text: '', language: null };
+};
+
+// Copy of `object` with `fields` translated to `language`, plus its `lang` and `dir`.
+// Fields shown in another language are listed in `fallbacks` with their own lang and dir.
+export const localizeFields = (object, fields, language) => {
+  const result = { ...object, lang: language, dir: textDirection(language) };
+  const fallbacks = {};
+  for (const field of fields) {
+    const { text, language: used } = translate(object[field], language);
+    result[field] = text;
+    if (used && used !== language) {
+      fallbacks[field] = { lang: used, dir: textDirection(used) };
+    }
+  }
+  if (Object.keys(fallbacks).length > 0) {
+    result.fallbacks = fallbacks;
+  }
+  return result;
+};
+
+export const hasTranslation = (value) => Boolean(value) && LANGUAGES.some(language => value[language] && String(value[language]).trim());
+
+// Reads a translated field sent by the admin: a plain string (default language), an object
+// { ar, fr, en } (form fields name[ar]=..., name[fr]=...) or that object as JSON.
+// An empty string removes a translation. Returns { value } or { error }.
+export const parseTranslations = (input, field) => {
+  let value = input;
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    try {
+      value = JSON.parse(value);
+    } catch (err) {
+      return { error: `${field} is not valid JSON` };
+    }
+  }
+
+  if (typeof value === 'string') {
+    return { value: { [defaultLanguage()]: value.trim() } };
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: `${field} must be a text or an object with ${LANGUAGES.join(', ')} translations` };
+  }
+
+  const unknown = Object.keys(value).filter(language => !LANGUAGES.includes(language));
+  if (unknown.length > 0) {
+    return { error: `${field} has unknown languages: ${unknown.join(', ')}` };
+  }
+  return { value: Object.fromEntries(Object.entries(value).map(([language, text]) => [language, String(text || '').trim()])) };
+};
+
+// Applies parsed changes to stored translations
+export const mergeTranslations = (current, changes) => {
+  const merged = {};
+  for (const language of LANGUAGES) {
+    const text = changes[language] !== undefined ? changes[language] : current && current[language];
+    if (text) {
+      merged[language] = text;
+    }
+  }
+  return merged;
+};
@@ -0,0 +1,125 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import fetch from "node-fetch";
+
+const DOWNLOAD_TIMEOUT = 15 * 1000;
+export const MAX_DOWNLOAD_BYTES = 50 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+
+// Loopback, private, link-local, shared, multicast and reserved networks
+const privateNetworks = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+]) {
+  privateNetworks.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8], ["64:ff9b::", 96]]) {
+  privateNetworks.addSubnet(network, prefix, "ipv6");
+}
+
+// False for addresses of the server's own networks, which admin-supplied URLs must not reach
+export const isPublicAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  if (family === 0) {
+    return false;
+  }
+  return !privateNetworks.check(ip, family === 4 ? "ipv4" : "ipv6");
+};
+
+// Checks the addresses a host name resolves to when the connection is made, so a DNS answer
+// cannot point the request at an internal address after the URL was checked
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to the private address ${blocked.address}`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const agents = {
+  "http:": new http.Agent({ lookup: publicLookup }),
+  "https:": new https.Agent({ lookup: publicLookup })
+};
+
+// Throws unless `url` is an http(s) URL whose host is not an internal IP address
+const checkUrl = (url) => {
+  const parsed = new URL(url);
+  if (!agents[parsed.protocol]) {
+    throw new Error(`Only http and https URLs can be downloaded: ${url}`);
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new Error(`Downloads from private addresses are not allowed: ${url}`);
+  }
+  return parsed;
+};
+
+// Downloads a file from an admin-supplied URL: http(s) only, public addresses only (also after
+// redirects), at most MAX_DOWNLOAD_BYTES and DOWNLOAD_TIMEOUT for the whole transfer.
+// Resolves to { buffer, mimeType }.
+export const downloadUrl = async (url) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT);
+  try {
+    let target = checkUrl(url);
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      response = await fetch(target.href, {
+        redirect: "manual",
+        signal: controller.signal,
+        agent: parsedUrl => agents[parsedUrl.protocol]
+      });
+      const location = response.headers.get("location");
+      if (response.status < 300 || response.status >= 400 || !location) {
+        break;
+      }
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`Download of ${url} was redirected too many times`);
+      }
+      target = checkUrl(new URL(location, target).href);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Download of ${url} failed with status ${response.status}`);
+    }
+    if (Number(response.headers.get("content-length")) > MAX_DOWNLOAD_BYTES) {
+      throw new Error(`${url} is larger than ${MAX_DOWNLOAD_BYTES / 1024 / 1024} MB`);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > MAX_DOWNLOAD_BYTES) {
+        controller.abort();
+        throw new Error(`${url} is larger than ${MAX_DOWNLOAD_BYTES / 1024 / 1024} MB`);
+      }
+      chunks.push(chunk);
+    }
+
+    return {
+      buffer: Buffer.concat(chunks),
+      mimeType: (response.headers.get("content-type") || "").split(";")[0].trim() || undefined
+    };
+  } catch (err) {
+    if (err.name === "AbortError") {
+      throw new Error(`Download of ${url} took longer than ${DOWNLOAD_TIMEOUT / 1000} seconds`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+};
@@ -0,0 +1,109 @@
+import { v2 as cloudinary } from "cloudinary";
+import fetch from "node-fetch";
+import { Readable } from "stream";
+
+const TRANSFORMATION_PARAMS = [
+  "a", "ac", "af", "ar", "b", "bo", "br", "c", "co", "cs", "d", "dl", "dn", "dpr", "du", "e", "eo",
+  "f", "fl", "fn", "fps", "g", "h", "if", "ki", "l", "o", "p", "pg", "q", "r", "so", "sp", "t", "u",
+  "vc", "vs", "w", "x", "y", "z"
+];
+
+// "c_fill,w_300" but not a folder such as "mca_shop"
+const isTransformation = (segment) => segment.split(',').every(part => {
+  const [name, value] = part.split('_');
+  return TRANSFORMATION_PARAMS.includes(name) && value !== undefined;
+});
+
+// Finds the public_id and resource type in a Cloudinary delivery URL:
+//   https://res.cloudinary.com/<cloud>/<image|video|raw>/upload/[<transformations>/][v<version>/]<public_id>.<ext>
+// The public_id keeps its folders (mca_shop/products/abc). Returns null for other URLs.
+export const parseCloudinaryUrl = (url) => {
+  const match = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(.+)$/.exec(String(url));
+  if (!match) {
+    return null;
+  }
+
+  const segments = match[2].split('?')[0].split('/');
+  // Transformations ("c_fill,w_300") come before the version, the version before the public_id
+  const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+  let rest = versionIndex >= 0 ? segments.slice(versionIndex + 1) : segments;
+  if (versionIndex < 0) {
+    while (rest.length > 1 && isTransformation(rest[0])) {
+      rest = rest.slice(1);
+    }
+  }
+
+  const resourceType = match[1];
+  let key = decodeURIComponent(rest.join('/'));
+  // Raw files keep their extension in the public_id
+  if (resourceType !== 'raw') {
+    key = key.replace(/\.[^./]+$/, '');
+  }
+  return { key, resourceType };
+};
+
+// Cloudinary, configured with CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET.
+// Keys are public_ids, so they are stored without the file extension.
+export const createCloudinaryDriver = () => {
+  if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
+    throw new Error('Cloudinary not configured');
+  }
+
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+
+  const upload = (input, options) => {
+    if (!Buffer.isBuffer(input)) {
+      return options.resource_type === 'video'
+        ? cloudinary.uploader.upload_large(input, options)
+        : cloudinary.uploader.upload(input, options);
+    }
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(options, (err, result) => (err ? reject(err) : resolve(result)));
+      Readable.from(input).pipe(stream);
+    });
+  };
+
+  return {
+    name: "cloudinary",
+
+    async put(key, input, { resourceType = 'image' } = {}) {
+      const result = await upload(input, {
+        public_id: resourceType === 'raw' ? key : key.replace(/\.[^./]+$/, ''),
+        resource_type: resourceType,
+        overwrite: true,
+        quality: 'auto',
+        fetch_format: 'auto'
+      });
+      return {
+        key: result.public_id,
+        url: result.secure_url,
+        width: result.width,
+        height: result.height,
+        size: result.bytes
+      };
+    },
+
+    async read(media) {
+      const response = await fetch(media.url);
+      if (!response.ok) {
+        throw new Error(`Cloudinary responded ${response.status} for ${media.key}`);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async delete(media) {
+      const result = await cloudinary.uploader.destroy(media.key, { resource_type: media.resourceType || 'image', invalidate: true });
+      if (result.result !== 'ok' && result.result !== 'not found') {
+        throw new Error(`Cloudinary could not delete ${media.key}: ${result.result}`);
+      }
+    },
+
+    async ping() {
+      await cloudinary.api.ping();
+    }
+  };
+};
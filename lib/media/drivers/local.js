@@ -0,0 +1,47 @@
+import fs from "fs";
+import path from "path";
+
+// Files on the server's disk, under MEDIA_LOCAL_DIR (public/uploads by default) and served
+// at MEDIA_LOCAL_URL (/uploads by default). Only for a single server: other instances
+// behind a load balancer will not have the files.
+export const createLocalDriver = () => {
+  const root = path.resolve(process.env.MEDIA_LOCAL_DIR || 'public/uploads');
+  const baseUrl = (process.env.MEDIA_LOCAL_URL || '/uploads').replace(/\/$/, '');
+
+  // Keys come from us, but never let one point outside the storage directory
+  const filePath = (key) => {
+    const resolved = path.resolve(root, key);
+    if (!resolved.startsWith(root + path.sep)) {
+      throw new Error(`Invalid media key "${key}"`);
+    }
+    return resolved;
+  };
+
+  return {
+    name: "local",
+    root,
+
+    url(key) {
+      return `${baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    },
+
+    async put(key, input) {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      if (Buffer.isBuffer(input)) {
+        await fs.promises.writeFile(target, input);
+      } else {
+        await fs.promises.copyFile(input, target);
+      }
+      return { key, url: this.url(key) };
+    },
+
+    async read(media) {
+      return fs.promises.readFile(filePath(media.key));
+    },
+
+    async delete(media) {
+      await fs.promises.rm(filePath(media.key), { force: true });
+    }
+  };
+};
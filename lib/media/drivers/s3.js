@@ -0,0 +1,66 @@
+import fs from "fs";
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadBucketCommand } from "@aws-sdk/client-s3";
+
+// S3 or an S3-compatible service such as MinIO:
+//   S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+//   S3_ENDPOINT and S3_FORCE_PATH_STYLE=true for MinIO
+//   S3_PUBLIC_URL  base URL the objects are served from (bucket website or CDN)
+// Objects are uploaded with a public-read ACL unless S3_ACL is set to something else ("none" sends no ACL).
+export const createS3Driver = () => {
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET not configured');
+  }
+
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || 'us-east-1';
+  const client = new S3Client({
+    region,
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+
+  const publicBaseUrl = (process.env.S3_PUBLIC_URL
+    || (process.env.S3_ENDPOINT
+      ? `${process.env.S3_ENDPOINT}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, '');
+  const acl = process.env.S3_ACL || 'public-read';
+
+  return {
+    name: "s3",
+
+    url(key) {
+      return `${publicBaseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    },
+
+    async put(key, input, { contentType } = {}) {
+      const body = Buffer.isBuffer(input) ? input : fs.createReadStream(input);
+      const contentLength = Buffer.isBuffer(input) ? input.length : (await fs.promises.stat(input)).size;
+
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentLength: contentLength,
+        ContentType: contentType,
+        ACL: acl === 'none' ? undefined : acl
+      }));
+      return { key, url: this.url(key), size: contentLength };
+    },
+
+    async read(media) {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: media.key }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    },
+
+    async delete(media) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: media.key }));
+    },
+
+    async ping() {
+      await client.send(new HeadBucketCommand({ Bucket: bucket }));
+    }
+  };
+};
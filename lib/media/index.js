@@ -0,0 +1,179 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { createLocalDriver } from "./drivers/local.js";
+import { createCloudinaryDriver, parseCloudinaryUrl } from "./drivers/cloudinary.js";
+import { createS3Driver } from "./drivers/s3.js";
+import { slugify } from "../slug.js";
+import { downloadUrl } from "./download.js";
+
+// Storage drivers. Each factory returns an object with:
+//   name                                        provider name, stored on the media record
+//   put(key, input, { contentType, resourceType }) -> { key, url, width?, height?, size? }
+//                                               `input` is a Buffer or a file path
+//   read(media)                                 -> Buffer with the file contents
+//   delete(media)                               removes the file, resolves when it is already gone
+//   ping()                                      optional, throws when the service is unreachable
+// Media records ({ provider, key, url, resourceType, mimeType, size, width, height, originalName })
+// are stored on the documents instead of bare URLs. Files only known by their URL (e.g. legacy
+// data) use the "external" provider, which can be read but never written or deleted.
+const factories = {
+  local: createLocalDriver,
+  cloudinary: createCloudinaryDriver,
+  s3: createS3Driver
+};
+
+const instances = {};
+
+export const registerStorageDriver = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+export const listStorageDrivers = () => Object.keys(factories);
+
+// MEDIA_DRIVER, or Cloudinary when it is configured and the local disk otherwise
+export const defaultStorageDriverName = () => {
+  return process.env.MEDIA_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+};
+
+// Throws when the driver is unknown or not configured
+export const getStorageDriver = (name = defaultStorageDriverName()) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown storage driver "${name}"`);
+  }
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+};
+
+export const MEDIA_PROVIDERS = [...Object.keys(factories), "external"];
+
+const resourceTypeOf = (mimeType) => {
+  if (mimeType && mimeType.startsWith('video/')) {
+    return 'video';
+  }
+  return mimeType && mimeType.startsWith('image/') ? 'image' : 'raw';
+};
+
+// "products/1730000000000-3f9a1c2b-red-dress.jpg", under MEDIA_KEY_PREFIX (mca_shop by default)
+export const createMediaKey = (folder, originalName = '') => {
+  const extension = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const baseName = slugify(path.basename(originalName, path.extname(originalName))).slice(0, 40) || 'file';
+  const prefix = process.env.MEDIA_KEY_PREFIX === undefined ? 'mca_shop' : process.env.MEDIA_KEY_PREFIX;
+  return [prefix, folder, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${baseName}${extension}`]
+    .filter(Boolean)
+    .join('/');
+};
+
+const putMedia = async (driver, input, { folder, originalName, mimeType, size, resourceType = resourceTypeOf(mimeType) }) => {
+  const stored = await driver.put(createMediaKey(folder, originalName), input, { contentType: mimeType, resourceType });
+  return {
+    provider: driver.name,
+    key: stored.key,
+    url: stored.url,
+    resourceType,
+    mimeType,
+    size: stored.size || size,
+    width: stored.width,
+    height: stored.height,
+    originalName
+  };
+};
+
+// Stores a file uploaded with multer and removes the temporary file, whatever the outcome
+export const storeUploadedFile = async (file, { folder, driver = getStorageDriver() } = {}) => {
+  try {
+    return await putMedia(driver, file.buffer || file.path, {
+      folder,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size
+    });
+  } finally {
+    if (file.path) {
+      await fs.promises.rm(file.path, { force: true });
+    }
+  }
+};
+
+// Stores several uploaded files. When one fails, the ones already stored are deleted again.
+export const storeUploadedFiles = async (files, options = {}) => {
+  const stored = [];
+  try {
+    for (const file of files) {
+      stored.push(await storeUploadedFile(file, options));
+    }
+    return stored;
+  } catch (err) {
+    await deleteMediaList(stored);
+    for (const file of files) {
+      if (file.path) {
+        await fs.promises.rm(file.path, { force: true });
+      }
+    }
+    throw err;
+  }
+};
+
+// Downloads a remote file and stores it
+export const storeRemoteFile = async (url, { folder, driver = getStorageDriver() } = {}) => {
+  const { buffer, mimeType } = await downloadUrl(url);
+  const originalName = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+  return putMedia(driver, buffer, { folder, originalName, mimeType, size: buffer.length });
+};
+
+// Media record for a bare URL saved before the media records existed
+export const mediaFromUrl = (url, resourceType = 'image') => {
+  const cloudinaryFile = parseCloudinaryUrl(url);
+  if (cloudinaryFile) {
+    return { provider: 'cloudinary', key: cloudinaryFile.key, url, resourceType: cloudinaryFile.resourceType };
+  }
+  if (url.startsWith('/uploads/')) {
+    return { provider: 'local', key: decodeURIComponent(url.slice('/uploads/'.length)), url, resourceType };
+  }
+  return { provider: 'external', url, resourceType };
+};
+
+// Reads the contents of a stored file
+export const readMedia = async (media) => {
+  if (media.provider === 'external') {
+    return (await downloadUrl(media.url)).buffer;
+  }
+  return getStorageDriver(media.provider).read(media);
+};
+
+// Deletes a stored file. Failures are logged, not thrown: a leftover file must not stop the
+// document from being updated or deleted.
+export const deleteMedia = async (media) => {
+  if (!media || !media.key || media.provider === 'external') {
+    return;
+  }
+  try {
+    await getStorageDriver(media.provider).delete(media);
+    console.log(`🗑️ Deleted ${media.provider} media:`, media.key);
+  } catch (err) {
+    console.error(`❌ Error deleting ${media.provider} media ${media.key}:`, err.message);
+  }
+};
+
+export const deleteMediaList = async (mediaList) => {
+  for (const media of mediaList || []) {
+    await deleteMedia(media);
+  }
+};
+
+// Copies a stored file to another driver and returns the new record, the original is left in place
+export const copyMedia = async (media, driver, { folder } = {}) => {
+  const buffer = await readMedia(media);
+  const copy = await putMedia(driver, buffer, {
+    folder,
+    originalName: media.originalName || path.posix.basename(new URL(media.url, 'http://localhost').pathname),
+    mimeType: media.mimeType,
+    size: buffer.length,
+    resourceType: media.resourceType || resourceTypeOf(media.mimeType)
+  });
+  // Keep what the source knew about the file when the new driver cannot tell
+  return { ...copy, width: copy.width || media.width, height: copy.height || media.height };
+};
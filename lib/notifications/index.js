@@ -0,0 +1,213 @@
+import { createConsoleTransport } from "./transports/console.js";
+import { createSmtpTransport } from "./transports/smtp.js";
+import { createSmsGatewayTransport } from "./transports/smsGateway.js";
+import { createHttpTransport } from "./transports/http.js";
+import { LANGUAGES, defaultLanguage } from "../i18n.js";
+import {
+  getDefaultTemplate,
+  renderTemplate,
+  orderTemplateVariables
+} from "./templates.js";
+
+// Notification transports. Each factory returns an object with:
+//   kind                                        "email", "sms", "webhook" or "console"
+//   send({ channel, event, to, subject, body }) -> { id }, throws when the message was not sent
+const factories = {
+  console: createConsoleTransport,
+  smtp: createSmtpTransport,
+  sms_gateway: createSmsGatewayTransport,
+  http: createHttpTransport
+};
+
+const instances = {};
+
+export const registerTransport = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+export const listTransports = () => Object.keys(factories);
+
+const getTransport = (name) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown notification transport "${name}"`);
+  }
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+};
+
+const warnedChannels = new Set();
+
+// Transport used by each channel: NOTIFY_EMAIL_TRANSPORT, NOTIFY_SMS_TRANSPORT and
+// NOTIFY_ADMIN_TRANSPORT, "none" to turn the channel off. Unset channels print their messages
+// with "console", except with NODE_ENV=production where customer details must not reach the logs
+// and they are off.
+const channelTransport = (channel) => {
+  const envName = `NOTIFY_${channel.toUpperCase()}_TRANSPORT`;
+  const name = process.env[envName];
+  if (name) {
+    return name === 'none' ? null : name;
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    return 'console';
+  }
+  if (!warnedChannels.has(channel)) {
+    console.warn(`⚠️ ${envName} not set, ${channel} notifications are not sent`);
+    warnedChannels.add(channel);
+  }
+  return null;
+};
+
+const splitList = (value) => (value || '').split(',').map(v => v.trim()).filter(v => v !== '');
+
+// Who receives a message of `channel` about `order`
+const recipientsFor = (channel, order, transport) => {
+  if (channel === 'email') {
+    return order.email ? [order.email] : [];
+  }
+  if (channel === 'sms') {
+    return order.phone ? [order.phone] : [];
+  }
+  // Staff alerts go to the addresses or numbers matching the transport
+  if (transport.kind === 'email') {
+    return splitList(process.env.ADMIN_ALERT_EMAILS);
+  }
+  if (transport.kind === 'sms') {
+    return splitList(process.env.ADMIN_ALERT_PHONES);
+  }
+  return ['admin'];
+};
+
+export const MAX_NOTIFICATION_ATTEMPTS = 5;
+
+// 1, 4, 16, 64 minutes
+const retryDelay = (attempts) => Math.pow(4, attempts - 1) * 60 * 1000;
+
+// NOTIFY_DEFAULT_LANGUAGE, else the shop's DEFAULT_LANGUAGE
+export const defaultNotificationLanguage = () => {
+  const language = process.env.NOTIFY_DEFAULT_LANGUAGE;
+  return LANGUAGES.includes(language) ? language : defaultLanguage();
+};
+
+// Sends order notifications and keeps every message in NotificationLog, so failed ones
+// can be retried and admins can see what each customer received.
+export const createNotificationService = ({ NotificationTemplate, NotificationLog }) => {
+  // The admin's version of a template wins over the built-in one
+  const findTemplate = async (event, channel, language) => {
+    const custom = await NotificationTemplate.findOne({ event, channel, language });
+    if (custom) {
+      return custom.isActive ? { subject: custom.subject, body: custom.body } : null;
+    }
+    return getDefaultTemplate(event, channel, language);
+  };
+
+  const deliver = async (log) => {
+    log.attempts += 1;
+    try {
+      const result = await getTransport(log.transport).send({
+        channel: log.channel,
+        event: log.event,
+        to: log.recipient,
+        subject: log.subject,
+        body: log.body
+      });
+      log.status = 'sent';
+      log.sentAt = new Date();
+      log.providerMessageId = result && result.id;
+      log.lastError = undefined;
+      log.nextAttemptAt = undefined;
+    } catch (err) {
+      log.lastError = err.message;
+      if (log.attempts >= MAX_NOTIFICATION_ATTEMPTS) {
+        log.status = 'failed';
+        log.nextAttemptAt = undefined;
+      } else {
+        log.status = 'pending';
+        log.nextAttemptAt = new Date(Date.now() + retryDelay(log.attempts));
+      }
+      console.error(`❌ Notification ${log._id} (${log.event}/${log.channel}) failed, attempt ${log.attempts}:`, err.message);
+    }
+    await log.save();
+    return log;
+  };
+
+  // Renders and sends every channel of `event` for `order`
+  const notify = async (event, order) => {
+    const language = LANGUAGES.includes(order.language) ? order.language : defaultNotificationLanguage();
+    const variables = orderTemplateVariables(order);
+    const logs = [];
+
+    for (const channel of ['email', 'sms', 'admin']) {
+      const transportName = channelTransport(channel);
+      if (!transportName) {
+        continue;
+      }
+
+      let transport;
+      try {
+        transport = getTransport(transportName);
+      } catch (err) {
+        console.error(`❌ Notification transport for ${channel}:`, err.message);
+        continue;
+      }
+
+      const templateLanguage = channel === 'admin' ? defaultNotificationLanguage() : language;
+      const template = await findTemplate(event, channel, templateLanguage);
+      if (!template) {
+        continue;
+      }
+
+      for (const recipient of recipientsFor(channel, order, transport)) {
+        const log = await NotificationLog.create({
+          event,
+          orderId: order._id,
+          channel,
+          transport: transportName,
+          recipient,
+          language: templateLanguage,
+          subject: renderTemplate(template.subject, variables),
+          body: renderTemplate(template.body, variables),
+          // Claimed until the first attempt is done, so the retry worker does not pick it up meanwhile
+          nextAttemptAt: new Date(Date.now() + 5 * 60 * 1000)
+        });
+        logs.push(await deliver(log));
+      }
+    }
+
+    return logs;
+  };
+
+  // Sends the messages whose retry time has come. Each one is claimed first so that
+  // several instances do not send the same message twice.
+  const processRetries = async (limit = 50) => {
+    let processed = 0;
+    while (processed < limit) {
+      const now = new Date();
+      const log = await NotificationLog.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + 5 * 60 * 1000) } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+      );
+      if (!log) {
+        break;
+      }
+      await deliver(log);
+      processed++;
+    }
+    return processed;
+  };
+
+  // Forwards order events to notify(). Sending never blocks or fails the request.
+  const subscribe = (orderEvents) => {
+    const send = (event, order) => {
+      notify(event, order).catch(err => console.error(`❌ Error sending ${event} notifications:`, err));
+    };
+
+    orderEvents.on('order.created', order => send('order.created', order));
+    orderEvents.on('order.status_changed', ({ order, to }) => send(`order.${to}`, order));
+  };
+
+  return { notify, deliver, processRetries, subscribe };
+};
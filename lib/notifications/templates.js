@@ -0,0 +1,163 @@
+export const NOTIFICATION_EVENTS = ["order.created", "order.confirmed", "order.shipped", "order.delivered", "order.cancelled"];
+export const NOTIFICATION_CHANNELS = ["email", "sms", "admin"];
+
+// Built-in templates, admins can override any of them. An event/channel without a
+// template sends nothing on that channel. `subject` is only used by email transports.
+export const DEFAULT_TEMPLATES = {
+  "order.created": {
+    email: {
+      fr: {
+        subject: "{{shopName}} - Commande {{orderNumber}} reçue",
+        body: "Bonjour {{clientName}},\n\nNous avons bien reçu votre commande {{orderNumber}} :\n{{itemsSummary}}\n\nTotal à payer à la livraison : {{total}} DA.\nNous vous appellerons bientôt pour la confirmer.\n\n{{shopName}}"
+      },
+      ar: {
+        subject: "{{shopName}} - تم استلام الطلب {{orderNumber}}",
+        body: "مرحبا {{clientName}}،\n\nلقد استلمنا طلبك {{orderNumber}}:\n{{itemsSummary}}\n\nالمبلغ الواجب دفعه عند الاستلام: {{total}} دج.\nسنتصل بك قريبا لتأكيد الطلب.\n\n{{shopName}}"
+      },
+      en: {
+        subject: "{{shopName}} - Order {{orderNumber}} received",
+        body: "Hello {{clientName}},\n\nWe received your order {{orderNumber}}:\n{{itemsSummary}}\n\nTotal to pay on delivery: {{total}} DA.\nWe will call you soon to confirm it.\n\n{{shopName}}"
+      }
+    },
+    sms: {
+      fr: { body: "{{shopName}}: commande {{orderNumber}} reçue, total {{total}} DA. Nous vous appellerons pour la confirmer." },
+      ar: { body: "{{shopName}}: تم استلام طلبك {{orderNumber}}، المبلغ {{total}} دج. سنتصل بك لتأكيده." },
+      en: { body: "{{shopName}}: order {{orderNumber}} received, total {{total}} DA. We will call you to confirm it." }
+    },
+    admin: {
+      fr: {
+        subject: "Nouvelle commande {{orderNumber}} - {{total}} DA",
+        body: "Nouvelle commande {{orderNumber}} de {{clientName}} ({{phone}}, {{wilaya}}) :\n{{itemsSummary}}\nTotal : {{total}} DA"
+      },
+      ar: {
+        subject: "طلب جديد {{orderNumber}} - {{total}} دج",
+        body: "طلب جديد {{orderNumber}} من {{clientName}} ({{phone}}، {{wilaya}}):\n{{itemsSummary}}\nالمجموع: {{total}} دج"
+      },
+      en: {
+        subject: "New order {{orderNumber}} - {{total}} DA",
+        body: "New order {{orderNumber}} from {{clientName}} ({{phone}}, {{wilaya}}):\n{{itemsSummary}}\nTotal: {{total}} DA"
+      }
+    }
+  },
+  "order.confirmed": {
+    email: {
+      fr: {
+        subject: "{{shopName}} - Commande {{orderNumber}} confirmée",
+        body: "Bonjour {{clientName}},\n\nVotre commande {{orderNumber}} est confirmée et sera bientôt expédiée.\n\n{{shopName}}"
+      },
+      ar: {
+        subject: "{{shopName}} - تم تأكيد الطلب {{orderNumber}}",
+        body: "مرحبا {{clientName}}،\n\nتم تأكيد طلبك {{orderNumber}} وسيتم شحنه قريبا.\n\n{{shopName}}"
+      },
+      en: {
+        subject: "{{shopName}} - Order {{orderNumber}} confirmed",
+        body: "Hello {{clientName}},\n\nYour order {{orderNumber}} is confirmed and will be shipped soon.\n\n{{shopName}}"
+      }
+    },
+    sms: {
+      fr: { body: "{{shopName}}: votre commande {{orderNumber}} est confirmée." },
+      ar: { body: "{{shopName}}: تم تأكيد طلبك {{orderNumber}}." },
+      en: { body: "{{shopName}}: your order {{orderNumber}} is confirmed." }
+    }
+  },
+  "order.shipped": {
+    email: {
+      fr: {
+        subject: "{{shopName}} - Commande {{orderNumber}} expédiée",
+        body: "Bonjour {{clientName}},\n\nVotre commande {{orderNumber}} a été remise au livreur.\nNuméro de suivi : {{trackingNumber}}\nMontant à payer à la livraison : {{total}} DA.\n\n{{shopName}}"
+      },
+      ar: {
+        subject: "{{shopName}} - تم شحن الطلب {{orderNumber}}",
+        body: "مرحبا {{clientName}}،\n\nتم تسليم طلبك {{orderNumber}} لشركة التوصيل.\nرقم التتبع: {{trackingNumber}}\nالمبلغ الواجب دفعه عند الاستلام: {{total}} دج.\n\n{{shopName}}"
+      },
+      en: {
+        subject: "{{shopName}} - Order {{orderNumber}} shipped",
+        body: "Hello {{clientName}},\n\nYour order {{orderNumber}} is on its way.\nTracking number: {{trackingNumber}}\nAmount to pay on delivery: {{total}} DA.\n\n{{shopName}}"
+      }
+    },
+    sms: {
+      fr: { body: "{{shopName}}: commande {{orderNumber}} expédiée, suivi {{trackingNumber}}. Préparez {{total}} DA." },
+      ar: { body: "{{shopName}}: تم شحن طلبك {{orderNumber}}، رقم التتبع {{trackingNumber}}. المبلغ {{total}} دج." },
+      en: { body: "{{shopName}}: order {{orderNumber}} shipped, tracking {{trackingNumber}}. Please have {{total}} DA ready." }
+    }
+  },
+  "order.delivered": {
+    email: {
+      fr: {
+        subject: "{{shopName}} - Commande {{orderNumber}} livrée",
+        body: "Bonjour {{clientName}},\n\nVotre commande {{orderNumber}} a été livrée. Merci pour votre confiance !\n\n{{shopName}}"
+      },
+      ar: {
+        subject: "{{shopName}} - تم توصيل الطلب {{orderNumber}}",
+        body: "مرحبا {{clientName}}،\n\nتم توصيل طلبك {{orderNumber}}. شكرا لثقتك!\n\n{{shopName}}"
+      },
+      en: {
+        subject: "{{shopName}} - Order {{orderNumber}} delivered",
+        body: "Hello {{clientName}},\n\nYour order {{orderNumber}} has been delivered. Thank you for shopping with us!\n\n{{shopName}}"
+      }
+    },
+    sms: {
+      fr: { body: "{{shopName}}: commande {{orderNumber}} livrée. Merci !" },
+      ar: { body: "{{shopName}}: تم توصيل طلبك {{orderNumber}}. شكرا!" },
+      en: { body: "{{shopName}}: order {{orderNumber}} delivered. Thank you!" }
+    }
+  },
+  "order.cancelled": {
+    email: {
+      fr: {
+        subject: "{{shopName}} - Commande {{orderNumber}} annulée",
+        body: "Bonjour {{clientName}},\n\nVotre commande {{orderNumber}} a été annulée. Contactez-nous si c'est une erreur.\n\n{{shopName}}"
+      },
+      ar: {
+        subject: "{{shopName}} - تم إلغاء الطلب {{orderNumber}}",
+        body: "مرحبا {{clientName}}،\n\nتم إلغاء طلبك {{orderNumber}}. اتصل بنا إذا كان ذلك خطأ.\n\n{{shopName}}"
+      },
+      en: {
+        subject: "{{shopName}} - Order {{orderNumber}} cancelled",
+        body: "Hello {{clientName}},\n\nYour order {{orderNumber}} was cancelled. Contact us if this is a mistake.\n\n{{shopName}}"
+      }
+    },
+    sms: {
+      fr: { body: "{{shopName}}: votre commande {{orderNumber}} a été annulée." },
+      ar: { body: "{{shopName}}: تم إلغاء طلبك {{orderNumber}}." },
+      en: { body: "{{shopName}}: your order {{orderNumber}} was cancelled." }
+    },
+    admin: {
+      fr: { subject: "Commande {{orderNumber}} annulée", body: "La commande {{orderNumber}} de {{clientName}} ({{phone}}) a été annulée." },
+      ar: { subject: "تم إلغاء الطلب {{orderNumber}}", body: "تم إلغاء الطلب {{orderNumber}} الخاص بـ {{clientName}} ({{phone}})." },
+      en: { subject: "Order {{orderNumber}} cancelled", body: "Order {{orderNumber}} from {{clientName}} ({{phone}}) was cancelled." }
+    }
+  }
+};
+
+export const getDefaultTemplate = (event, channel, language) => {
+  const template = DEFAULT_TEMPLATES[event] && DEFAULT_TEMPLATES[event][channel] && DEFAULT_TEMPLATES[event][channel][language];
+  return template ? { subject: template.subject || '', body: template.body } : null;
+};
+
+// Replaces {{name}} placeholders, unknown names become empty strings
+export const renderTemplate = (text, variables) => {
+  return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+};
+
+// Values available to templates for an order
+export const orderTemplateVariables = (order) => ({
+  shopName: process.env.SHOP_NAME || 'MCA Shop',
+  orderId: String(order._id),
+  orderNumber: String(order._id).slice(-8).toUpperCase(),
+  clientName: order.clientName,
+  phone: order.phone,
+  email: order.email,
+  wilaya: order.wilaya,
+  status: order.status,
+  subtotal: order.subtotal,
+  total: order.total,
+  trackingNumber: order.shipment && order.shipment.trackingNumber,
+  itemsSummary: (order.items || []).map(item => {
+    const options = [item.color, item.size].filter(Boolean).join('/');
+    return `- ${item.quantity} × ${item.productName}${options ? ` (${options})` : ''}`;
+  }).join('\n')
+});
@@ -0,0 +1,9 @@
+// Prints messages instead of sending them, for development and tests
+export const createConsoleTransport = () => ({
+  kind: "console",
+
+  async send({ channel, to, subject, body }) {
+    console.log(`📨 [${channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${body}`);
+    return { id: null };
+  }
+});
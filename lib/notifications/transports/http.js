@@ -0,0 +1,28 @@
+import fetch from "node-fetch";
+
+// Generic webhook: POST NOTIFY_HTTP_URL with the whole message as JSON (e.g. for a chat bot)
+export const createHttpTransport = () => {
+  if (!process.env.NOTIFY_HTTP_URL) {
+    throw new Error('NOTIFY_HTTP_URL not configured');
+  }
+
+  return {
+    kind: "webhook",
+
+    async send(message) {
+      const response = await fetch(process.env.NOTIFY_HTTP_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(process.env.NOTIFY_HTTP_TOKEN ? { Authorization: `Bearer ${process.env.NOTIFY_HTTP_TOKEN}` } : {})
+        },
+        body: JSON.stringify(message)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook responded ${response.status}`);
+      }
+      return { id: null };
+    }
+  };
+};
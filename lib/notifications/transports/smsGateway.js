@@ -0,0 +1,39 @@
+import fetch from "node-fetch";
+
+// Algerian mobile numbers (05/06/07...) in international format
+const toInternational = (phone) => {
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.startsWith('0') ? '+213' + digits.slice(1) : '+' + digits;
+};
+
+// SMS through an HTTP gateway: POST SMS_GATEWAY_URL { to, from, message } with a bearer token
+export const createSmsGatewayTransport = () => {
+  if (!process.env.SMS_GATEWAY_URL) {
+    throw new Error('SMS_GATEWAY_URL not configured');
+  }
+
+  return {
+    kind: "sms",
+
+    async send({ to, body }) {
+      const response = await fetch(process.env.SMS_GATEWAY_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(process.env.SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` } : {})
+        },
+        body: JSON.stringify({
+          to: toInternational(to),
+          from: process.env.SMS_GATEWAY_SENDER,
+          message: body
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded ${response.status}: ${(await response.text()).slice(0, 200)}`);
+      }
+      const result = await response.json().catch(() => ({}));
+      return { id: result.id || result.messageId || null };
+    }
+  };
+};
@@ -0,0 +1,29 @@
+import nodemailer from "nodemailer";
+
+// SMTP email. Works with a local catcher such as MailHog (SMTP_HOST=localhost SMTP_PORT=1025).
+export const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST not configured');
+  }
+
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    kind: "email",
+
+    async send({ to, subject, body }) {
+      const info = await mailer.sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        to,
+        subject,
+        text: body
+      });
+      return { id: info.messageId };
+    }
+  };
+};
@@ -0,0 +1,122 @@
+import ExcelJS from "exceljs";
+
+const describeItem = (item) => {
+  const options = [item.color, item.size].filter(Boolean).join('/');
+  return `${item.quantity}× ${item.productName}${options ? ` (${options})` : ''}`;
+};
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Columns that can be exported, in their default order
+export const ORDER_EXPORT_COLUMNS = {
+  id: { header: "Order ID", width: 26, value: order => String(order._id) },
+  date: { header: "Date", width: 20, value: order => order.orderDate },
+  status: { header: "Status", width: 12, value: order => order.status },
+  clientName: { header: "Client", width: 24, value: order => order.clientName },
+  phone: { header: "Phone", width: 14, value: order => order.phone },
+  email: { header: "Email", width: 26, value: order => order.email },
+  wilayaCode: { header: "Wilaya code", width: 8, value: order => order.wilayaCode },
+  wilaya: { header: "Wilaya", width: 18, value: order => order.wilaya },
+  address: { header: "Address", width: 36, value: order => order.address },
+  deliveryType: { header: "Delivery", width: 10, value: order => order.deliveryType },
+  items: { header: "Items", width: 48, value: order => (order.items || []).map(describeItem).join('; ') },
+  quantity: { header: "Quantity", width: 8, value: order => (order.items || []).reduce((sum, item) => sum + item.quantity, 0) },
+  subtotal: { header: "Subtotal", width: 10, value: order => order.subtotal },
+  shippingFee: { header: "Shipping", width: 10, value: order => order.shippingFee },
+  total: { header: "Total", width: 10, value: order => order.total },
+  courier: { header: "Courier", width: 12, value: order => order.shipment && order.shipment.provider },
+  trackingNumber: { header: "Tracking number", width: 20, value: order => order.shipment && order.shipment.trackingNumber }
+};
+
+// Parses the `columns` query value, returns the column keys or { error }
+export const parseExportColumns = (value) => {
+  if (!value) {
+    return { columns: Object.keys(ORDER_EXPORT_COLUMNS) };
+  }
+  const columns = String(value).split(',').map(c => c.trim()).filter(c => c !== '');
+  const unknown = columns.filter(c => !ORDER_EXPORT_COLUMNS[c]);
+  if (columns.length === 0 || unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ')}` };
+  }
+  return { columns };
+};
+
+// Texts that spreadsheets would run as a formula (customer names, addresses...) get a leading '
+export const escapeCsv = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolves to true once `res` can take more data, or to false when the client went away
+const waitForDrain = (res) => new Promise(resolve => {
+  const settle = (drained) => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', onClose);
+    resolve(drained);
+  };
+  const onDrain = () => settle(true);
+  const onClose = () => settle(false);
+  res.on('drain', onDrain);
+  res.on('close', onClose);
+  res.on('error', onClose);
+});
+
+// Streams the orders of a Mongoose cursor as CSV. The BOM makes Excel read it as UTF-8.
+// Stops and closes the cursor when the client disconnects.
+export const writeOrdersCsv = async (cursor, res, columns) => {
+  try {
+    res.write('\uFEFF' + columns.map(c => escapeCsv(ORDER_EXPORT_COLUMNS[c].header)).join(',') + '\r\n');
+
+    for await (const order of cursor) {
+      if (res.destroyed) {
+        break;
+      }
+      const line = columns.map(c => escapeCsv(ORDER_EXPORT_COLUMNS[c].value(order))).join(',') + '\r\n';
+      if (!res.write(line) && !(await waitForDrain(res))) {
+        break;
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+  if (!res.destroyed) {
+    res.end();
+  }
+};
+
+// Streams the orders of a Mongoose cursor as an XLSX workbook
+export const writeOrdersXlsx = async (cursor, res, columns) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet("Orders");
+  sheet.columns = columns.map(c => ({
+    key: c,
+    header: ORDER_EXPORT_COLUMNS[c].header,
+    width: ORDER_EXPORT_COLUMNS[c].width
+  }));
+
+  try {
+    for await (const order of cursor) {
+      if (res.destroyed) {
+        break;
+      }
+      sheet.addRow(Object.fromEntries(columns.map(c => [c, ORDER_EXPORT_COLUMNS[c].value(order)]))).commit();
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (!res.destroyed) {
+    sheet.commit();
+    await workbook.commit();
+  }
+};
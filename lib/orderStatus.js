@@ -0,0 +1,22 @@
+// Order status workflow for cash-on-delivery orders.
+// A cancelled order can be re-opened (back to pending). Returned is final.
+export const ORDER_STATUSES = ["pending", "confirmed", "shipped", "delivered", "cancelled", "returned", "no_answer"];
+
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ["confirmed", "no_answer", "cancelled"],
+  no_answer: ["pending", "confirmed", "cancelled"],
+  confirmed: ["shipped", "cancelled"],
+  shipped: ["delivered", "returned"],
+  delivered: ["returned"],
+  cancelled: ["pending"],
+  returned: []
+};
+
+// Orders in these statuses do not hold any stock
+export const STOCK_RELEASING_STATUSES = ["cancelled", "returned"];
+
+export const canTransition = (from, to) => {
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+export const releasesStock = (status) => STOCK_RELEASING_STATUSES.includes(status);
@@ -0,0 +1,102 @@
+import { parse } from "csv-parse/sync";
+import { LANGUAGES, defaultLanguage } from "./i18n.js";
+
+// CSV columns for the bulk product import. colors and sizes are separated by commas
+// (quote the cell) or "|", image URLs by "|" or whitespace since URLs can contain commas.
+// name and description are in the default language, name_ar, description_fr, ... in that language.
+const TRANSLATED_COLUMNS = ["name", "description"].flatMap(field => [field, ...LANGUAGES.map(language => `${field}_${language}`)]);
+export const PRODUCT_IMPORT_COLUMNS = [...TRANSLATED_COLUMNS, "price", "category", "colors", "sizes", "images", "stock"];
+export const REQUIRED_IMPORT_COLUMNS = ["name", "price", "category", "images"];
+export const MAX_IMPORT_ROWS = 1000;
+
+// Returns [{ line, values }] where `line` is the line number in the file (the header is line 1)
+export const parseProductCsv = (buffer) => {
+  const records = parse(buffer, {
+    columns: header => header.map(h => h.trim().toLowerCase()),
+    bom: true,
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+    info: true
+  });
+  return records.map(({ record, info }) => ({ line: info.lines, values: record }));
+};
+
+// A name_<language> column stands in for "name"
+export const missingImportColumns = (rows) => {
+  const present = rows.length > 0 ? Object.keys(rows[0].values) : [];
+  return REQUIRED_IMPORT_COLUMNS.filter(column => !present.includes(column) &&
+    !(column === "name" && LANGUAGES.some(language => present.includes(`name_${language}`))));
+};
+
+const splitList = (value, separator) => {
+  return (value || '').split(separator).map(v => v.trim()).filter(v => v !== '');
+};
+
+// { ar, fr, en } from the `field` and `field_<language>` cells, the language columns win
+const readTranslations = (values, field) => {
+  const translations = {};
+  const plain = (values[field] || '').trim();
+  if (plain) {
+    translations[defaultLanguage()] = plain;
+  }
+  for (const language of LANGUAGES) {
+    const text = (values[`${field}_${language}`] || '').trim();
+    if (text) {
+      translations[language] = text;
+    }
+  }
+  return translations;
+};
+
+// Checks the cell values of one row. Returns { product, errors }; `product.category` is still
+// the raw cell value, resolving it to a Category is left to the caller.
+export const validateProductRow = (values) => {
+  const errors = [];
+
+  const name = readTranslations(values, 'name');
+  if (Object.keys(name).length === 0) {
+    errors.push("name is required");
+  }
+
+  const price = Number(values.price);
+  if (!values.price || isNaN(price) || price <= 0) {
+    errors.push("price must be a positive number");
+  }
+
+  const category = (values.category || '').trim();
+  if (!category) {
+    errors.push("category is required");
+  }
+
+  const images = splitList(values.images, /[|\s]+/);
+  if (images.length === 0) {
+    errors.push("at least one image URL is required");
+  }
+  const invalidImages = images.filter(url => !/^https?:\/\/\S+$/i.test(url));
+  if (invalidImages.length > 0) {
+    errors.push(`invalid image URL: ${invalidImages.join(' ')}`);
+  }
+
+  let stock = 0;
+  if (values.stock !== undefined && values.stock !== '') {
+    stock = Number(values.stock);
+    if (!Number.isInteger(stock) || stock < 0) {
+      errors.push("stock must be a whole number, 0 or more");
+    }
+  }
+
+  return {
+    product: {
+      name,
+      description: readTranslations(values, 'description'),
+      price,
+      category,
+      colors: splitList(values.colors, /[,|]/),
+      sizes: splitList(values.sizes, /[,|]/),
+      images,
+      stock
+    },
+    errors
+  };
+};
@@ -0,0 +1,104 @@
+import { createMemoryStore } from "./stores/memory.js";
+import { createMongoStore } from "./stores/mongodb.js";
+
+// Counter stores. Each factory returns an object with:
+//   name                           store name
+//   increment(key, windowMs)       -> { count, resetAt } counts one request in the current window,
+//                                  a new window of `windowMs` starts when there is none
+//   decrement(key)                 takes one request back
+//   reset(key)                     forgets the key
+const factories = {
+  memory: createMemoryStore,
+  mongodb: createMongoStore
+};
+
+export const listRateLimitStores = () => Object.keys(factories);
+
+// RATE_LIMIT_STORE: memory (default) or mongodb, which is needed when several instances run.
+// `options` goes to the factory (the mongodb store needs its `Model`).
+export const createRateLimitStore = (name = process.env.RATE_LIMIT_STORE || 'memory', options = {}) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown rate limit store "${name}", expected one of: ${listRateLimitStores().join(', ')}`);
+  }
+  return factories[name](options);
+};
+
+// Response headers of the IETF RateLimit fields draft, browsers may read them through CORS
+export const RATE_LIMIT_HEADERS = ["RateLimit-Policy", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After"];
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "10/15m" -> { max: 10, windowMs: 900000 }, "off" or "0" -> { max: 0 } (no limit).
+// Returns null when the text is not valid.
+export const parseRateLimit = (value) => {
+  const text = String(value).trim().toLowerCase();
+  if (text === 'off' || text === '0') {
+    return { max: 0 };
+  }
+  const match = /^(\d+)\s*\/\s*(\d+)\s*(s|m|h|d)$/.exec(text);
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    return null;
+  }
+  return { max: Number(match[1]), windowMs: Number(match[2]) * DURATION_UNITS[match[3]] };
+};
+
+// Returns limit(name, policy), which makes the middleware of one policy:
+//   max, window                    requests allowed per window, e.g. { max: 10, window: "15m" }
+//   message                        text of the 429 response
+//   skipSuccessfulRequests         only count the requests answered with an error status
+//   key(req)                       who is counted, the client IP address by default
+// RATE_LIMIT_<NAME> replaces max and window without a code change, e.g. RATE_LIMIT_LOGIN=5/10m,
+// or turns the policy off with "off". Policies with the same name share their counters.
+// When the store fails the request is let through.
+export const createRateLimiter = ({ store }) => (name, policy) => {
+  const envName = `RATE_LIMIT_${name.toUpperCase()}`;
+  let { max, windowMs } = parseRateLimit(`${policy.max}/${policy.window}`);
+  if (process.env[envName] !== undefined) {
+    const configured = parseRateLimit(process.env[envName]);
+    if (configured) {
+      ({ max, windowMs } = configured);
+    } else {
+      console.warn(`⚠️ ${envName} must look like 10/15m (s, m, h or d) or "off", using ${policy.max}/${policy.window}`);
+    }
+  }
+
+  if (max === 0) {
+    return (req, res, next) => next();
+  }
+
+  const message = policy.message || "Too many requests, please try again later";
+  const keyOf = policy.key || (req => req.ip);
+
+  return async (req, res, next) => {
+    const key = `${name}:${keyOf(req)}`;
+    let hit;
+    try {
+      hit = await store.increment(key, windowMs);
+    } catch (err) {
+      console.error(`❌ Rate limit store error (${name}):`, err);
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000), 0);
+    res.set({
+      'RateLimit-Policy': `${max};w=${windowMs / 1000}`,
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(max - hit.count, 0)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (hit.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ message, retryAfter: resetSeconds });
+    }
+
+    if (policy.skipSuccessfulRequests) {
+      res.on('finish', () => {
+        if (res.statusCode < 400) {
+          store.decrement(key).catch(err => console.error(`❌ Rate limit store error (${name}):`, err));
+        }
+      });
+    }
+    next();
+  };
+};
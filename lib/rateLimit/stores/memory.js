@@ -0,0 +1,44 @@
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Counters in this process's memory. Fast, but every server instance counts on its own and
+// the counts are lost on restart.
+export const createMemoryStore = () => {
+  // key -> { count, resetAt }
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt.getTime() <= now) {
+        counters.delete(key);
+      }
+    }
+  }, SWEEP_INTERVAL);
+  sweep.unref();
+
+  return {
+    name: "memory",
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt.getTime() <= now) {
+        counter = { count: 0, resetAt: new Date(now + windowMs) };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    async decrement(key) {
+      const counter = counters.get(key);
+      if (counter && counter.count > 0) {
+        counter.count--;
+      }
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
@@ -0,0 +1,32 @@
+// Counters in a MongoDB collection, shared by every server instance. `Model` needs a string
+// `_id`, a `count` and a `resetAt` date with a TTL index so that MongoDB removes old windows.
+export const createMongoStore = ({ Model }) => {
+  return {
+    name: "mongodb",
+
+    async increment(key, windowMs) {
+      const now = new Date();
+      const current = { $gt: ["$resetAt", now] };
+      // One atomic update: a new or expired window starts again at 1
+      const counter = await Model.collection.findOneAndUpdate(
+        { _id: key },
+        [{
+          $set: {
+            count: { $cond: [current, { $add: ["$count", 1] }, 1] },
+            resetAt: { $cond: [current, "$resetAt", new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, returnDocument: "after" }
+      );
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    async decrement(key) {
+      await Model.collection.updateOne({ _id: key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+    },
+
+    async reset(key) {
+      await Model.collection.deleteOne({ _id: key });
+    }
+  };
+};
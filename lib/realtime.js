@@ -0,0 +1,157 @@
+import { EventEmitter } from "events";
+import { ADMIN_ROLES } from "./auth.js";
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const CHANGE_STREAM_RETRY_DELAY = 60 * 1000;
+export const MAX_REPLAYED_EVENTS = 500;
+// How far before Last-Event-ID a reconnect looks for events stored late, see lateEvents()
+const REPLAY_OVERLAP = 20;
+
+// Live events for the admin panel, pushed as Server-Sent Events.
+//
+// Every event is saved in AdminEvent with a number taken from Counter, which is its SSE id, so a client
+// reconnecting with Last-Event-ID gets the events it missed. With a replica set the events of every
+// server instance arrive through a change stream on AdminEvent; without one only the events published
+// by this instance are pushed.
+export const createAdminFeed = ({ AdminEvent, Counter }) => {
+  const listeners = new EventEmitter();
+  listeners.setMaxListeners(0);
+  let changeStream = null;
+  let warned = false;
+  // Publishes of this instance, one after the other
+  let publishing = Promise.resolve();
+
+  const nextSequence = async () => {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: 'adminEvents' },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    return counter.seq;
+  };
+
+  const toFeedEvent = (event) => ({ id: event.seq, type: event.type, data: event.data, roles: event.roles });
+
+  // Saves an event. `roles` limits who receives it, by default every admin.
+  // The events of this instance are numbered and stored in turn, so that they are stored in
+  // the order of their numbers.
+  const publish = (type, data, { roles = ADMIN_ROLES } = {}) => {
+    const published = publishing.then(async () => {
+      const event = await AdminEvent.create({ seq: await nextSequence(), type, data, roles });
+      if (!changeStream) {
+        listeners.emit('event', toFeedEvent(event.toObject()));
+      }
+      return event;
+    });
+    publishing = published.catch(() => {});
+    return published;
+  };
+
+  const subscribe = (listener) => {
+    listeners.on('event', listener);
+    return () => listeners.off('event', listener);
+  };
+
+  // Events after `afterId`, oldest first
+  const replay = async (afterId, limit = MAX_REPLAYED_EVENTS) => {
+    const events = await AdminEvent.find({ seq: { $gt: afterId } }).sort({ seq: 1 }).limit(limit).lean();
+    return events.map(toFeedEvent);
+  };
+
+  // Events numbered before `lastId` but stored after it, by another instance publishing at the
+  // same time. A client that has seen `lastId` may have missed them.
+  const lateEvents = async (lastId) => {
+    const last = await AdminEvent.findOne({ seq: lastId }).lean();
+    if (!last) {
+      return [];
+    }
+    const events = await AdminEvent.find({
+      seq: { $gt: lastId - REPLAY_OVERLAP, $lt: lastId },
+      createdAt: { $gte: last.createdAt }
+    }).sort({ seq: 1 }).lean();
+    return events.map(toFeedEvent);
+  };
+
+  // Listens to the events of all instances. Falls back to local delivery while the change stream is
+  // not available (standalone MongoDB, lost connection) and tries again later.
+  const start = () => {
+    const stream = AdminEvent.watch([{ $match: { operationType: 'insert' } }]);
+    let failed = false;
+    // Events stay delivered locally until the server has opened the stream, which gives it its
+    // first resume token; before that an event published here would reach nobody
+    const opened = () => {
+      if (!failed) {
+        changeStream = stream;
+      }
+    };
+    stream.on('resumeTokenChanged', opened);
+    stream.on('change', change => {
+      opened();
+      listeners.emit('event', toFeedEvent(change.fullDocument));
+    });
+    stream.on('error', err => {
+      failed = true;
+      if (!warned) {
+        console.warn("⚠️ Admin event change stream unavailable, only this instance's events are pushed:", err.message);
+        warned = true;
+      }
+      changeStream = null;
+      stream.close().catch(() => {});
+      setTimeout(start, CHANGE_STREAM_RETRY_DELAY).unref();
+    });
+  };
+
+  // Streams the events visible to `role` on an HTTP response until the client disconnects.
+  // With `lastEventId` the missed events are sent first, including those stored late (see lateEvents);
+  // when too many were missed a "reset" event tells the client to reload its data instead.
+  const stream = async (req, res, { role, lastEventId = null }) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const send = (event) => {
+      if (event.roles && !event.roles.includes(role)) {
+        return;
+      }
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    // Live events wait until the missed ones have been sent
+    const pending = [];
+    let replaying = lastEventId !== null;
+    const unsubscribe = subscribe(event => (replaying ? pending.push(event) : send(event)));
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    if (replaying) {
+      let late;
+      let missed;
+      try {
+        [late, missed] = await Promise.all([lateEvents(lastEventId), replay(lastEventId)]);
+      } catch (err) {
+        // The client reconnects with the same Last-Event-ID
+        console.error("❌ Error replaying admin events:", err);
+        res.end();
+        return;
+      }
+      if (missed.length === MAX_REPLAYED_EVENTS) {
+        res.write(`id: ${missed[missed.length - 1].id}\nevent: reset\ndata: {}\n\n`);
+      } else {
+        late.forEach(send);
+        missed.forEach(send);
+      }
+      const sent = new Set([...late, ...missed].map(event => event.id));
+      replaying = false;
+      pending.filter(event => !sent.has(event.id)).forEach(send);
+    }
+  };
+
+  return { publish, subscribe, replay, start, stream };
+};
@@ -0,0 +1,10 @@
+// URL slug from a display name: "Chaussures Été" -> "chaussures-ete".
+// Accents are dropped, letters outside Latin (e.g. Arabic) are kept.
+export const slugify = (value) => {
+  return String(value)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+};
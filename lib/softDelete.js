@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Query middleware that hides trashed documents
+const QUERY_HOOKS = ["find", "findOne", "findOneAndUpdate", "countDocuments", "distinct", "updateOne", "updateMany"];
+
+// Mongoose plugin for soft deletion: a deleted document gets a `deletedAt` date and stays in the
+// collection until it is purged. Queries and aggregations skip trashed documents unless they
+// filter on `deletedAt` themselves or run with the `withDeleted: true` option.
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser" },
+    deletedByName: String
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function () {
+    const { withDeleted } = this.getOptions();
+    // Not a driver option
+    delete this.options.withDeleted;
+    if (withDeleted || this.getFilter().deletedAt !== undefined) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    const withDeleted = this.options.withDeleted;
+    delete this.options.withDeleted;
+    const [first] = this.pipeline();
+    if (withDeleted || (first && first.$match && first.$match.deletedAt !== undefined)) {
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
@@ -0,0 +1,253 @@
+import fs from "fs";
+import { LANGUAGES } from "./i18n.js";
+import { normalizePhone, isValidPhone } from "./customerRisk.js";
+
+// Declarative request validation. Each route declares the rules of its params, query and body:
+//
+//   app.put("/api/admin/products/:id", validate({
+//     params: { id: { type: 'objectId' } },
+//     body: { price: { type: 'number', min: 0 }, name: { type: 'translations', notEmpty: true } }
+//   }), handler)
+//
+// A rule has a `type` and optional constraints:
+//   required        must be sent and not blank
+//   notEmpty        may be left out but not sent blank
+//   message         replaces the messages of this field
+//   string          minLength, maxLength, pattern, enum, acceptNumbers (JSON numbers are taken as their text)
+//   number          min, max, integer (numeric text from forms is accepted)
+//   boolean         true, false, "true" or "false"
+//   objectId, date, email, phone
+//   list            array or comma separated text: enum, maxItems
+//   array           items (a rule), minItems, maxItems
+//   object          fields (rules of its fields)
+//   translations    text or { ar, fr, en }, also as JSON (see parseTranslations in lib/i18n.js)
+//   json            JSON text or an already parsed value
+// The values are only checked, handlers keep reading req.params, req.query and req.body.
+// Invalid requests get a 400 with the code "validation_failed" and one entry per invalid field.
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(item => item !== '');
+
+const parseJson = (value) => {
+  if (typeof value !== 'string') {
+    return { value };
+  }
+  try {
+    return { value: JSON.parse(value) };
+  } catch (err) {
+    return { error: true };
+  }
+};
+
+// Each check returns null, a failure { code, message } or, for nested values, a list of
+// failures with their own `field`.
+const CHECKS = {
+  string: (value, rule, label) => {
+    if (typeof value !== 'string' && !(rule.acceptNumbers && typeof value === 'number')) {
+      return { code: 'invalid_type', message: `${label} must be a text` };
+    }
+    const text = String(value).trim();
+    if (rule.minLength !== undefined && text.length < rule.minLength) {
+      return { code: 'too_short', message: `${label} must have at least ${rule.minLength} characters` };
+    }
+    if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+      return { code: 'too_long', message: `${label} can have at most ${rule.maxLength} characters` };
+    }
+    if (rule.pattern && !rule.pattern.test(text)) {
+      return { code: 'invalid_format', message: `${label} is not valid` };
+    }
+    if (rule.enum && !rule.enum.includes(text)) {
+      return { code: 'invalid_choice', message: `${label} must be one of ${rule.enum.join(', ')}` };
+    }
+    return null;
+  },
+
+  number: (value, rule, label) => {
+    const number = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+    if (!Number.isFinite(number)) {
+      return { code: 'not_a_number', message: `${label} must be a number` };
+    }
+    if (rule.integer && !Number.isInteger(number)) {
+      return { code: 'not_an_integer', message: `${label} must be a whole number` };
+    }
+    if (rule.min !== undefined && number < rule.min) {
+      return { code: 'too_small', message: `${label} must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && number > rule.max) {
+      return { code: 'too_large', message: `${label} must be at most ${rule.max}` };
+    }
+    return null;
+  },
+
+  boolean: (value, rule, label) => {
+    return [true, false, 'true', 'false'].includes(value) ? null : { code: 'not_a_boolean', message: `${label} must be true or false` };
+  },
+
+  objectId: (value, rule, label) => {
+    return typeof value === 'string' && /^[a-f0-9]{24}$/i.test(value) ? null : { code: 'invalid_id', message: `${label} is not a valid ID` };
+  },
+
+  date: (value, rule, label) => {
+    const valid = (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value).getTime());
+    return valid ? null : { code: 'invalid_date', message: `${label} is not a valid date` };
+  },
+
+  email: (value, rule, label) => {
+    return typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim()) ? null : { code: 'invalid_email', message: `${label} is not a valid email address` };
+  },
+
+  phone: (value, rule, label) => {
+    return typeof value === 'string' && isValidPhone(normalizePhone(value)) ? null : { code: 'invalid_phone', message: `${label} is not a valid phone number` };
+  },
+
+  list: (value, rule, label) => {
+    if (typeof value !== 'string' && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+      return { code: 'invalid_type', message: `${label} must be a list of texts` };
+    }
+    const items = splitList(value);
+    if (rule.maxItems !== undefined && items.length > rule.maxItems) {
+      return { code: 'too_many', message: `${label} can have at most ${rule.maxItems} values` };
+    }
+    const unknown = rule.enum ? items.filter(item => !rule.enum.includes(item)) : [];
+    if (unknown.length > 0) {
+      return { code: 'invalid_choice', message: `${label} must be among ${rule.enum.join(', ')}` };
+    }
+    return null;
+  },
+
+  array: (value, rule, label, field) => {
+    if (!Array.isArray(value)) {
+      return { code: 'invalid_type', message: `${label} must be a list` };
+    }
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      return { code: 'too_few', message: `${label} needs at least ${rule.minItems} value(s)` };
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return { code: 'too_many', message: `${label} can have at most ${rule.maxItems} values` };
+    }
+    if (!rule.items) {
+      return null;
+    }
+    const failures = [];
+    value.forEach((item, index) => checkValue(item, rule.items, `${field}.${index}`, failures));
+    return failures;
+  },
+
+  object: (value, rule, label, field) => {
+    if (!isPlainObject(value)) {
+      return { code: 'invalid_type', message: `${label} must be an object` };
+    }
+    const failures = [];
+    checkFields(value, rule.fields || {}, `${field}.`, failures);
+    return failures;
+  },
+
+  translations: (value, rule, label) => {
+    let translations = value;
+    if (typeof value === 'string' && value.trim().startsWith('{')) {
+      const parsed = parseJson(value);
+      if (parsed.error) {
+        return { code: 'invalid_json', message: `${label} is not valid JSON` };
+      }
+      translations = parsed.value;
+    }
+    if (typeof translations === 'string') {
+      return rule.maxLength !== undefined && translations.trim().length > rule.maxLength
+        ? { code: 'too_long', message: `${label} can have at most ${rule.maxLength} characters` }
+        : null;
+    }
+    if (!isPlainObject(translations)) {
+      return { code: 'invalid_type', message: `${label} must be a text or an object with ${LANGUAGES.join(', ')} translations` };
+    }
+    const unknown = Object.keys(translations).filter(language => !LANGUAGES.includes(language));
+    if (unknown.length > 0) {
+      return { code: 'unknown_language', message: `${label} has unknown languages: ${unknown.join(', ')}` };
+    }
+    const texts = Object.values(translations);
+    if (texts.some(text => text !== null && typeof text !== 'string')) {
+      return { code: 'invalid_type', message: `${label} translations must be texts` };
+    }
+    // An update may blank some languages, the handler checks what is left after merging
+    if (rule.required && texts.every(isBlank)) {
+      return { code: 'required', message: `${label} needs a text in at least one language` };
+    }
+    if (rule.maxLength !== undefined && texts.some(text => text && text.trim().length > rule.maxLength)) {
+      return { code: 'too_long', message: `${label} can have at most ${rule.maxLength} characters` };
+    }
+    return null;
+  },
+
+  json: (value, rule, label) => {
+    return parseJson(value).error ? { code: 'invalid_json', message: `${label} is not valid JSON` } : null;
+  }
+};
+
+// Adds the failures of one value to `failures` as { field, code, message }
+const checkValue = (value, rule, field, failures) => {
+  const fail = ({ code, message }) => failures.push({ field, code, message: rule.message || message });
+
+  if (isBlank(value)) {
+    if (rule.required || (rule.notEmpty && value !== undefined)) {
+      fail({ code: 'required', message: `${field} is required` });
+    }
+    return;
+  }
+
+  const check = CHECKS[rule.type];
+  if (!check) {
+    throw new Error(`Unknown validation type "${rule.type}" for ${field}`);
+  }
+  const result = check(value, rule, field, field);
+  if (Array.isArray(result)) {
+    failures.push(...result);
+  } else if (result) {
+    fail(result);
+  }
+};
+
+const checkFields = (values, rules, prefix, failures) => {
+  for (const [name, rule] of Object.entries(rules)) {
+    checkValue(values[name], rule, prefix + name, failures);
+  }
+};
+
+// Checks a request against `schema` without a response, returns the list of failures
+export const validateRequest = (req, schema) => {
+  const errors = [];
+  for (const location of ['params', 'query', 'body']) {
+    if (!schema[location]) {
+      continue;
+    }
+    const failures = [];
+    checkFields(req[location] || {}, schema[location], '', failures);
+    errors.push(...failures.map(failure => ({ location, ...failure })));
+  }
+  return errors;
+};
+
+// Express middleware. Put it after multer so that the form fields are there; the uploaded
+// files of a refused request are removed.
+export const validate = (schema) => (req, res, next) => {
+  const errors = validateRequest(req, schema);
+  if (errors.length === 0) {
+    return next();
+  }
+
+  const files = [req.file, ...Object.values(req.files || {}).flat()].filter(Boolean);
+  for (const file of files) {
+    if (file.path && fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  }
+
+  res.status(400).json({
+    message: errors.map(error => error.message).join('; '),
+    code: 'validation_failed',
+    errors
+  });
+};
@@ -0,0 +1,43 @@
+// Algerian wilayas, `code` is the official wilaya number
+const WILAYA_NAMES = [
+  "Adrar", "Chlef", "Laghouat", "Oum El Bouaghi", "Batna", "Béjaïa", "Biskra", "Béchar", "Blida", "Bouira",
+  "Tamanrasset", "Tébessa", "Tlemcen", "Tiaret", "Tizi Ouzou", "Algiers", "Djelfa", "Jijel", "Sétif", "Saïda",
+  "Skikda", "Sidi Bel Abbès", "Annaba", "Guelma", "Constantine", "Médéa", "Mostaganem", "M'Sila", "Mascara", "Ouargla",
+  "Oran", "El Bayadh", "Illizi", "Bordj Bou Arréridj", "Boumerdès", "El Tarf", "Tindouf", "Tissemsilt", "El Oued", "Khenchela",
+  "Souk Ahras", "Tipaza", "Mila", "Aïn Defla", "Naâma", "Aïn Témouchent", "Ghardaïa", "Relizane", "Timimoun", "Bordj Badji Mokhtar",
+  "Ouled Djellal", "Béni Abbès", "In Salah", "In Guezzam", "Touggourt", "Djanet", "El M'Ghair", "El Menia"
+];
+
+const WILAYA_NAMES_AR = [
+  "أدرار", "الشلف", "الأغواط", "أم البواقي", "باتنة", "بجاية", "بسكرة", "بشار", "البليدة", "البويرة",
+  "تمنراست", "تبسة", "تلمسان", "تيارت", "تيزي وزو", "الجزائر", "الجلفة", "جيجل", "سطيف", "سعيدة",
+  "سكيكدة", "سيدي بلعباس", "عنابة", "قالمة", "قسنطينة", "المدية", "مستغانم", "المسيلة", "معسكر", "ورقلة",
+  "وهران", "البيض", "إليزي", "برج بوعريريج", "بومرداس", "الطارف", "تندوف", "تيسمسيلت", "الوادي", "خنشلة",
+  "سوق أهراس", "تيبازة", "ميلة", "عين الدفلى", "النعامة", "عين تموشنت", "غرداية", "غليزان", "تيميمون", "برج باجي مختار",
+  "أولاد جلال", "بني عباس", "عين صالح", "عين قزام", "تقرت", "جانت", "المغير", "المنيعة"
+];
+
+// French names that differ from the ones above
+const WILAYA_NAMES_FR = { 16: "Alger" };
+
+// `name` is the name stored on orders, `names` has it in each shop language
+export const WILAYAS = WILAYA_NAMES.map((name, index) => ({
+  code: index + 1,
+  name,
+  names: { ar: WILAYA_NAMES_AR[index], fr: WILAYA_NAMES_FR[index + 1] || name, en: name }
+}));
+
+export const wilayaName = (wilaya, language) => wilaya.names[language] || wilaya.name;
+
+// Finds a wilaya by its code (number or numeric string) or by its exact name in any language
+export const findWilaya = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const code = Number(value);
+  if (Number.isInteger(code)) {
+    return WILAYAS.find(w => w.code === code) || null;
+  }
+  const name = String(value).trim().toLowerCase();
+  return WILAYAS.find(w => w.name.toLowerCase() === name || Object.values(w.names).some(n => n.toLowerCase() === name)) || null;
+};
@@ -0,0 +1,68 @@
+// Converts the free-text `category` of products into references to Category documents.
+// Names that only differ by case, accents or spacing ("Shoes", "shoes ") end up in the
+// same category. An optional JSON file maps other spellings to one name, e.g.
+//   { "Chaussures": "Shoes", "Sacs": "Bags" }
+//
+// Usage: npm run migrate:categories [-- path/to/category-map.json]
+import fs from "fs";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { slugify } from "../lib/slug.js";
+
+dotenv.config();
+
+const loadMapping = (file) => {
+  if (!file) {
+    return {};
+  }
+  const mapping = JSON.parse(fs.readFileSync(file, 'utf8'));
+  // Keys are matched by slug so the map itself is case and accent insensitive
+  return Object.fromEntries(Object.entries(mapping).map(([from, to]) => [slugify(from), to]));
+};
+
+const migrate = async () => {
+  const mapping = loadMapping(process.argv[2]);
+
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log("✅ Connected to MongoDB");
+
+  const products = mongoose.connection.collection("products");
+  const categories = mongoose.connection.collection("categories");
+
+  const categoryIds = new Map();
+  const getCategoryId = async (rawName) => {
+    const name = (mapping[slugify(rawName)] || rawName).trim();
+    const slug = slugify(name) || 'category';
+
+    if (!categoryIds.has(slug)) {
+      const existing = await categories.findOne({ slug });
+      if (existing) {
+        categoryIds.set(slug, existing._id);
+      } else {
+        const now = new Date();
+        const { insertedId } = await categories.insertOne({ name, slug, parent: null, order: 0, createdAt: now, updatedAt: now });
+        console.log(`📁 Created category "${name}" (${slug})`);
+        categoryIds.set(slug, insertedId);
+      }
+    }
+    return categoryIds.get(slug);
+  };
+
+  let migrated = 0;
+  for await (const product of products.find({ category: { $type: "string" } })) {
+    await products.updateOne(
+      { _id: product._id },
+      { $set: { category: await getCategoryId(product.category) } }
+    );
+    migrated++;
+  }
+
+  console.log(`📦 Migrated ${migrated} product(s) into ${categoryIds.size} categor${categoryIds.size === 1 ? 'y' : 'ies'}`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error("❌ Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
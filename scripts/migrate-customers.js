@@ -0,0 +1,64 @@
+// Builds the customer reputation counters from the existing orders, normalizes the
+// phone numbers stored on orders and drops the old `isVerified` flag.
+// Blacklist entries are kept. Safe to run again, the counters are recomputed.
+//
+// Usage: npm run migrate:customers
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { normalizePhone, OUTCOME_COUNTERS } from "../lib/customerRisk.js";
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log("✅ Connected to MongoDB");
+
+  const orders = mongoose.connection.collection("orders");
+  const customers = mongoose.connection.collection("customers");
+
+  const stats = new Map();
+  for await (const order of orders.find({}, { projection: { phone: 1, clientName: 1, status: 1, orderDate: 1 } })) {
+    const phone = normalizePhone(order.phone);
+    if (phone !== order.phone) {
+      await orders.updateOne({ _id: order._id }, { $set: { phone } });
+    }
+
+    const customer = stats.get(phone) || {
+      name: order.clientName,
+      totalOrders: 0,
+      deliveredOrders: 0,
+      returnedOrders: 0,
+      cancelledOrders: 0,
+      unansweredOrders: 0,
+      lastOrderAt: order.orderDate
+    };
+    customer.totalOrders++;
+    if (OUTCOME_COUNTERS[order.status]) {
+      customer[OUTCOME_COUNTERS[order.status]]++;
+    }
+    if (order.orderDate >= customer.lastOrderAt) {
+      customer.lastOrderAt = order.orderDate;
+      customer.name = order.clientName;
+    }
+    stats.set(phone, customer);
+  }
+
+  for (const [phone, customer] of stats) {
+    await customers.updateOne(
+      { phone },
+      { $set: { ...customer, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  const { modifiedCount } = await orders.updateMany({ isVerified: { $exists: true } }, { $unset: { isVerified: "" } });
+
+  console.log(`👤 Rebuilt ${stats.size} customer(s), removed isVerified from ${modifiedCount} order(s)`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error("❌ Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,141 @@
+// Media migrations.
+//
+// Without options, converts the bare URLs saved before media records existed (product photos,
+// category images, hero content mediaUrl) into { provider, key, url, ... } records and gives
+// every product photo an ID.
+//
+// With --to, copies every stored file to another storage driver and points the documents at
+// the copies. Orders keep the photo URLs they were placed with, so only use --delete-source
+// once the old URLs no longer need to work.
+//
+// Usage: npm run migrate:media [-- --to <local|cloudinary|s3> [--from <provider>] [--delete-source] [--dry-run]]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { getStorageDriver, mediaFromUrl, copyMedia, deleteMedia } from "../lib/media/index.js";
+
+dotenv.config();
+
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+};
+const flag = (name) => process.argv.includes(`--${name}`);
+
+// Where each collection keeps its media and the folder its files go to
+const MEDIA_FIELDS = [
+  { collection: "products", field: "photos", isList: true, folder: "products" },
+  { collection: "categories", field: "image", isList: false, folder: "categories" },
+  { collection: "herocontents", field: "media", isList: false, folder: "hero" },
+  { collection: "herocontents", field: "mobileMedia", isList: false, folder: "hero" },
+  { collection: "reviews", field: "photos", isList: true, folder: "reviews" }
+];
+
+const convertLegacyUrls = async () => {
+  const products = mongoose.connection.collection("products");
+  let converted = 0;
+  const legacyPhotos = { $or: [{ photos: { $elemMatch: { $type: "string" } } }, { "photos._id": { $exists: false }, "photos.0": { $exists: true } }] };
+  for await (const product of products.find(legacyPhotos)) {
+    const photos = product.photos
+      .map(photo => (typeof photo === 'string' ? mediaFromUrl(photo, 'image') : photo))
+      .map(photo => ({ _id: photo._id || new mongoose.Types.ObjectId(), alt: "", color: "", ...photo }));
+    await products.updateOne({ _id: product._id }, { $set: { photos } });
+    converted++;
+  }
+  console.log(`🖼️ Converted the photos of ${converted} product(s)`);
+
+  const categories = mongoose.connection.collection("categories");
+  converted = 0;
+  for await (const category of categories.find({ image: { $type: "string" } })) {
+    await categories.updateOne({ _id: category._id }, { $set: { image: mediaFromUrl(category.image, 'image') } });
+    converted++;
+  }
+  console.log(`🖼️ Converted the image of ${converted} categor(ies)`);
+
+  const heroContents = mongoose.connection.collection("herocontents");
+  converted = 0;
+  for await (const heroContent of heroContents.find({ mediaUrl: { $type: "string" } })) {
+    await heroContents.updateOne(
+      { _id: heroContent._id },
+      {
+        $set: { media: mediaFromUrl(heroContent.mediaUrl, heroContent.mediaType === 'video' ? 'video' : 'image') },
+        $unset: { mediaUrl: "" }
+      }
+    );
+    converted++;
+  }
+  console.log(`🖼️ Converted the media of ${converted} hero content item(s)`);
+};
+
+const transfer = async ({ to, from, deleteSource, dryRun }) => {
+  const driver = getStorageDriver(to);
+  const shouldMove = (media) => media && media.url && media.provider !== to && (!from || media.provider === from);
+
+  let copied = 0;
+  let failed = 0;
+  for (const { collection, field, isList, folder } of MEDIA_FIELDS) {
+    const documents = mongoose.connection.collection(collection);
+
+    for await (const document of documents.find({ [field]: { $exists: true, $ne: null } })) {
+      const current = isList ? document[field] : [document[field]];
+      const moving = current.filter(shouldMove);
+      if (moving.length === 0) {
+        continue;
+      }
+      if (dryRun) {
+        console.log(`➡️ ${collection} ${document._id}: ${moving.length} file(s) to ${to}`);
+        copied += moving.length;
+        continue;
+      }
+
+      const updated = [];
+      const replaced = [];
+      for (const media of current) {
+        if (!shouldMove(media)) {
+          updated.push(media);
+          continue;
+        }
+        try {
+          // Keeps the photo ID, alt text and color
+          updated.push({ ...media, ...(await copyMedia(media, driver, { folder })) });
+          replaced.push(media);
+          copied++;
+        } catch (err) {
+          console.error(`❌ ${collection} ${document._id}: could not copy ${media.url}:`, err.message);
+          updated.push(media);
+          failed++;
+        }
+      }
+
+      await documents.updateOne({ _id: document._id }, { $set: { [field]: isList ? updated : updated[0] } });
+      if (deleteSource) {
+        for (const media of replaced) {
+          await deleteMedia(media);
+        }
+      }
+    }
+  }
+
+  console.log(`📦 ${dryRun ? 'Would copy' : 'Copied'} ${copied} file(s) to ${to}${failed > 0 ? `, ${failed} failed` : ''}`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log("✅ Connected to MongoDB");
+
+  await convertLegacyUrls();
+
+  const to = option("to");
+  if (to) {
+    await transfer({ to, from: option("from"), deleteSource: flag("delete-source"), dryRun: flag("dry-run") });
+  }
+};
+
+migrate()
+  .catch((err) => {
+    console.error("❌ Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,55 @@
+// Converts single-product orders (productId, productName, productPrice, color,
+// size, quantity on the order itself) into orders with an `items` array and a `total`.
+//
+// Usage: npm run migrate:order-items
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log("✅ Connected to MongoDB");
+
+  const orders = mongoose.connection.collection("orders");
+  const legacyOrders = orders.find({ items: { $exists: false }, productId: { $exists: true } });
+
+  let migrated = 0;
+  for await (const order of legacyOrders) {
+    const quantity = order.quantity || 1;
+    const unitPrice = order.productPrice || 0;
+
+    await orders.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          items: [{
+            productId: order.productId,
+            productName: order.productName,
+            productPhotos: order.productPhotos || [],
+            color: order.color,
+            size: order.size,
+            quantity,
+            unitPrice,
+            lineTotal: unitPrice * quantity,
+            stockReserved: Boolean(order.stockReserved)
+          }],
+          subtotal: unitPrice * quantity,
+          shippingFee: 0,
+          total: unitPrice * quantity
+        },
+        $unset: { productId: "", productName: "", productPrice: "", productPhotos: "", color: "", size: "", quantity: "" }
+      }
+    );
+    migrated++;
+  }
+
+  console.log(`📦 Migrated ${migrated} order(s) to line items`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error("❌ Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
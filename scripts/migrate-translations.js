@@ -0,0 +1,47 @@
+// Turns the plain text product names and descriptions and hero banner texts into
+// { ar, fr, en } translations. The existing text is kept as the DEFAULT_LANGUAGE translation.
+// Safe to run again, fields that are already translated are left alone.
+//
+// Usage: npm run migrate:translations
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { defaultLanguage } from "../lib/i18n.js";
+
+dotenv.config();
+
+const TRANSLATED_FIELDS = {
+  products: ["name", "description"],
+  herocontents: ["title", "subtitle", "buttonText"]
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log("✅ Connected to MongoDB");
+
+  const language = defaultLanguage();
+  for (const [collectionName, fields] of Object.entries(TRANSLATED_FIELDS)) {
+    const collection = mongoose.connection.collection(collectionName);
+    let converted = 0;
+
+    const legacy = { $or: fields.map(field => ({ [field]: { $type: "string" } })) };
+    for await (const doc of collection.find(legacy)) {
+      const update = {};
+      for (const field of fields) {
+        if (typeof doc[field] === "string") {
+          update[field] = doc[field].trim() ? { [language]: doc[field].trim() } : {};
+        }
+      }
+      await collection.updateOne({ _id: doc._id }, { $set: update });
+      converted++;
+    }
+
+    console.log(`🌐 ${collectionName}: converted ${converted} document(s) to "${language}" translations`);
+  }
+};
+
+migrate()
+  .catch((err) => {
+    console.error("❌ Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDateRange, computeMonthlyRevenue, computeDashboardStats } from "../lib/analytics.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test("date-only values are days of the store timezone, `to` included", () => {
+  assert.deepEqual(parseDateRange("2026-10-01", "2026-10-31"), {
+    from: new Date("2026-09-30T23:00:00Z"),
+    to: new Date("2026-10-31T23:00:00Z")
+  });
+  assert.deepEqual(parseDateRange("2026-10-01", "2026-10-01", { timezone: "UTC" }), {
+    from: new Date("2026-10-01T00:00:00Z"),
+    to: new Date("2026-10-02T00:00:00Z")
+  });
+});
+
+test("days across a daylight saving change keep their local midnight", () => {
+  assert.deepEqual(parseDateRange("2026-03-29", "2026-03-29", { timezone: "Europe/Paris" }), {
+    from: new Date("2026-03-28T23:00:00Z"),
+    to: new Date("2026-03-29T22:00:00Z")
+  });
+});
+
+test("full dates are taken as they are", () => {
+  assert.deepEqual(parseDateRange("2026-10-01T06:00:00Z", "2026-10-02T06:00:00Z"), {
+    from: new Date("2026-10-01T06:00:00Z"),
+    to: new Date("2026-10-02T06:00:00Z")
+  });
+});
+
+test("the range defaults to the 30 days before `to`", () => {
+  const { from, to } = parseDateRange(undefined, "2026-10-31");
+  assert.equal(to - from, 30 * DAY);
+
+  const now = parseDateRange();
+  assert.ok(Math.abs(now.to - Date.now()) < 1000);
+  assert.equal(now.to - now.from, 30 * DAY);
+});
+
+test("invalid ranges", () => {
+  assert.deepEqual(parseDateRange("soon", "2026-10-31"), { error: "Invalid date range" });
+  assert.deepEqual(parseDateRange("2026-11-01", "2026-10-31"), { error: "`from` must be before `to`" });
+});
+
+// Answers the aggregations in the order computeDashboardStats runs them
+const fakeOrders = (results) => {
+  const pipelines = [];
+  return {
+    pipelines,
+    collection: { name: "orders" },
+    aggregate: async (pipeline) => {
+      pipelines.push(pipeline);
+      return results.shift() || [];
+    }
+  };
+};
+
+test("monthly revenue of the last months in the store timezone", async () => {
+  const Order = fakeOrders([[{ _id: "2026-02", revenue: 1200 }, { _id: "2026-03", revenue: 800 }]]);
+  // Already March in Algiers
+  const months = await computeMonthlyRevenue({ Order }, { months: 3, now: new Date("2026-02-28T23:30:00Z") });
+
+  assert.deepEqual(months, [
+    { month: "Jan", revenue: 0 },
+    { month: "Feb", revenue: 1200 },
+    { month: "Mar", revenue: 800 }
+  ]);
+  assert.deepEqual(Order.pipelines[0][0], { $match: { orderDate: { $gte: new Date("2025-12-31T00:00:00Z") }, status: "delivered" } });
+});
+
+test("dashboard totals and their change from the previous period", async () => {
+  const from = new Date("2026-10-01T00:00:00Z");
+  const to = new Date("2026-10-11T00:00:00Z");
+  const period = (revenue, orders, delivered, returned) => [{
+    delivered: [{ revenue, discounts: 0, orders: delivered }],
+    orders: [{ count: orders }],
+    customers: [{ count: orders }],
+    outcomes: returned ? [{ _id: "returned", count: returned }] : []
+  }];
+  const pipelines = [];
+  const Order = {
+    collection: { name: "orders" },
+    aggregate: async (pipeline) => {
+      pipelines.push(pipeline);
+      const current = pipeline[0].$match.orderDate.$gte.getTime() === from.getTime();
+      if (pipeline.some(stage => stage.$facet)) {
+        return current ? period(10000, 8, 4, 1) : period(5000, 4, 2, 0);
+      }
+      if (pipeline.some(stage => stage.$lookup)) {
+        return [{ count: current ? 3 : 1 }];
+      }
+      return [];
+    }
+  };
+
+  const stats = await computeDashboardStats({ Order }, { from, to });
+  assert.deepEqual(stats.range, { from, to, groupBy: "day" });
+  assert.deepEqual(stats.previousRange, { from: new Date("2026-09-21T00:00:00Z"), to: from });
+  assert.equal(stats.totals.revenue, 10000);
+  assert.equal(stats.totals.averageOrderValue, 2500);
+  assert.equal(stats.totals.deliverySuccessRate, 80);
+  assert.equal(stats.totals.newCustomers, 3);
+  assert.equal(stats.changes.revenue, 100);
+  assert.equal(stats.changes.orders, 100);
+  assert.equal(stats.changes.newCustomers, 200);
+  assert.equal(stats.changes.deliverySuccessRate, -20);
+
+  // New customers are looked up from the period's orders only
+  const newCustomers = pipelines.find(pipeline => pipeline.some(stage => stage.$lookup));
+  assert.ok(newCustomers[0].$match.orderDate);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { diffDocuments, appendOnlyPlugin } from "../lib/audit.js";
+
+test("diffDocuments lists the changed leaves", () => {
+  const id = new mongoose.Types.ObjectId();
+  const before = { _id: id, name: { fr: "Robe", ar: "ثوب" }, price: 2500, colors: ["red"], __v: 1, updatedAt: new Date(1) };
+  const after = { _id: id, name: { fr: "Robe longue", ar: "ثوب" }, price: 2500, colors: ["red", "blue"], __v: 2, updatedAt: new Date(2) };
+
+  assert.deepEqual(diffDocuments(before, after), [
+    { field: "colors", before: ["red"], after: ["red", "blue"] },
+    { field: "name.fr", before: "Robe", after: "Robe longue" }
+  ]);
+});
+
+test("diffDocuments of created and deleted documents", () => {
+  assert.deepEqual(diffDocuments(null, { code: "SALE" }), [{ field: "code", before: null, after: "SALE" }]);
+  assert.deepEqual(diffDocuments({ code: "SALE" }, null), [{ field: "code", before: "SALE", after: null }]);
+  assert.deepEqual(diffDocuments({ code: "SALE" }, { code: "SALE" }), []);
+});
+
+test("diffDocuments never logs secrets", () => {
+  assert.deepEqual(diffDocuments({ passwordHash: "a", refreshTokens: [{ tokenHash: "x" }] }, { passwordHash: "b", refreshTokens: [] }), [
+    { field: "passwordHash", before: "[redacted]", after: "[redacted]" },
+    { field: "refreshTokens", before: "[redacted]", after: "[redacted]" }
+  ]);
+});
+
+test("the append-only plugin refuses updates, deletes and saves of stored entries", async () => {
+  const connection = mongoose.createConnection();
+  const schema = new mongoose.Schema({ method: String });
+  schema.plugin(appendOnlyPlugin);
+  const Entry = connection.model("Entry", schema);
+
+  const stored = Entry.hydrate({ _id: new mongoose.Types.ObjectId(), method: "PUT" });
+  stored.method = "DELETE";
+  await assert.rejects(stored.save(), /append-only/);
+  await assert.rejects(Entry.updateOne({}, { method: "GET" }), /append-only/);
+  await assert.rejects(Entry.findOneAndUpdate({}, { method: "GET" }), /append-only/);
+  await assert.rejects(Entry.deleteMany({}), /append-only/);
+  await assert.rejects(Entry.findOneAndDelete({}), /append-only/);
+  await assert.rejects(Entry.replaceOne({}, { method: "GET" }), /append-only/);
+  await connection.close();
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeCouponCode, parseCouponInput, evaluateCoupon } from "../lib/coupons.js";
+
+const PRODUCT_A = "64b7f0c2a1b2c3d4e5f60701";
+const PRODUCT_B = "64b7f0c2a1b2c3d4e5f60702";
+const CATEGORY = "64b7f0c2a1b2c3d4e5f60799";
+
+const coupon = (fields) => ({
+  isActive: true,
+  type: 'percentage',
+  value: 10,
+  usageLimit: null,
+  usageCount: 0,
+  perPhoneLimit: null,
+  productIds: [],
+  categoryIds: [],
+  ...fields
+});
+
+const items = [
+  { productId: PRODUCT_A, category: CATEGORY, lineTotal: 3000 },
+  { productId: PRODUCT_B, category: "64b7f0c2a1b2c3d4e5f60798", lineTotal: 1000 }
+];
+
+test("normalizeCouponCode", () => {
+  assert.equal(normalizeCouponCode("  summer-25 "), "SUMMER-25");
+  assert.equal(normalizeCouponCode(undefined), "");
+});
+
+test("parseCouponInput checks the code, the type and the value", () => {
+  assert.deepEqual(parseCouponInput({ code: "ab", type: 'fixed', value: 100 }), { error: "Code must be 3 to 32 letters, digits, - or _" });
+  assert.match(parseCouponInput({ code: "SALE", type: 'gift' }).error, /type must be one of/);
+  assert.match(parseCouponInput({ code: "SALE", type: 'percentage', value: 120 }).error, /between 1 and 100/);
+  assert.match(parseCouponInput({ code: "SALE", type: 'fixed' }).error, /needs a value/);
+  assert.equal(parseCouponInput({ code: "SALE", type: 'fixed', value: -5 }).error, "value must be a positive number");
+});
+
+test("parseCouponInput reads optional numbers, dates and IDs", () => {
+  const { data, error } = parseCouponInput({
+    code: " sale10 ",
+    type: 'percentage',
+    value: "10",
+    maxDiscount: "",
+    startsAt: "2026-10-01",
+    endsAt: "2026-11-01",
+    productIds: [PRODUCT_A],
+    isActive: "false"
+  });
+  assert.equal(error, undefined);
+  assert.equal(data.code, "SALE10");
+  assert.equal(data.value, 10);
+  assert.equal(data.maxDiscount, null);
+  assert.deepEqual(data.startsAt, new Date("2026-10-01"));
+  assert.deepEqual(data.productIds, [PRODUCT_A]);
+  assert.equal(data.isActive, false);
+
+  assert.equal(parseCouponInput({ code: "SALE", type: 'free_shipping', startsAt: "later" }).error, "startsAt is not a valid date");
+  assert.equal(parseCouponInput({ code: "SALE", type: 'free_shipping', startsAt: "2026-11-01", endsAt: "2026-10-01" }).error, "startsAt must be before endsAt");
+  assert.equal(parseCouponInput({ code: "SALE", type: 'free_shipping', categoryIds: ["x"] }).error, "categoryIds must be a list of IDs");
+});
+
+test("evaluateCoupon refuses inactive, out of date and used up coupons", () => {
+  const now = new Date("2026-10-15");
+  assert.equal(evaluateCoupon(null, { items }).error, "This promo code is not valid");
+  assert.equal(evaluateCoupon(coupon({ isActive: false }), { items }).error, "This promo code is not valid");
+  assert.equal(evaluateCoupon(coupon({ startsAt: new Date("2026-10-20") }), { items, now }).error, "This promo code is not active yet");
+  assert.equal(evaluateCoupon(coupon({ endsAt: new Date("2026-10-15") }), { items, now }).error, "This promo code has expired");
+  assert.equal(evaluateCoupon(coupon({ usageLimit: 5, usageCount: 5 }), { items }).error, "This promo code has reached its usage limit");
+  assert.equal(evaluateCoupon(coupon({ perPhoneLimit: 1 }), { items, phoneUsage: 1 }).error, "You have already used this promo code");
+  assert.match(evaluateCoupon(coupon({ minOrderAmount: 5000 }), { items }).error, /at least 5000 DA/);
+});
+
+test("evaluateCoupon works out the discount", () => {
+  assert.deepEqual(evaluateCoupon(coupon({}), { items }), { discount: 400, shippingDiscount: 0 });
+  assert.deepEqual(evaluateCoupon(coupon({ maxDiscount: 250 }), { items }), { discount: 250, shippingDiscount: 0 });
+  assert.deepEqual(evaluateCoupon(coupon({ type: 'fixed', value: 5000 }), { items }), { discount: 4000, shippingDiscount: 0 });
+  assert.deepEqual(evaluateCoupon(coupon({ type: 'free_shipping', value: null }), { items, shippingFee: 600 }), { discount: 0, shippingDiscount: 600 });
+});
+
+test("evaluateCoupon only discounts the eligible products", () => {
+  assert.deepEqual(evaluateCoupon(coupon({ productIds: [PRODUCT_B] }), { items }), { discount: 100, shippingDiscount: 0 });
+  assert.deepEqual(evaluateCoupon(coupon({}), { items, categoryIds: [CATEGORY] }), { discount: 300, shippingDiscount: 0 });
+  assert.equal(
+    evaluateCoupon(coupon({ productIds: ["64b7f0c2a1b2c3d4e5f60700"] }), { items }).error,
+    "This promo code does not apply to the products in your cart"
+  );
+});
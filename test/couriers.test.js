@@ -0,0 +1,62 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { getCourier, listCouriers, registerCourier } from "../lib/couriers/index.js";
+import { createMockCourier } from "../lib/couriers/mock.js";
+
+const WEBHOOK_SECRET = process.env.COURIER_WEBHOOK_SECRET;
+afterEach(() => {
+  if (WEBHOOK_SECRET === undefined) {
+    delete process.env.COURIER_WEBHOOK_SECRET;
+  } else {
+    process.env.COURIER_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  }
+});
+
+const order = { _id: "64b7f0c2a1b2c3d4e5f60718", clientName: "Amina", phone: "0555123456", wilayaCode: 16, deliveryType: "home", total: 3100 };
+
+test("getCourier returns one adapter per provider, or null", () => {
+  assert.equal(getCourier("mock"), getCourier("mock"));
+  assert.equal(getCourier("mock").name, "mock");
+  assert.equal(getCourier("unknown"), null);
+});
+
+test("registerCourier adds a provider", () => {
+  registerCourier("test_courier", () => ({ name: "test_courier" }));
+  assert.ok(listCouriers().includes("test_courier"));
+  assert.equal(getCourier("test_courier").name, "test_courier");
+});
+
+test("the mock courier tracks the parcels it created", async () => {
+  const courier = createMockCourier();
+  const { trackingNumber, externalId } = await courier.createShipment(order);
+
+  assert.match(trackingNumber, /^MOCK-[0-9A-F]{10}$/);
+  assert.equal(externalId, trackingNumber);
+  assert.deepEqual(await courier.getShipmentStatus(trackingNumber), { courierStatus: "created", status: null });
+  assert.equal(await courier.getShipmentStatus("MOCK-UNKNOWN"), null);
+});
+
+test("mock webhooks map courier statuses to order statuses", async () => {
+  const courier = createMockCourier();
+  const { trackingNumber } = await courier.createShipment(order);
+
+  assert.deepEqual(courier.parseWebhook({ trackingNumber, status: "out_for_delivery", note: "Driver on the way" }), [
+    { trackingNumber, courierStatus: "out_for_delivery", status: "shipped", note: "Driver on the way" }
+  ]);
+  assert.deepEqual(await courier.getShipmentStatus(trackingNumber), { courierStatus: "out_for_delivery", status: "shipped" });
+
+  const updates = courier.parseWebhook({ events: [{ trackingNumber, status: "delivered" }, { trackingNumber, status: "lost" }, {}] });
+  assert.deepEqual(updates.map(update => update.status), ["delivered"]);
+});
+
+test("mock webhooks need the shared secret", () => {
+  const courier = createMockCourier();
+  const request = (secret) => ({ get: (header) => (header === 'X-Courier-Secret' ? secret : undefined) });
+
+  delete process.env.COURIER_WEBHOOK_SECRET;
+  assert.equal(courier.verifyWebhook(request(undefined)), false);
+
+  process.env.COURIER_WEBHOOK_SECRET = "s3cret";
+  assert.equal(courier.verifyWebhook(request("s3cret")), true);
+  assert.equal(courier.verifyWebhook(request("guess")), false);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizePhone, isValidPhone, scoreOrderRisk } from "../lib/customerRisk.js";
+
+const customer = (fields) => ({
+  totalOrders: 1,
+  deliveredOrders: 0,
+  returnedOrders: 0,
+  unansweredOrders: 0,
+  cancelledOrders: 0,
+  ...fields
+});
+
+const codesOf = (risk) => risk.reasons.map(reason => reason.code);
+
+test("normalizePhone", () => {
+  assert.equal(normalizePhone("+213 555 12 34 56"), "0555123456");
+  assert.equal(normalizePhone("00213555123456"), "0555123456");
+  assert.equal(normalizePhone("213555123456"), "0555123456");
+  assert.equal(normalizePhone("0555-12-34-56"), "0555123456");
+  assert.equal(normalizePhone("(0555) 12.34.56"), "0555123456");
+  assert.equal(normalizePhone(undefined), "");
+});
+
+test("isValidPhone only accepts Algerian mobile numbers", () => {
+  assert.equal(isValidPhone("0555123456"), true);
+  assert.equal(isValidPhone("0661234567"), true);
+  assert.equal(isValidPhone("0771234567"), true);
+  assert.equal(isValidPhone("0211234567"), false);
+  assert.equal(isValidPhone("055512345"), false);
+});
+
+test("a first order is a low risk", () => {
+  const risk = scoreOrderRisk(null);
+  assert.deepEqual(risk, {
+    score: 10,
+    level: "low",
+    reasons: [{ code: "new_customer", points: 10, message: "First order from this phone" }]
+  });
+});
+
+test("returns and unanswered calls raise the level", () => {
+  const medium = scoreOrderRisk(customer({ returnedOrders: 1 }));
+  assert.equal(medium.score, 35);
+  assert.equal(medium.level, "medium");
+
+  const high = scoreOrderRisk(customer({ returnedOrders: 1, unansweredOrders: 1 }));
+  assert.equal(high.score, 50);
+  assert.equal(high.level, "high");
+});
+
+test("each kind of reason is capped", () => {
+  const risk = scoreOrderRisk(customer({ returnedOrders: 10, unansweredOrders: 10, cancelledOrders: 10 }), { openOrders: 10 });
+  assert.deepEqual(risk.reasons.map(reason => reason.points), [70, 30, 15, 30]);
+  assert.equal(risk.score, 100);
+});
+
+test("delivered orders lower the score, never below 0", () => {
+  const risk = scoreOrderRisk(customer({ deliveredOrders: 10, cancelledOrders: 1 }));
+  assert.deepEqual(codesOf(risk), ["cancelled_orders", "delivered_orders"]);
+  assert.equal(risk.reasons[1].points, -40);
+  assert.equal(risk.score, 0);
+  assert.equal(risk.level, "low");
+});
+
+test("several recent orders from one IP address count", () => {
+  assert.deepEqual(codesOf(scoreOrderRisk(customer({}), { recentOrdersFromIP: 1 })), []);
+  assert.deepEqual(codesOf(scoreOrderRisk(customer({}), { recentOrdersFromIP: 2 })), ["shared_ip"]);
+});
+
+test("a blacklisted phone is blocked", () => {
+  const risk = scoreOrderRisk(customer({ deliveredOrders: 5, blacklist: { isBlacklisted: true, reason: "Fake orders" } }));
+  assert.equal(risk.level, "blocked");
+  assert.equal(risk.score, 100);
+  assert.equal(risk.reasons[0].message, "Phone is blacklisted: Fake orders");
+});
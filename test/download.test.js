@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { downloadUrl, isPublicAddress } from "../lib/media/download.js";
+
+test("isPublicAddress refuses the server's own networks", () => {
+  for (const address of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.10", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "fd00::1", "fe80::1", "::ffff:127.0.0.1"]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ["8.8.8.8", "172.32.0.1", "2606:4700:4700::1111", "::ffff:8.8.8.8"]) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+  assert.equal(isPublicAddress("localhost"), false);
+});
+
+test("downloadUrl only fetches http(s) URLs of public hosts", async () => {
+  await assert.rejects(downloadUrl("file:///etc/passwd"), /Only http and https URLs/);
+  await assert.rejects(downloadUrl("ftp://cdn.example.com/a.jpg"), /Only http and https URLs/);
+  await assert.rejects(downloadUrl("http://127.0.0.1/a.jpg"), /private addresses are not allowed/);
+  await assert.rejects(downloadUrl("http://[::1]:8080/a.jpg"), /private addresses are not allowed/);
+  await assert.rejects(downloadUrl("http://169.254.169.254/latest/meta-data/"), /private addresses are not allowed/);
+  await assert.rejects(downloadUrl("http://localhost/a.jpg"), /private address/);
+});
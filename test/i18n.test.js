@@ -0,0 +1,93 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  defaultLanguage, textDirection, pickLanguage, resolveLanguage, fallbackLanguages,
+  translate, localizeFields, hasTranslation, parseTranslations, mergeTranslations
+} from "../lib/i18n.js";
+
+const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE;
+afterEach(() => {
+  if (DEFAULT_LANGUAGE === undefined) {
+    delete process.env.DEFAULT_LANGUAGE;
+  } else {
+    process.env.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+  }
+});
+
+test("defaultLanguage is French unless DEFAULT_LANGUAGE names a supported language", () => {
+  delete process.env.DEFAULT_LANGUAGE;
+  assert.equal(defaultLanguage(), "fr");
+  process.env.DEFAULT_LANGUAGE = "ar";
+  assert.equal(defaultLanguage(), "ar");
+  process.env.DEFAULT_LANGUAGE = "de";
+  assert.equal(defaultLanguage(), "fr");
+});
+
+test("textDirection", () => {
+  assert.equal(textDirection("ar"), "rtl");
+  assert.equal(textDirection("fr"), "ltr");
+});
+
+test("pickLanguage prefers the explicit value, then Accept-Language by quality", () => {
+  assert.equal(pickLanguage("EN", "ar"), "en");
+  assert.equal(pickLanguage("de", "de-DE, ar;q=0.5, fr;q=0.8"), "fr");
+  assert.equal(pickLanguage(undefined, "fr;q=0, en-GB"), "en");
+  assert.equal(pickLanguage(undefined, "de, es"), null);
+  assert.equal(pickLanguage(undefined, undefined), null);
+});
+
+test("resolveLanguage falls back to the default language", () => {
+  delete process.env.DEFAULT_LANGUAGE;
+  assert.equal(resolveLanguage(undefined, "de"), "fr");
+  assert.equal(resolveLanguage("ar", "de"), "ar");
+});
+
+test("fallbackLanguages", () => {
+  delete process.env.DEFAULT_LANGUAGE;
+  assert.deepEqual(fallbackLanguages("en"), ["en", "fr", "ar"]);
+  assert.deepEqual(fallbackLanguages(null), ["fr", "ar", "en"]);
+});
+
+test("translate uses the first language that has a text", () => {
+  delete process.env.DEFAULT_LANGUAGE;
+  assert.deepEqual(translate({ ar: "ثوب", fr: "Robe" }, "ar"), { text: "ثوب", language: "ar" });
+  assert.deepEqual(translate({ ar: "ثوب", fr: "Robe" }, "en"), { text: "Robe", language: "fr" });
+  assert.deepEqual(translate({ ar: "ثوب" }, "en"), { text: "ثوب", language: "ar" });
+  assert.deepEqual(translate("Robe", "ar"), { text: "Robe", language: null });
+  assert.deepEqual(translate(undefined, "ar"), { text: "", language: null });
+});
+
+test("localizeFields lists the fields shown in another language", () => {
+  delete process.env.DEFAULT_LANGUAGE;
+  const product = { price: 2500, name: { ar: "ثوب", fr: "Robe" }, description: { fr: "En coton" } };
+  assert.deepEqual(localizeFields(product, ["name", "description"], "ar"), {
+    price: 2500,
+    name: "ثوب",
+    description: "En coton",
+    lang: "ar",
+    dir: "rtl",
+    fallbacks: { description: { lang: "fr", dir: "ltr" } }
+  });
+  assert.equal(localizeFields(product, ["name"], "fr").fallbacks, undefined);
+});
+
+test("hasTranslation", () => {
+  assert.equal(hasTranslation({ fr: "Robe" }), true);
+  assert.equal(hasTranslation({ fr: " ", en: "" }), false);
+  assert.equal(hasTranslation(undefined), false);
+});
+
+test("parseTranslations reads texts, objects and JSON", () => {
+  delete process.env.DEFAULT_LANGUAGE;
+  assert.deepEqual(parseTranslations(" Robe ", "name"), { value: { fr: "Robe" } });
+  assert.deepEqual(parseTranslations({ ar: " ثوب ", en: null }, "name"), { value: { ar: "ثوب", en: "" } });
+  assert.deepEqual(parseTranslations('{"en":"Dress"}', "name"), { value: { en: "Dress" } });
+  assert.deepEqual(parseTranslations('{"en":', "name"), { error: "name is not valid JSON" });
+  assert.deepEqual(parseTranslations({ de: "Kleid" }, "name"), { error: "name has unknown languages: de" });
+  assert.match(parseTranslations(["Robe"], "name").error, /must be a text or an object/);
+});
+
+test("mergeTranslations applies changes and drops emptied languages", () => {
+  assert.deepEqual(mergeTranslations({ ar: "ثوب", fr: "Robe" }, { fr: "", en: "Dress" }), { ar: "ثوب", en: "Dress" });
+  assert.deepEqual(mergeTranslations(undefined, { fr: "Robe" }), { fr: "Robe" });
+});
@@ -0,0 +1,135 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  createMediaKey, mediaFromUrl, getStorageDriver, registerStorageDriver,
+  storeUploadedFile, storeUploadedFiles, deleteMedia
+} from "../lib/media/index.js";
+import { createLocalDriver } from "../lib/media/drivers/local.js";
+
+const ENV = { ...process.env };
+let storageDir;
+
+before(() => {
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-test-"));
+  process.env.MEDIA_LOCAL_DIR = storageDir;
+  process.env.MEDIA_LOCAL_URL = "/files/";
+  process.env.MEDIA_KEY_PREFIX = "shop";
+});
+after(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+  for (const name of ["MEDIA_LOCAL_DIR", "MEDIA_LOCAL_URL", "MEDIA_KEY_PREFIX"]) {
+    if (ENV[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = ENV[name];
+    }
+  }
+});
+
+// A temp file like the ones multer writes
+const upload = (name, contents = "data") => {
+  const file = path.join(storageDir, `upload-${Math.random().toString(16).slice(2)}`);
+  fs.writeFileSync(file, contents);
+  return { path: file, originalname: name, mimetype: "image/jpeg", size: contents.length };
+};
+
+test("createMediaKey", () => {
+  assert.match(createMediaKey("products", "Robe Rouge.JPG"), /^shop\/products\/\d+-[0-9a-f]{8}-robe-rouge\.jpg$/);
+  assert.match(createMediaKey("hero", ""), /^shop\/hero\/\d+-[0-9a-f]{8}-file$/);
+  assert.notEqual(createMediaKey("products", "a.jpg"), createMediaKey("products", "a.jpg"));
+});
+
+test("mediaFromUrl recognizes the stored files of each provider", () => {
+  assert.deepEqual(mediaFromUrl("https://res.cloudinary.com/shop/image/upload/v1712/products/robe.jpg"), {
+    provider: "cloudinary",
+    key: "products/robe",
+    url: "https://res.cloudinary.com/shop/image/upload/v1712/products/robe.jpg",
+    resourceType: "image"
+  });
+  assert.deepEqual(mediaFromUrl("/uploads/products/robe%20rouge.jpg"), {
+    provider: "local",
+    key: "products/robe rouge.jpg",
+    url: "/uploads/products/robe%20rouge.jpg",
+    resourceType: "image"
+  });
+  assert.deepEqual(mediaFromUrl("https://cdn.example.com/robe.jpg", "video"), {
+    provider: "external",
+    url: "https://cdn.example.com/robe.jpg",
+    resourceType: "video"
+  });
+});
+
+test("getStorageDriver refuses unknown drivers", () => {
+  assert.throws(() => getStorageDriver("ftp"), /Unknown storage driver "ftp"/);
+});
+
+test("the local driver keeps files under its directory", async () => {
+  const driver = createLocalDriver();
+  const stored = await driver.put("shop/products/a b.jpg", Buffer.from("photo"));
+
+  assert.deepEqual(stored, { key: "shop/products/a b.jpg", url: "/files/shop/products/a%20b.jpg" });
+  assert.equal(String(await driver.read(stored)), "photo");
+  await driver.delete(stored);
+  await driver.delete(stored);
+  await assert.rejects(driver.read(stored), { code: "ENOENT" });
+  await assert.rejects(driver.put("../outside.jpg", Buffer.from("x")), /Invalid media key/);
+});
+
+test("storeUploadedFile stores the upload and removes its temp file", async () => {
+  const driver = createLocalDriver();
+  const file = upload("robe.jpg", "photo");
+
+  const media = await storeUploadedFile(file, { folder: "products", driver });
+  assert.equal(media.provider, "local");
+  assert.equal(media.mimeType, "image/jpeg");
+  assert.equal(media.resourceType, "image");
+  assert.equal(media.originalName, "robe.jpg");
+  assert.equal(String(await driver.read(media)), "photo");
+  assert.equal(fs.existsSync(file.path), false);
+});
+
+test("storeUploadedFiles deletes what it stored when one file fails", async () => {
+  const local = createLocalDriver();
+  let puts = 0;
+  registerStorageDriver("flaky", () => ({
+    name: "local",
+    async put(key, input, options) {
+      if (++puts === 2) {
+        throw new Error("upload failed");
+      }
+      return local.put(key, input, options);
+    }
+  }));
+  const files = [upload("a.jpg"), upload("b.jpg"), upload("c.jpg")];
+  const error = console.error;
+  const log = console.log;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    await assert.rejects(storeUploadedFiles(files, { folder: "products", driver: getStorageDriver("flaky") }), /upload failed/);
+  } finally {
+    console.error = error;
+    console.log = log;
+  }
+
+  assert.deepEqual(files.filter(file => fs.existsSync(file.path)), []);
+  assert.deepEqual(fs.readdirSync(path.join(storageDir, "shop", "products")).filter(name => name.includes("-a.jpg")), []);
+});
+
+test("deleteMedia leaves external files alone and never throws", async () => {
+  await deleteMedia({ provider: "external", url: "https://cdn.example.com/a.jpg" });
+  await deleteMedia(null);
+
+  const error = console.error;
+  const messages = [];
+  console.error = (...args) => messages.push(args.join(" "));
+  try {
+    await deleteMedia({ provider: "ftp", key: "a.jpg" });
+  } finally {
+    console.error = error;
+  }
+  assert.match(messages[0], /Unknown storage driver "ftp"/);
+});
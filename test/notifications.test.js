@@ -0,0 +1,200 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { getDefaultTemplate, renderTemplate, orderTemplateVariables } from "../lib/notifications/templates.js";
+import { createNotificationService, registerTransport, MAX_NOTIFICATION_ATTEMPTS } from "../lib/notifications/index.js";
+
+const ENV_NAMES = [
+  "NODE_ENV", "SHOP_NAME", "NOTIFY_DEFAULT_LANGUAGE", "DEFAULT_LANGUAGE",
+  "NOTIFY_EMAIL_TRANSPORT", "NOTIFY_SMS_TRANSPORT", "NOTIFY_ADMIN_TRANSPORT", "ADMIN_ALERT_PHONES"
+];
+const ENV = Object.fromEntries(ENV_NAMES.map(name => [name, process.env[name]]));
+
+const order = {
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  clientName: "Amina",
+  phone: "0555123456",
+  email: "amina@example.dz",
+  language: "fr",
+  status: "pending",
+  total: 2500,
+  items: [{ quantity: 2, productName: "Robe", color: "Rouge", size: "M" }, { quantity: 1, productName: "Foulard" }]
+};
+
+// In-memory NotificationTemplate and NotificationLog models
+const createModels = (templates = []) => {
+  const logs = [];
+  let ids = 0;
+  const NotificationTemplate = {
+    findOne: async (filter) => templates.find(t => t.event === filter.event && t.channel === filter.channel && t.language === filter.language) || null
+  };
+  const NotificationLog = {
+    create: async (fields) => {
+      const log = { _id: `log${++ids}`, status: "pending", attempts: 0, ...fields, save: async () => log };
+      logs.push(log);
+      return log;
+    }
+  };
+  return { NotificationTemplate, NotificationLog, logs };
+};
+
+// A transport that keeps what it sends and fails while `failures` is above 0
+let sent;
+let failures;
+registerTransport("fake_sms", () => ({
+  kind: "sms",
+  async send(message) {
+    if (failures > 0) {
+      failures--;
+      throw new Error("gateway down");
+    }
+    sent.push(message);
+    return { id: `msg${sent.length}` };
+  }
+}));
+
+const quietly = async (fn) => {
+  const { log, warn, error } = console;
+  const printed = [];
+  console.log = console.warn = console.error = (...args) => printed.push(args.join(" "));
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+  return printed;
+};
+
+beforeEach(() => {
+  sent = [];
+  failures = 0;
+  for (const name of ENV_NAMES) {
+    delete process.env[name];
+  }
+});
+afterEach(() => {
+  for (const name of ENV_NAMES) {
+    if (ENV[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = ENV[name];
+    }
+  }
+});
+
+test("getDefaultTemplate", () => {
+  assert.match(getDefaultTemplate("order.created", "email", "en").subject, /Order \{\{orderNumber\}\} received/);
+  assert.equal(getDefaultTemplate("order.created", "sms", "fr").subject, "");
+  assert.equal(getDefaultTemplate("order.shipped", "admin", "fr"), null);
+  assert.equal(getDefaultTemplate("order.lost", "email", "fr"), null);
+});
+
+test("renderTemplate fills placeholders, unknown ones become empty", () => {
+  assert.equal(renderTemplate("Hi {{ clientName }}, {{total}} DA{{missing}}", { clientName: "Amina", total: 0 }), "Hi Amina, 0 DA");
+  assert.equal(renderTemplate(undefined, {}), "");
+});
+
+test("orderTemplateVariables", () => {
+  process.env.SHOP_NAME = "Boutique";
+  const variables = orderTemplateVariables(order);
+  assert.equal(variables.shopName, "Boutique");
+  assert.equal(variables.orderNumber, "E5F60718");
+  assert.equal(variables.itemsSummary, "- 2 × Robe (Rouge/M)\n- 1 × Foulard");
+  assert.equal(variables.trackingNumber, undefined);
+});
+
+test("notify sends each channel with its template and logs it", async () => {
+  process.env.NOTIFY_EMAIL_TRANSPORT = "none";
+  process.env.NOTIFY_SMS_TRANSPORT = "fake_sms";
+  process.env.NOTIFY_ADMIN_TRANSPORT = "fake_sms";
+  process.env.ADMIN_ALERT_PHONES = "0661000001, 0661000002";
+  process.env.NOTIFY_DEFAULT_LANGUAGE = "en";
+  const { logs, ...models } = createModels([
+    { event: "order.created", channel: "sms", language: "fr", isActive: true, body: "Merci {{clientName}}" }
+  ]);
+
+  const result = await createNotificationService(models).notify("order.created", order);
+
+  assert.deepEqual(sent.map(message => `${message.channel}:${message.to}:${message.subject}`), [
+    "sms:0555123456:",
+    "admin:0661000001:New order E5F60718 - 2500 DA",
+    "admin:0661000002:New order E5F60718 - 2500 DA"
+  ]);
+  assert.equal(sent[0].body, "Merci Amina");
+  assert.equal(result.length, 3);
+  assert.deepEqual(logs.map(log => [log.channel, log.language, log.status, log.attempts, log.providerMessageId]), [
+    ["sms", "fr", "sent", 1, "msg1"],
+    ["admin", "en", "sent", 1, "msg2"],
+    ["admin", "en", "sent", 1, "msg3"]
+  ]);
+});
+
+test("a disabled custom template turns its channel off", async () => {
+  process.env.NOTIFY_EMAIL_TRANSPORT = "none";
+  process.env.NOTIFY_SMS_TRANSPORT = "fake_sms";
+  process.env.NOTIFY_ADMIN_TRANSPORT = "none";
+  const { logs, ...models } = createModels([{ event: "order.created", channel: "sms", language: "fr", isActive: false }]);
+
+  await createNotificationService(models).notify("order.created", order);
+  assert.deepEqual(sent, []);
+  assert.deepEqual(logs, []);
+});
+
+test("in production unset channels send nothing instead of printing", async () => {
+  process.env.NODE_ENV = "production";
+  const { logs, ...models } = createModels();
+  const service = createNotificationService(models);
+
+  const printed = await quietly(async () => {
+    await service.notify("order.created", order);
+    await service.notify("order.created", order);
+  });
+
+  assert.deepEqual(logs, []);
+  assert.deepEqual(printed, [
+    "⚠️ NOTIFY_EMAIL_TRANSPORT not set, email notifications are not sent",
+    "⚠️ NOTIFY_SMS_TRANSPORT not set, sms notifications are not sent",
+    "⚠️ NOTIFY_ADMIN_TRANSPORT not set, admin notifications are not sent"
+  ]);
+});
+
+test("outside production unset channels print to the console", async () => {
+  const { logs, ...models } = createModels();
+  const printed = await quietly(() => createNotificationService(models).notify("order.created", order));
+
+  assert.deepEqual(logs.map(log => `${log.channel}:${log.transport}:${log.status}`), [
+    "email:console:sent",
+    "sms:console:sent",
+    "admin:console:sent"
+  ]);
+  assert.equal(printed.length, 3);
+});
+
+test("failed messages are retried later, then given up", async () => {
+  process.env.NOTIFY_EMAIL_TRANSPORT = "none";
+  process.env.NOTIFY_SMS_TRANSPORT = "fake_sms";
+  process.env.NOTIFY_ADMIN_TRANSPORT = "none";
+  failures = MAX_NOTIFICATION_ATTEMPTS;
+  const { logs, ...models } = createModels();
+  const service = createNotificationService(models);
+
+  await quietly(async () => {
+    await service.notify("order.created", order);
+    const [log] = logs;
+    assert.equal(log.status, "pending");
+    assert.equal(log.lastError, "gateway down");
+    assert.ok(log.nextAttemptAt - Date.now() > 50 * 1000);
+
+    for (let attempt = 2; attempt <= MAX_NOTIFICATION_ATTEMPTS; attempt++) {
+      await service.deliver(log);
+    }
+  });
+
+  assert.equal(logs[0].attempts, MAX_NOTIFICATION_ATTEMPTS);
+  assert.equal(logs[0].status, "failed");
+  assert.equal(logs[0].nextAttemptAt, undefined);
+
+  await service.deliver(logs[0]);
+  assert.equal(logs[0].status, "sent");
+  assert.equal(logs[0].lastError, undefined);
+  assert.equal(sent.length, 1);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { escapeCsv, parseExportColumns, ORDER_EXPORT_COLUMNS } from "../lib/orderExport.js";
+
+test("escapeCsv leaves plain values as they are", () => {
+  assert.equal(escapeCsv("Amina"), "Amina");
+  assert.equal(escapeCsv(2500), "2500");
+  assert.equal(escapeCsv(-150), "-150");
+  assert.equal(escapeCsv(undefined), "");
+  assert.equal(escapeCsv(null), "");
+  assert.equal(escapeCsv(new Date("2026-10-01T08:30:00Z")), "2026-10-01T08:30:00.000Z");
+});
+
+test("escapeCsv quotes separators, quotes and line breaks", () => {
+  assert.equal(escapeCsv("Cité 20 août, Bt 3"), '"Cité 20 août, Bt 3"');
+  assert.equal(escapeCsv('Robe "Kaftan"'), '"Robe ""Kaftan"""');
+  assert.equal(escapeCsv("line 1\nline 2"), '"line 1\nline 2"');
+});
+
+test("escapeCsv neutralizes texts that spreadsheets run as formulas", () => {
+  assert.equal(escapeCsv("=HYPERLINK(\"http://x\")"), "\"'=HYPERLINK(\"\"http://x\"\")\"");
+  assert.equal(escapeCsv("+213555123456"), "'+213555123456");
+  assert.equal(escapeCsv("-2+3"), "'-2+3");
+  assert.equal(escapeCsv("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(escapeCsv("\t=1"), "'\t=1");
+  assert.equal(escapeCsv("\r=1"), "\"'\r=1\"");
+});
+
+test("parseExportColumns", () => {
+  assert.deepEqual(parseExportColumns(undefined), { columns: Object.keys(ORDER_EXPORT_COLUMNS) });
+  assert.deepEqual(parseExportColumns("id, total"), { columns: ["id", "total"] });
+  assert.deepEqual(parseExportColumns("id,secret"), { error: "Unknown columns: secret" });
+  assert.deepEqual(parseExportColumns(","), { error: "Unknown columns: " });
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ORDER_STATUSES, ORDER_STATUS_TRANSITIONS, canTransition, releasesStock } from "../lib/orderStatus.js";
+
+test("every transition leads to a known status", () => {
+  assert.deepEqual(Object.keys(ORDER_STATUS_TRANSITIONS).sort(), [...ORDER_STATUSES].sort());
+  for (const targets of Object.values(ORDER_STATUS_TRANSITIONS)) {
+    assert.ok(targets.every(status => ORDER_STATUSES.includes(status)));
+  }
+});
+
+test("orders move forward through the workflow", () => {
+  assert.equal(canTransition("pending", "confirmed"), true);
+  assert.equal(canTransition("confirmed", "shipped"), true);
+  assert.equal(canTransition("shipped", "delivered"), true);
+  assert.equal(canTransition("delivered", "returned"), true);
+  assert.equal(canTransition("no_answer", "pending"), true);
+});
+
+test("orders cannot skip steps or go back", () => {
+  assert.equal(canTransition("pending", "shipped"), false);
+  assert.equal(canTransition("shipped", "cancelled"), false);
+  assert.equal(canTransition("delivered", "pending"), false);
+  assert.equal(canTransition("pending", "pending"), false);
+  assert.equal(canTransition("lost", "pending"), false);
+});
+
+test("a cancelled order can be re-opened, a returned one is final", () => {
+  assert.deepEqual(ORDER_STATUS_TRANSITIONS.cancelled, ["pending"]);
+  assert.deepEqual(ORDER_STATUS_TRANSITIONS.returned, []);
+});
+
+test("only cancelled and returned orders give their stock back", () => {
+  assert.deepEqual(ORDER_STATUSES.filter(releasesStock), ["cancelled", "returned"]);
+});
@@ -0,0 +1,70 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { parseProductCsv, missingImportColumns, validateProductRow } from "../lib/productImport.js";
+
+const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE;
+beforeEach(() => {
+  delete process.env.DEFAULT_LANGUAGE;
+});
+afterEach(() => {
+  if (DEFAULT_LANGUAGE !== undefined) {
+    process.env.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+  }
+});
+
+const row = (values) => ({
+  name: "Robe",
+  price: "2500",
+  category: "robes",
+  images: "https://cdn.example.com/a.jpg",
+  ...values
+});
+
+test("parseProductCsv reads the header case-insensitively and numbers the lines", () => {
+  const rows = parseProductCsv(Buffer.from('﻿Name, Price ,Category\nRobe,2500,robes\n\n"Jupe, longue",1800,jupes\n'));
+  assert.deepEqual(rows, [
+    { line: 2, values: { name: "Robe", price: "2500", category: "robes" } },
+    { line: 4, values: { name: "Jupe, longue", price: "1800", category: "jupes" } }
+  ]);
+});
+
+test("missingImportColumns accepts a translated name column", () => {
+  assert.deepEqual(missingImportColumns([{ values: { name: "", price: "" } }]), ["category", "images"]);
+  assert.deepEqual(missingImportColumns([{ values: { name_ar: "", price: "", category: "", images: "" } }]), []);
+  assert.deepEqual(missingImportColumns([]), ["name", "price", "category", "images"]);
+});
+
+test("validateProductRow reads a valid row", () => {
+  const { product, errors } = validateProductRow(row({
+    name_ar: "ثوب",
+    description: "En coton",
+    colors: "rouge|bleu",
+    sizes: "S, M",
+    images: "https://cdn.example.com/a.jpg | http://cdn.example.com/b,c.jpg",
+    stock: "4"
+  }));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(product, {
+    name: { fr: "Robe", ar: "ثوب" },
+    description: { fr: "En coton" },
+    price: 2500,
+    category: "robes",
+    colors: ["rouge", "bleu"],
+    sizes: ["S", "M"],
+    images: ["https://cdn.example.com/a.jpg", "http://cdn.example.com/b,c.jpg"],
+    stock: 4
+  });
+});
+
+test("validateProductRow lists every problem of a row", () => {
+  const { errors } = validateProductRow({ price: "-3", images: "ftp://cdn.example.com/a.jpg", stock: "1.5" });
+  assert.deepEqual(errors, [
+    "name is required",
+    "price must be a positive number",
+    "category is required",
+    "invalid image URL: ftp://cdn.example.com/a.jpg",
+    "stock must be a whole number, 0 or more"
+  ]);
+  assert.deepEqual(validateProductRow(row({ images: "" })).errors, ["at least one image URL is required"]);
+  assert.equal(validateProductRow(row({ stock: "" })).product.stock, 0);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { createRateLimitStore, parseRateLimit } from "../lib/rateLimit/index.js";
+import { createMemoryStore } from "../lib/rateLimit/stores/memory.js";
+
+test("the memory store counts the requests of a window", async () => {
+  const store = createMemoryStore();
+  const first = await store.increment("login:1.2.3.4", 60 * 1000);
+  const second = await store.increment("login:1.2.3.4", 60 * 1000);
+
+  assert.equal(first.count, 1);
+  assert.equal(second.count, 2);
+  assert.deepEqual(second.resetAt, first.resetAt);
+  assert.equal((await store.increment("login:5.6.7.8", 60 * 1000)).count, 1);
+});
+
+test("the memory store starts a new window once the last one is over", async () => {
+  const store = createMemoryStore();
+  await store.increment("key", 10);
+  await store.increment("key", 10);
+  await sleep(20);
+
+  const hit = await store.increment("key", 10);
+  assert.equal(hit.count, 1);
+});
+
+test("the memory store takes requests back and forgets keys", async () => {
+  const store = createMemoryStore();
+  await store.increment("key", 60 * 1000);
+  await store.increment("key", 60 * 1000);
+
+  await store.decrement("key");
+  assert.equal((await store.increment("key", 60 * 1000)).count, 2);
+
+  await store.reset("key");
+  await store.decrement("key");
+  assert.equal((await store.increment("key", 60 * 1000)).count, 1);
+});
+
+test("createRateLimitStore", () => {
+  assert.equal(createRateLimitStore("memory").name, "memory");
+  assert.throws(() => createRateLimitStore("redis"), /Unknown rate limit store "redis"/);
+});
+
+test("parseRateLimit", () => {
+  assert.deepEqual(parseRateLimit("10/15m"), { max: 10, windowMs: 15 * 60 * 1000 });
+  assert.deepEqual(parseRateLimit(" 5 / 1h "), { max: 5, windowMs: 60 * 60 * 1000 });
+  assert.deepEqual(parseRateLimit("off"), { max: 0 });
+  assert.deepEqual(parseRateLimit("0"), { max: 0 });
+  assert.equal(parseRateLimit("10/0m"), null);
+  assert.equal(parseRateLimit("ten per minute"), null);
+});
@@ -0,0 +1,164 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { setTimeout as sleep } from "node:timers/promises";
+import { createAdminFeed, MAX_REPLAYED_EVENTS } from "../lib/realtime.js";
+
+// In-memory AdminEvent and Counter, enough for the feed's queries
+const fakeModels = ({ createDelay = () => 0 } = {}) => {
+  const events = [];
+  let seq = 0;
+  const changes = new EventEmitter();
+  changes.close = async () => {};
+
+  const matches = (event, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (typeof condition !== 'object') {
+      return event[field] === condition;
+    }
+    return (condition.$gt === undefined || event[field] > condition.$gt) &&
+      (condition.$lt === undefined || event[field] < condition.$lt) &&
+      (condition.$gte === undefined || event[field] >= condition.$gte);
+  });
+  const query = (found) => {
+    const chain = {
+      sort: () => chain,
+      limit: (limit) => query(found.slice(0, limit)),
+      lean: async () => found
+    };
+    return chain;
+  };
+
+  const AdminEvent = {
+    events,
+    changes,
+    create: async (fields) => {
+      await sleep(createDelay(fields));
+      const event = { ...fields, createdAt: new Date() };
+      events.push(event);
+      return { ...event, toObject: () => event };
+    },
+    find: (filter) => query(events.filter(event => matches(event, filter)).sort((a, b) => a.seq - b.seq)),
+    findOne: (filter) => ({ lean: async () => events.find(event => matches(event, filter)) || null }),
+    watch: () => changes
+  };
+  const Counter = { findOneAndUpdate: async () => ({ seq: ++seq }) };
+  return { AdminEvent, Counter };
+};
+
+// Request and response of one SSE connection, closed at the end of the test
+const connection = (t) => {
+  const req = new EventEmitter();
+  t.after(() => req.emit('close'));
+  const res = {
+    chunks: [],
+    writeHead() {},
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+    end() {
+      this.ended = true;
+    },
+    ids() {
+      return this.chunks.join('').match(/^id: \d+/gm).map(line => Number(line.slice(4)));
+    }
+  };
+  return { req, res };
+};
+
+test("events of one instance are stored in the order of their numbers", async () => {
+  // The first event takes longer to store than the second
+  const models = fakeModels({ createDelay: fields => (fields.seq === 1 ? 20 : 0) });
+  const feed = createAdminFeed(models);
+
+  await Promise.all([feed.publish('a', {}), feed.publish('b', {})]);
+  assert.deepEqual(models.AdminEvent.events.map(event => event.seq), [1, 2]);
+});
+
+test("a failed publish does not stop the next ones", async () => {
+  const models = fakeModels();
+  const create = models.AdminEvent.create;
+  models.AdminEvent.create = async () => {
+    models.AdminEvent.create = create;
+    throw new Error("write failed");
+  };
+  const feed = createAdminFeed(models);
+
+  await assert.rejects(feed.publish('a', {}), /write failed/);
+  assert.equal((await feed.publish('b', {})).type, 'b');
+});
+
+test("events are delivered locally until the change stream has opened", async () => {
+  const models = fakeModels();
+  const feed = createAdminFeed(models);
+  const received = [];
+  feed.subscribe(event => received.push(event.type));
+
+  feed.start();
+  await feed.publish('before', {});
+  models.AdminEvent.changes.emit('resumeTokenChanged', {});
+  await feed.publish('after', {});
+  assert.deepEqual(received, ['before']);
+
+  models.AdminEvent.changes.emit('change', { fullDocument: { seq: 2, type: 'after' } });
+  assert.deepEqual(received, ['before', 'after']);
+
+  const warn = console.warn;
+  console.warn = () => {};
+  models.AdminEvent.changes.emit('error', new Error("not a replica set"));
+  console.warn = warn;
+  await feed.publish('local again', {});
+  assert.deepEqual(received, ['before', 'after', 'local again']);
+});
+
+test("replay returns the events after an ID", async () => {
+  const models = fakeModels();
+  const feed = createAdminFeed(models);
+  for (const type of ['a', 'b', 'c']) {
+    await feed.publish(type, { type }, { roles: ['owner'] });
+  }
+
+  assert.deepEqual(await feed.replay(1), [
+    { id: 2, type: 'b', data: { type: 'b' }, roles: ['owner'] },
+    { id: 3, type: 'c', data: { type: 'c' }, roles: ['owner'] }
+  ]);
+  assert.deepEqual(await feed.replay(3), []);
+});
+
+test("a reconnecting client gets the missed events it may see", async (t) => {
+  const models = fakeModels();
+  const feed = createAdminFeed(models);
+  await feed.publish('order.created', {});
+  await feed.publish('dashboard.stats', {}, { roles: ['owner'] });
+  await feed.publish('order.status_changed', {});
+
+  const { req, res } = connection(t);
+  await feed.stream(req, res, { role: 'operator', lastEventId: 1 });
+  assert.deepEqual(res.ids(), [3]);
+});
+
+test("a reconnect also sends events numbered before Last-Event-ID but stored after it", async (t) => {
+  const models = fakeModels();
+  const feed = createAdminFeed(models);
+  await feed.publish('a', {});
+  await sleep(5);
+  // Another instance took number 2, this one stored 3 first
+  models.AdminEvent.events.push({ seq: 3, type: 'c', data: {}, roles: ['owner'], createdAt: new Date() });
+  await sleep(5);
+  models.AdminEvent.events.push({ seq: 2, type: 'b', data: {}, roles: ['owner'], createdAt: new Date() });
+
+  const { req, res } = connection(t);
+  await feed.stream(req, res, { role: 'owner', lastEventId: 3 });
+  assert.deepEqual(res.ids(), [2]);
+});
+
+test("too many missed events make the client reload", async (t) => {
+  const models = fakeModels();
+  for (let seq = 1; seq <= MAX_REPLAYED_EVENTS + 5; seq++) {
+    models.AdminEvent.events.push({ seq, type: 'a', data: {}, roles: ['owner'], createdAt: new Date() });
+  }
+  const feed = createAdminFeed(models);
+
+  const { req, res } = connection(t);
+  await feed.stream(req, res, { role: 'owner', lastEventId: 0 });
+  assert.match(res.chunks.join(''), new RegExp(`id: ${MAX_REPLAYED_EVENTS}\nevent: reset\n`));
+});
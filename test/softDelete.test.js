@@ -0,0 +1,73 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { softDeletePlugin } from "../lib/softDelete.js";
+
+// Stops each query after the plugin's middleware and hands back what would have been sent
+class Captured extends Error {
+  constructor(value) {
+    super("captured");
+    this.value = value;
+  }
+}
+
+const connection = mongoose.createConnection();
+after(() => connection.close());
+
+const schema = new mongoose.Schema({ name: String });
+schema.plugin(softDeletePlugin);
+schema.pre(["find", "findOne", "countDocuments", "updateOne"], function () {
+  throw new Captured({ filter: this.getFilter(), options: this.getOptions() });
+});
+schema.pre("aggregate", function () {
+  throw new Captured({ pipeline: this.pipeline(), options: this.options });
+});
+const Item = connection.model("Item", schema);
+
+const capture = async (query) => {
+  try {
+    await query;
+  } catch (err) {
+    if (err instanceof Captured) {
+      return err.value;
+    }
+    throw err;
+  }
+  assert.fail("the query was not captured");
+};
+
+test("the plugin adds the trash fields", () => {
+  assert.ok(schema.path("deletedAt"));
+  assert.ok(schema.path("deletedBy"));
+  assert.ok(schema.path("deletedByName"));
+  assert.equal(new Item({ name: "Robe" }).deletedAt, null);
+});
+
+test("queries skip trashed documents", async () => {
+  assert.deepEqual((await capture(Item.find({ name: "Robe" }))).filter, { name: "Robe", deletedAt: null });
+  assert.deepEqual((await capture(Item.findOne())).filter, { deletedAt: null });
+  assert.deepEqual((await capture(Item.countDocuments())).filter, { deletedAt: null });
+  assert.deepEqual((await capture(Item.updateOne({ name: "Robe" }, { name: "Jupe" }))).filter, { name: "Robe", deletedAt: null });
+});
+
+test("queries on deletedAt or with withDeleted see the trash", async () => {
+  const trash = await capture(Item.find({ deletedAt: { $ne: null } }));
+  assert.deepEqual(trash.filter, { deletedAt: { $ne: null } });
+
+  const all = await capture(Item.updateOne({ name: "Robe" }, { name: "Jupe" }).setOptions({ withDeleted: true }));
+  assert.deepEqual(all.filter, { name: "Robe" });
+  // Not passed on to the driver
+  assert.equal(all.options.withDeleted, undefined);
+});
+
+test("aggregations skip trashed documents", async () => {
+  const { pipeline } = await capture(Item.aggregate([{ $group: { _id: "$name" } }]));
+  assert.deepEqual(pipeline, [{ $match: { deletedAt: null } }, { $group: { _id: "$name" } }]);
+
+  const trash = await capture(Item.aggregate([{ $match: { deletedAt: { $ne: null } } }]));
+  assert.deepEqual(trash.pipeline, [{ $match: { deletedAt: { $ne: null } } }]);
+
+  const all = await capture(Item.aggregate([{ $count: "count" }]).option({ withDeleted: true }));
+  assert.deepEqual(all.pipeline, [{ $count: "count" }]);
+  assert.equal(all.options.withDeleted, undefined);
+});
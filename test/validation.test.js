@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validate, validateRequest } from "../lib/validation.js";
+
+const fieldsOf = (errors) => errors.map(error => `${error.location}.${error.field}:${error.code}`);
+
+test("required and notEmpty fields", () => {
+  const schema = { body: { name: { type: 'string', required: true }, slug: { type: 'string', notEmpty: true } } };
+
+  assert.deepEqual(fieldsOf(validateRequest({ body: {} }, schema)), ['body.name:required']);
+  assert.deepEqual(fieldsOf(validateRequest({ body: { name: '  ', slug: '' } }, schema)), ['body.name:required', 'body.slug:required']);
+  assert.deepEqual(validateRequest({ body: { name: 'Robe' } }, schema), []);
+});
+
+test("strings", () => {
+  const schema = { body: { code: { type: 'string', minLength: 3, maxLength: 5, pattern: /^[A-Z]+$/ }, type: { type: 'string', enum: ['a', 'b'] } } };
+
+  assert.deepEqual(fieldsOf(validateRequest({ body: { code: 'AB' } }, schema)), ['body.code:too_short']);
+  assert.deepEqual(fieldsOf(validateRequest({ body: { code: 'ABCDEF' } }, schema)), ['body.code:too_long']);
+  assert.deepEqual(fieldsOf(validateRequest({ body: { code: 'ab1' } }, schema)), ['body.code:invalid_format']);
+  assert.deepEqual(fieldsOf(validateRequest({ body: { type: 'c' } }, schema)), ['body.type:invalid_choice']);
+  assert.deepEqual(fieldsOf(validateRequest({ body: { code: { $gt: '' } } }, schema)), ['body.code:invalid_type']);
+  assert.deepEqual(validateRequest({ body: { code: ' ABC ', type: 'b' } }, schema), []);
+});
+
+test("strings refuse numbers unless the rule accepts them", () => {
+  assert.deepEqual(fieldsOf(validateRequest({ body: { name: 42 } }, { body: { name: { type: 'string' } } })), ['body.name:invalid_type']);
+  assert.deepEqual(fieldsOf(validateRequest({ body: { name: true } }, { body: { name: { type: 'string' } } })), ['body.name:invalid_type']);
+  assert.deepEqual(validateRequest({ body: { wilaya: 16 } }, { body: { wilaya: { type: 'string', acceptNumbers: true } } }), []);
+});
+
+test("numbers accept numeric form text", () => {
+  const schema = { query: { page: { type: 'number', integer: true, min: 1, max: 10 } } };
+
+  assert.deepEqual(validateRequest({ query: { page: '3' } }, schema), []);
+  assert.deepEqual(fieldsOf(validateRequest({ query: { page: 'x' } }, schema)), ['query.page:not_a_number']);
+  assert.deepEqual(fieldsOf(validateRequest({ query: { page: '1.5' } }, schema)), ['query.page:not_an_integer']);
+  assert.deepEqual(fieldsOf(validateRequest({ query: { page: 0 } }, schema)), ['query.page:too_small']);
+  assert.deepEqual(fieldsOf(validateRequest({ query: { page: 11 } }, schema)), ['query.page:too_large']);
+});
+
+test("booleans, IDs, dates, emails and phones", () => {
+  const schema = {
+    body: {
+      isActive: { type: 'boolean' },
+      productId: { type: 'objectId' },
+      startsAt: { type: 'date' },
+      email: { type: 'email' },
+      phone: { type: 'phone' }
+    }
+  };
+
+  assert.deepEqual(validateRequest({
+    body: { isActive: 'false', productId: '64b7f0c2a1b2c3d4e5f60718', startsAt: '2026-10-01', email: 'a@b.dz', phone: '+213 555 12 34 56' }
+  }, schema), []);
+  assert.deepEqual(fieldsOf(validateRequest({
+    body: { isActive: 'yes', productId: '123', startsAt: 'soon', email: 'a@b', phone: '0123' }
+  }, schema)), [
+    'body.isActive:not_a_boolean',
+    'body.productId:invalid_id',
+    'body.startsAt:invalid_date',
+    'body.email:invalid_email',
+    'body.phone:invalid_phone'
+  ]);
+});
+
+test("lists, arrays and objects", () => {
+  const schema = {
+    query: { status: { type: 'list', enum: ['pending', 'confirmed'], maxItems: 2 } },
+    body: {
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'object', fields: { productId: { type: 'objectId', required: true }, quantity: { type: 'number', min: 1 } } }
+      }
+    }
+  };
+
+  assert.deepEqual(validateRequest({ query: { status: 'pending, confirmed' }, body: {} }, schema), []);
+  assert.deepEqual(fieldsOf(validateRequest({ query: { status: 'pending,lost' } }, schema)), ['query.status:invalid_choice']);
+  assert.deepEqual(fieldsOf(validateRequest({ query: { status: 'pending,confirmed,pending' } }, schema)), ['query.status:too_many']);
+
+  assert.deepEqual(fieldsOf(validateRequest({ body: { items: [] } }, schema)), ['body.items:too_few']);
+  assert.deepEqual(fieldsOf(validateRequest({ body: { items: 'x' } }, schema)), ['body.items:invalid_type']);
+  assert.deepEqual(fieldsOf(validateRequest({ body: { items: [{ quantity: 0 }, 'x'] } }, schema)), [
+    'body.items.0.productId:required',
+    'body.items.0.quantity:too_small',
+    'body.items.1:invalid_type'
+  ]);
+});
+
+test("translations", () => {
+  const schema = { body: { name: { type: 'translations', required: true, maxLength: 5 }, description: { type: 'translations', notEmpty: true } } };
+
+  assert.deepEqual(validateRequest({ body: { name: 'Robe' } }, schema), []);
+  assert.deepEqual(validateRequest({ body: { name: '{"ar":"ثوب","fr":""}', description: { en: '' } } }, schema), []);
+  assert.deepEqual(fieldsOf(validateRequest({ body: { name: { fr: '', en: ' ' } } }, schema)), ['body.name:required']);
+  assert.deepEqual(fieldsOf(validateRequest({ body: { name: { de: 'Kleid' } } }, schema)), ['body.name:unknown_language']);
+  assert.deepEqual(fieldsOf(validateRequest({ body: { name: '{"fr":' } }, schema)), ['body.name:invalid_json']);
+  assert.deepEqual(fieldsOf(validateRequest({ body: { name: 'Longue robe' } }, schema)), ['body.name:too_long']);
+});
+
+test("a rule message replaces the messages of its field", () => {
+  const errors = validateRequest({ body: { stock: '[' } }, { body: { stock: { type: 'json', message: "Invalid stock format" } } });
+  assert.equal(errors[0].message, "Invalid stock format");
+});
+
+test("unknown rule types are a programming error", () => {
+  assert.throws(() => validateRequest({ body: { a: 1 } }, { body: { a: { type: 'uuid' } } }), /Unknown validation type/);
+});
+
+test("validate() answers 400 with the failures or calls next", () => {
+  const middleware = validate({ params: { id: { type: 'objectId' } } });
+  const response = () => ({
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  });
+
+  let called = false;
+  middleware({ params: { id: '64b7f0c2a1b2c3d4e5f60718' } }, response(), () => {
+    called = true;
+  });
+  assert.equal(called, true);
+
+  const res = response();
+  middleware({ params: { id: 'nope' } }, res, () => assert.fail("next() must not be called"));
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'validation_failed');
+  assert.deepEqual(res.body.errors, [{ location: 'params', field: 'id', code: 'invalid_id', message: "id is not a valid ID" }]);
+});